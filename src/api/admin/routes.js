@@ -1,7 +1,10 @@
 const express = require('express');
 const router = express.Router();
 const { 
+  ENROLLMENT_TRIGGERS,
   getCourseIdForProduct, 
+  resolveCourseIdsForProduct,
+  getMappedCourseIds,
   setProductCourseMapping, 
   removeProductCourseMapping, 
   getAllMappings,
@@ -14,6 +17,40 @@ const {
   removeBundleNameMapping,
   getAllBundleNameMappings
 } = require('../../utils/productCourseMapping');
+const { getRefunds } = require('../../utils/refundLog');
+const {
+  RULE_CONDITIONS,
+  validateRule,
+  getAllRules,
+  getRule,
+  setRule,
+  removeRule
+} = require('../../utils/enrollmentRules');
+const {
+  getIdentityLinks,
+  setIdentityLink,
+  getIdentityConflicts,
+  getIdentityConflict,
+  resolveIdentityConflict
+} = require('../../utils/customerIdentityLinks');
+const jobQueue = require('../../services/jobQueue');
+const { getDataExports, getDataExport, getRedactions } = require('../../utils/privacyRecords');
+const { getShops } = require('../../utils/shopRegistry');
+const { getExpectedSubscriptions, getWebhookSubscriptionStatus } = require('../../services/webhookRegistration');
+const { getOfflineSession } = require('../../services/shopSessions');
+const { getSyncReports, getSyncReport } = require('../../utils/syncReports');
+const { getDisputes } = require('../../utils/disputeLog');
+const { getUpcomingExpirations } = require('../../services/accessExpiration');
+const { queueReconciliation } = require('../../services/enrollmentReconciliation');
+const { getReconciliationReports, getReconciliationReport } = require('../../utils/reconciliationReports');
+const { queueBackfill, cancelBackfill, resumeBackfill } = require('../../services/orderBackfill');
+const { getBackfills, getBackfill, isBackfillFinished } = require('../../utils/backfills');
+const { isOrderSyncTopic, isOrderPayloadTopic, syncOrder } = require('../../services/orderSync');
+const { loadOrder } = require('../../services/shopifyOrders');
+const { getWebhookEvents, getWebhookEvent } = require('../../utils/webhookInbox');
+const { getReplaySkipReason, replayWebhookEvent, queueWebhookReplays } = require('../../services/webhookReplay');
+const { invalidateCachedUser, clearUserCache } = require('../../utils/learnWorldsUserCache');
+const learnWorldsClient = require('../../services/learnWorldsClient');
 
 // Get all product-to-course mappings
 router.get('/mappings', async (req, res) => {
@@ -26,16 +63,25 @@ router.get('/mappings', async (req, res) => {
   }
 });
 
-// Set a product-to-course mapping
+// Set a product-to-course mapping, optionally with the order event that grants access
+// and the number of days the access lasts
 router.post('/mappings', async (req, res) => {
   try {
-    const { productId, courseId } = req.body;
+    const { productId, courseId, trigger, accessDays } = req.body;
     
     if (!productId || !courseId) {
       return res.status(400).json({ error: 'Missing required fields' });
     }
     
-    setProductCourseMapping(productId, courseId);
+    if (trigger && !ENROLLMENT_TRIGGERS.includes(trigger)) {
+      return res.status(400).json({ error: `Trigger must be one of: ${ENROLLMENT_TRIGGERS.join(', ')}` });
+    }
+    
+    if (accessDays !== undefined && accessDays !== null && !(Number.isInteger(accessDays) && accessDays > 0)) {
+      return res.status(400).json({ error: 'accessDays must be a positive whole number of days' });
+    }
+    
+    setProductCourseMapping(productId, courseId, { trigger, accessDays });
     res.status(200).json({ success: true });
   } catch (error) {
     console.error('Error setting mapping:', error);
@@ -188,4 +234,639 @@ router.get('/bundle-names/find/:bundleName', async (req, res) => {
   }
 });
 
+// Get all enrollment eligibility rules
+router.get('/rules', async (req, res) => {
+  try {
+    const rules = getAllRules();
+    res.status(200).json({ success: true, rules, conditions: RULE_CONDITIONS });
+  } catch (error) {
+    console.error('Error getting rules:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Create an enrollment eligibility rule
+router.post('/rules', async (req, res) => {
+  try {
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = setRule({ ...req.body, id: undefined });
+    res.status(200).json({ success: true, rule });
+  } catch (error) {
+    console.error('Error setting rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Update an enrollment eligibility rule
+router.put('/rules/:ruleId', async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    
+    if (!getRule(ruleId)) {
+      return res.status(404).json({ success: false, message: 'No rule found with this ID' });
+    }
+    
+    const validationError = validateRule(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+    
+    const rule = setRule({ ...req.body, id: ruleId });
+    res.status(200).json({ success: true, rule });
+  } catch (error) {
+    console.error('Error updating rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Delete an enrollment eligibility rule
+router.delete('/rules/:ruleId', async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    
+    if (!removeRule(ruleId)) {
+      return res.status(404).json({ success: false, message: 'No rule found with this ID' });
+    }
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error removing rule:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List recorded refunds and the courses they removed
+router.get('/refunds', async (req, res) => {
+  try {
+    const { shop, orderId } = req.query;
+    const refunds = getRefunds({ shop, orderId });
+    res.status(200).json({ success: true, refunds });
+  } catch (error) {
+    console.error('Error getting refunds:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List time-limited grants that expire within the next `days` days (default 30)
+router.get('/expirations', async (req, res) => {
+  try {
+    const { shop } = req.query;
+    const days = req.query.days === undefined ? 30 : Number(req.query.days);
+    
+    if (!Number.isFinite(days) || days < 0) {
+      return res.status(400).json({ error: 'days must be a non-negative number' });
+    }
+    
+    const expirations = getUpcomingExpirations({ shop, days });
+    res.status(200).json({ success: true, expirations });
+  } catch (error) {
+    console.error('Error getting upcoming expirations:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List recorded disputes with their status transitions and access changes
+router.get('/disputes', async (req, res) => {
+  try {
+    const { shop, orderId, status } = req.query;
+    const disputes = getDisputes({ shop, orderId, status });
+    res.status(200).json({ success: true, disputes });
+  } catch (error) {
+    console.error('Error getting disputes:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List Shopify customer to LearnWorlds user links
+router.get('/identity-links', async (req, res) => {
+  try {
+    const links = getIdentityLinks(req.query.shop);
+    res.status(200).json({ success: true, links });
+  } catch (error) {
+    console.error('Error getting identity links:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List identity conflicts, open ones by default
+router.get('/identity-conflicts', async (req, res) => {
+  try {
+    const status = req.query.status || 'open';
+    const conflicts = getIdentityConflicts(status === 'all' ? null : status);
+    res.status(200).json({ success: true, status, conflicts });
+  } catch (error) {
+    console.error('Error getting identity conflicts:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resolve an identity conflict
+// link_existing relinks the customer to the LearnWorlds user that already has the new email
+router.post('/identity-conflicts/:conflictId/resolve', async (req, res) => {
+  try {
+    const { conflictId } = req.params;
+    const { resolution, note } = req.body;
+    
+    if (!['link_existing', 'dismiss'].includes(resolution)) {
+      return res.status(400).json({ error: 'Resolution must be one of: link_existing, dismiss' });
+    }
+    
+    const conflict = getIdentityConflict(conflictId);
+    if (!conflict || conflict.status !== 'open') {
+      return res.status(404).json({ success: false, message: 'No open conflict found with this ID' });
+    }
+    
+    if (resolution === 'link_existing') {
+      setIdentityLink({
+        shop: conflict.shop,
+        customerId: conflict.customer_id,
+        learnWorldsUserId: conflict.conflicting_user_id,
+        email: conflict.new_email
+      });
+    }
+    
+    res.status(200).json({ success: true, conflict: resolveIdentityConflict(conflictId, resolution, note) });
+  } catch (error) {
+    console.error('Error resolving identity conflict:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List jobs in the queue, dead-lettered jobs by default
+router.get('/jobs', async (req, res) => {
+  try {
+    const status = req.query.status || 'dead';
+    const jobs = jobQueue.getJobs(status === 'all' ? null : status);
+    res.status(200).json({ success: true, status, jobs });
+  } catch (error) {
+    console.error('Error getting jobs:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Retry a dead-lettered job
+router.post('/jobs/:jobId/retry', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    const job = jobQueue.retryJob(jobId);
+    if (!job) {
+      return res.status(404).json({ success: false, message: 'No dead job found with this ID' });
+    }
+    
+    res.status(200).json({ success: true, job });
+  } catch (error) {
+    console.error('Error retrying job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Discard a dead-lettered job
+router.delete('/jobs/:jobId', async (req, res) => {
+  try {
+    const { jobId } = req.params;
+    
+    if (!jobQueue.discardJob(jobId)) {
+      return res.status(404).json({ success: false, message: 'No dead job found with this ID' });
+    }
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error discarding job:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List GDPR data exports, without their data
+router.get('/privacy/exports', async (req, res) => {
+  try {
+    const exports = getDataExports(req.query.shop);
+    res.status(200).json({ success: true, exports });
+  } catch (error) {
+    console.error('Error getting data exports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single GDPR data export, to hand over to the merchant
+router.get('/privacy/exports/:exportId', async (req, res) => {
+  try {
+    const dataExport = getDataExport(req.params.exportId);
+    if (!dataExport) {
+      return res.status(404).json({ success: false, message: 'No data export found with this ID' });
+    }
+    
+    res.status(200).json({ success: true, export: dataExport });
+  } catch (error) {
+    console.error('Error getting data export:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List the GDPR redaction audit log
+router.get('/privacy/redactions', async (req, res) => {
+  try {
+    const redactions = getRedactions(req.query.shop);
+    res.status(200).json({ success: true, redactions });
+  } catch (error) {
+    console.error('Error getting redactions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List shops that uninstalled the app and when their data is deleted
+router.get('/shops/inactive', async (req, res) => {
+  try {
+    const shops = getShops('inactive');
+    res.status(200).json({ success: true, shops });
+  } catch (error) {
+    console.error('Error getting inactive shops:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Show each active shop's registered webhook subscriptions next to the expected ones
+router.get('/webhooks', async (req, res) => {
+  try {
+    const shops = req.query.shop ? [req.query.shop] : getShops('active').map(record => record.shop);
+    const results = [];
+    
+    for (const shop of shops) {
+      const session = getOfflineSession(shop);
+      if (!session) {
+        results.push({ shop, error: 'No offline session stored for this shop' });
+        continue;
+      }
+      
+      try {
+        results.push(await getWebhookSubscriptionStatus(session));
+      } catch (error) {
+        results.push({ shop, error: error.message });
+      }
+    }
+    
+    res.status(200).json({ success: true, expected: getExpectedSubscriptions(), shops: results });
+  } catch (error) {
+    console.error('Error getting webhook subscriptions:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List order-sync reports, optionally filtered by shop, order, topic or status
+router.get('/sync-reports', async (req, res) => {
+  try {
+    const { shop, orderId, topic, status } = req.query;
+    const reports = getSyncReports({ shop, orderId, topic, status });
+    res.status(200).json({ success: true, reports });
+  } catch (error) {
+    console.error('Error getting sync reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a single order-sync report with the outcome of every line item
+router.get('/sync-reports/:reportId', async (req, res) => {
+  try {
+    const report = getSyncReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'No sync report found with this ID' });
+    }
+    
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('Error getting sync report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a reconciliation of a shop's orders in a date range with LearnWorlds enrollments
+// With apply set, missing access is granted and unexpected access is removed
+router.post('/reconciliations', async (req, res) => {
+  try {
+    const { shop, from, to, apply } = req.body;
+    
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    const createdAtMax = to ? new Date(to) : new Date();
+    const createdAtMin = from ? new Date(from) : new Date(createdAtMax.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (Number.isNaN(createdAtMin.getTime()) || Number.isNaN(createdAtMax.getTime()) || createdAtMin > createdAtMax) {
+      return res.status(400).json({ error: 'from and to must be dates, with from before to' });
+    }
+    
+    if (!getOfflineSession(shop)) {
+      return res.status(400).json({ error: 'No offline session stored for this shop' });
+    }
+    
+    const report = queueReconciliation({
+      shop,
+      createdAtMin: createdAtMin.toISOString(),
+      createdAtMax: createdAtMax.toISOString(),
+      apply: apply === true
+    });
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('Error starting reconciliation:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List reconciliation reports, optionally filtered by shop or status
+router.get('/reconciliations', async (req, res) => {
+  try {
+    const { shop, status } = req.query;
+    const reports = getReconciliationReports({ shop, status });
+    res.status(200).json({ success: true, reports });
+  } catch (error) {
+    console.error('Error getting reconciliation reports:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a reconciliation report with its drift and the fixes applied
+router.get('/reconciliations/:reportId', async (req, res) => {
+  try {
+    const report = getReconciliationReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ success: false, message: 'No reconciliation report found with this ID' });
+    }
+    
+    res.status(200).json({ success: true, report });
+  } catch (error) {
+    console.error('Error getting reconciliation report:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Start a backfill that enrolls the customers of historical orders containing a product,
+// or any product mapped to a course. With dryRun the backfill only reports what it would do
+router.post('/backfills', async (req, res) => {
+  try {
+    const { shop, productId, courseId, from, to, dryRun } = req.body;
+    
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    if (!productId && !courseId) {
+      return res.status(400).json({ error: 'Missing productId or courseId parameter' });
+    }
+    
+    if (productId && !resolveCourseIdsForProduct(String(productId)).length) {
+      return res.status(400).json({ error: 'No course mapped to this product' });
+    }
+    
+    if (!productId && !getMappedCourseIds().has(courseId)) {
+      return res.status(400).json({ error: 'No product mapped to this course' });
+    }
+    
+    const createdAtMax = to ? new Date(to) : new Date();
+    const createdAtMin = from ? new Date(from) : null;
+    if (Number.isNaN(createdAtMax.getTime()) || (createdAtMin && (Number.isNaN(createdAtMin.getTime()) || createdAtMin > createdAtMax))) {
+      return res.status(400).json({ error: 'from and to must be dates, with from before to' });
+    }
+    
+    if (!getOfflineSession(shop)) {
+      return res.status(400).json({ error: 'No offline session stored for this shop' });
+    }
+    
+    const backfill = queueBackfill({
+      shop,
+      productId,
+      courseId,
+      createdAtMin: createdAtMin ? createdAtMin.toISOString() : null,
+      createdAtMax: createdAtMax.toISOString(),
+      dryRun: dryRun === true
+    });
+    res.status(200).json({ success: true, backfill });
+  } catch (error) {
+    console.error('Error starting backfill:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// List backfills, optionally filtered by shop or status
+router.get('/backfills', async (req, res) => {
+  try {
+    const { shop, status } = req.query;
+    const backfills = getBackfills({ shop, status })
+      .map(({ orders, ...backfill }) => backfill);
+    res.status(200).json({ success: true, backfills });
+  } catch (error) {
+    console.error('Error getting backfills:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a backfill with its progress and the outcome for every matching order
+router.get('/backfills/:backfillId', async (req, res) => {
+  try {
+    const backfill = getBackfill(req.params.backfillId);
+    if (!backfill) {
+      return res.status(404).json({ success: false, message: 'No backfill found with this ID' });
+    }
+    
+    res.status(200).json({ success: true, backfill });
+  } catch (error) {
+    console.error('Error getting backfill:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Cancel a backfill; orders it already processed keep their enrollments
+router.post('/backfills/:backfillId/cancel', async (req, res) => {
+  try {
+    const existing = getBackfill(req.params.backfillId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'No backfill found with this ID' });
+    }
+    
+    if (isBackfillFinished(existing)) {
+      return res.status(400).json({ error: `Backfill is already ${existing.status}` });
+    }
+    
+    const backfill = cancelBackfill(existing.id);
+    res.status(200).json({ success: true, backfill });
+  } catch (error) {
+    console.error('Error cancelling backfill:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Resume a cancelled or failed backfill from the last page it finished
+router.post('/backfills/:backfillId/resume', async (req, res) => {
+  try {
+    const existing = getBackfill(req.params.backfillId);
+    if (!existing) {
+      return res.status(404).json({ success: false, message: 'No backfill found with this ID' });
+    }
+    
+    if (!['cancelled', 'failed'].includes(existing.status)) {
+      return res.status(400).json({ error: 'Only cancelled or failed backfills can be resumed' });
+    }
+    
+    const backfill = resumeBackfill(existing.id);
+    res.status(200).json({ success: true, backfill });
+  } catch (error) {
+    console.error('Error resuming backfill:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Simulate an order webhook without queueing or storing anything, e.g. before changing mappings or rules
+// Takes the webhook payload (the order for order topics) or the ID of an order to fetch from Shopify,
+// and returns the decision for every line item with the LearnWorlds calls it would make
+router.post('/simulate', async (req, res) => {
+  try {
+    const { shop, topic = 'orders/paid', order, orderId } = req.body;
+    
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    if (!isOrderSyncTopic(topic)) {
+      return res.status(400).json({ error: `Topic ${topic} is not an order topic` });
+    }
+    
+    if (!order && !orderId) {
+      return res.status(400).json({ error: 'Missing order or orderId parameter' });
+    }
+    
+    let payload = order;
+    if (!payload) {
+      if (!isOrderPayloadTopic(topic)) {
+        return res.status(400).json({ error: `Topic ${topic} needs its webhook payload, pass it as order` });
+      }
+      
+      if (!getOfflineSession(shop)) {
+        return res.status(400).json({ error: 'No offline session stored for this shop' });
+      }
+      
+      payload = await loadOrder(shop, orderId);
+      if (!payload) {
+        return res.status(404).json({ success: false, message: 'No order found with this ID' });
+      }
+    }
+    
+    const report = await syncOrder(topic, { shop, payload, webhookId: null }, { dryRun: true });
+    const calls = report.lines.flatMap(line => line.planned ? line.planned.calls : []);
+    res.status(200).json({ success: true, report, calls });
+  } catch (error) {
+    console.error('Error simulating order webhook:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Check that the from and to filters of an event search are dates
+function isValidEventTimeRange({ from, to }) {
+  return [from, to].every(value => !value || !Number.isNaN(new Date(value).getTime()));
+}
+
+// Search stored webhook events by shop, topic, order ID, customer email, status and time range
+router.get('/webhook-events', async (req, res) => {
+  try {
+    const { shop, topic, orderId, email, status, from, to } = req.query;
+    
+    if (!isValidEventTimeRange({ from, to })) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    
+    const events = getWebhookEvents({ shop, topic, orderId, email, status, from, to });
+    res.status(200).json({ success: true, events });
+  } catch (error) {
+    console.error('Error getting webhook events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Get a stored webhook event with its payload and replays
+router.get('/webhook-events/:webhookId', async (req, res) => {
+  try {
+    const event = getWebhookEvent(req.params.webhookId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'No webhook event found with this ID' });
+    }
+    
+    res.status(200).json({ success: true, event });
+  } catch (error) {
+    console.error('Error getting webhook event:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replay a batch of stored webhook events matching the same filters as the search
+// Each event is replayed by its own background job
+router.post('/webhook-events/replay', async (req, res) => {
+  try {
+    const { shop, topic, orderId, email, status, from, to, dryRun } = req.body;
+    
+    if (!shop) {
+      return res.status(400).json({ error: 'Missing shop parameter' });
+    }
+    
+    if (!isValidEventTimeRange({ from, to })) {
+      return res.status(400).json({ error: 'from and to must be dates' });
+    }
+    
+    const events = getWebhookEvents({ shop, topic, orderId, email, status, from, to });
+    const { queued, skipped } = queueWebhookReplays(events, { dryRun: dryRun === true });
+    
+    console.log(`Queued ${queued.length} webhook replay(s) for ${shop}, skipped ${skipped.length}`);
+    res.status(200).json({ success: true, queued, skipped });
+  } catch (error) {
+    console.error('Error replaying webhook events:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Replay a single stored webhook event now
+router.post('/webhook-events/:webhookId/replay', async (req, res) => {
+  try {
+    const event = getWebhookEvent(req.params.webhookId);
+    if (!event) {
+      return res.status(404).json({ success: false, message: 'No webhook event found with this ID' });
+    }
+    
+    const skipReason = getReplaySkipReason(event);
+    if (skipReason) {
+      return res.status(400).json({ error: skipReason });
+    }
+    
+    // The body is optional, a plain POST replays the event for real
+    const { dryRun } = req.body || {};
+    const { replay, report } = await replayWebhookEvent(event.id, { dryRun: dryRun === true });
+    res.status(200).json({ success: true, replay, report });
+  } catch (error) {
+    console.error('Error replaying webhook event:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Drop cached email to LearnWorlds user lookups, for one email or user ID, or all of them
+router.delete('/learnworlds-user-cache', async (req, res) => {
+  try {
+    const { email, userId } = req.query;
+    const removed = email || userId ? invalidateCachedUser({ email, userId }) : clearUserCache();
+    res.status(200).json({ success: true, removed });
+  } catch (error) {
+    console.error('Error clearing LearnWorlds user cache:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// LearnWorlds request counters, concurrency and circuit breaker state
+router.get('/learnworlds-metrics', async (req, res) => {
+  try {
+    res.status(200).json({ success: true, metrics: learnWorldsClient.getMetrics() });
+  } catch (error) {
+    console.error('Error getting LearnWorlds metrics:', error);
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
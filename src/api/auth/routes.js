@@ -1,12 +1,15 @@
 const express = require('express');
 const router = express.Router();
-// Import Shopify API adapter first
-require('@shopify/shopify-api/adapters/node');
-const { shopifyApi } = require('@shopify/shopify-api');
 const { createErrorResponse } = require('../../utils/errorHandler');
+const { isValidShopDomain } = require('../../utils/webhookVerification');
+const { storeSession } = require('../../utils/sessionStorage');
+const shopify = require('../../services/shopify');
+const { getSessionStatus } = require('../../services/shopSessions');
+const { activateShop } = require('../../services/shopLifecycle');
+const { reconcileWebhookSubscriptions } = require('../../services/webhookRegistration');
 
 /**
- * Generate a URL to begin the OAuth process
+ * Begin the OAuth process by redirecting to Shopify's authorization page
  */
 router.get('/begin', async (req, res) => {
   try {
@@ -16,36 +19,20 @@ router.get('/begin', async (req, res) => {
       return res.status(400).json({ error: 'Missing shop parameter' });
     }
     
-    // Ensure the shop is a valid Shopify shop
-    // Note: In the new API version, we need to create a shopify instance first
-    const shopify = shopifyApi({
-      apiKey: process.env.SHOPIFY_API_KEY,
-      apiSecretKey: process.env.SHOPIFY_API_SECRET,
-      scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || ['read_products', 'write_products'],
-      hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost:3000',
-      apiVersion: process.env.SHOPIFY_API_VERSION || '2023-10',
-      isEmbeddedApp: true,
-    });
-    
     // Validate shop domain
-    if (!shop.includes('.myshopify.com')) {
+    if (!isValidShopDomain(shop)) {
       return res.status(400).json({ error: 'Invalid shop domain' });
     }
     
-    // Generate the authorization URL
-    const authRoute = `/api/auth/callback`;
-    const redirectUrl = `${process.env.HOST}${authRoute}`;
-    
-    // Create OAuth begin URL
-    const authUrl = await shopify.auth.beginAuth({
+    // Request an offline token so webhooks can call the Admin API without a user present
+    // shopify.auth.begin sends the redirect itself
+    await shopify.auth.begin({
       shop,
-      callbackPath: redirectUrl,
+      callbackPath: '/api/auth/callback',
       isOnline: false,
-      scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || ['read_products', 'write_products']
+      rawRequest: req,
+      rawResponse: res
     });
-    
-    // Redirect to the authorization URL
-    res.redirect(authUrl);
   } catch (error) {
     console.error('Error beginning auth:', error);
     res.status(500).json(createErrorResponse(error, 'auth/begin'));
@@ -57,30 +44,30 @@ router.get('/begin', async (req, res) => {
  */
 router.get('/callback', async (req, res) => {
   try {
-    // Create a shopify instance
-  const shopify = shopifyApi({
-    apiKey: process.env.SHOPIFY_API_KEY,
-    apiSecretKey: process.env.SHOPIFY_API_SECRET,
-    scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || ['read_products', 'write_products'],
-    hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost:3000',
-    apiVersion: process.env.SHOPIFY_API_VERSION || '2023-10',
-    isEmbeddedApp: true,
-  });
-    
-    // Validate the callback
-    const callbackResponse = await shopify.auth.validateAuthCallback({
+    // Validate the callback and exchange the code for an offline session
+    const { session } = await shopify.auth.callback({
       rawRequest: req,
       rawResponse: res
     });
     
-    // At this point, the OAuth process is complete and we have a valid session
-    console.log('Authentication successful, session created');
+    console.log(`Authentication successful for ${session.shop}, storing offline session`);
+    storeSession(session);
     
-    // Store the session for future use
-    // In a production app, you would store this in a database
+    const { jobsResumed } = activateShop(session.shop);
+    if (jobsResumed) {
+      console.log(`Resumed ${jobsResumed} paused job(s) for ${session.shop}`);
+    }
+    
+    // Register the webhook topics the app handles; a failure here shouldn't block the install,
+    // the subscriptions are reconciled again on the next start
+    try {
+      await reconcileWebhookSubscriptions(session);
+    } catch (error) {
+      console.error(`Error registering webhooks for ${session.shop}:`, error.message);
+    }
     
     // Redirect to the app
-    res.redirect(`/?shop=${req.query.shop}`);
+    res.redirect(`/?shop=${session.shop}`);
   } catch (error) {
     console.error('Error validating auth callback:', error);
     res.status(500).json(createErrorResponse(error, 'auth/callback'));
@@ -88,7 +75,8 @@ router.get('/callback', async (req, res) => {
 });
 
 /**
- * Check if the current session is valid
+ * Check whether the shop has a usable offline session
+ * Reports a scope change when the app now needs scopes the stored token wasn't granted
  */
 router.get('/check', async (req, res) => {
   try {
@@ -98,33 +86,24 @@ router.get('/check', async (req, res) => {
       return res.status(400).json({ error: 'Missing shop parameter' });
     }
     
-    // In a production app, you would retrieve the session from a database
-    // For this example, we'll just check if the shop is valid
-    
-    // Create a shopify instance
-  const shopify = shopifyApi({
-    apiKey: process.env.SHOPIFY_API_KEY,
-    apiSecretKey: process.env.SHOPIFY_API_SECRET,
-    scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || ['read_products', 'write_products'],
-    hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost:3000',
-    apiVersion: process.env.SHOPIFY_API_VERSION || '2023-10',
-    isEmbeddedApp: true,
-  });
-    
     // Validate shop domain
-    if (!shop.includes('.myshopify.com')) {
+    if (!isValidShopDomain(shop)) {
       return res.status(400).json({ error: 'Invalid shop domain' });
     }
     
-    // Check if we have a valid session for this shop
-    // In a real app, you would check your session storage
-    const hasSession = true; // Placeholder for actual session check
+    const status = getSessionStatus(shop);
     
-    if (hasSession) {
-      return res.status(200).json({ authenticated: true });
-    } else {
-      return res.status(401).json({ authenticated: false });
+    if (status.active) {
+      return res.status(200).json({ authenticated: true, ...status });
     }
+    
+    // The merchant has to go through OAuth again to grant a new token
+    return res.status(401).json({
+      authenticated: false,
+      reauthorize: true,
+      reauthorizeUrl: `/api/auth/begin?shop=${encodeURIComponent(shop)}`,
+      ...status
+    });
   } catch (error) {
     console.error('Error checking auth:', error);
     res.status(500).json(createErrorResponse(error, 'auth/check'));
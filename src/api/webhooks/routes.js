@@ -1,43 +1,65 @@
 const express = require('express');
 const router = express.Router();
-// Import Shopify API adapter first
-require('@shopify/shopify-api/adapters/node');
-const { shopifyApi } = require('@shopify/shopify-api');
-
-// Create shopify instance
-const shopify = shopifyApi({
-  apiKey: process.env.SHOPIFY_API_KEY,
-  apiSecretKey: process.env.SHOPIFY_API_SECRET,
-  scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || ['read_products', 'write_products'],
-  hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost:3000',
-  apiVersion: process.env.SHOPIFY_API_VERSION || '2023-10',
-  isEmbeddedApp: true
-});
-const learnWorldsService = require('../../services/learnWorldsService');
+const { loadOrder } = require('../../services/shopifyOrders');
+const { syncOrder } = require('../../services/orderSync');
+const {
+  queueOrderEnrollments,
+  suspendOrderEnrollments,
+  restoreOrderEnrollments,
+  revokeOrderEnrollments
+} = require('../../services/enrollmentJobs');
+const {
+  isValidWebhookHmac,
+  isValidShopDomain,
+  getTopicFromPath
+} = require('../../utils/webhookVerification');
+const {
+  recordWebhookEvent,
+  recordUnprocessedWebhookEvent,
+  markWebhookProcessed,
+  markWebhookFailed
+} = require('../../utils/webhookInbox');
+const { getSubscriptionLineItems } = require('../../utils/subscriptionDetection');
+const { getEnrollmentsForOrder } = require('../../utils/enrollmentLedger');
+const { enqueueCustomerSync } = require('../../services/customerIdentity');
+const { getIdentityLink } = require('../../utils/customerIdentityLinks');
+const { updateContractStatus, recordBillingAttempt } = require('../../utils/subscriptionContracts');
+const { updateDisputeStatus, recordDisputeTransition } = require('../../utils/disputeLog');
+const { exportCustomerData, redactCustomerData, redactShopData } = require('../../services/privacyService');
+const { deactivateShop } = require('../../services/shopLifecycle');
+const { isShopInactive, markShopDataDeleted } = require('../../utils/shopRegistry');
+const { getDryRunConfig } = require('../../config/dryRun');
 
 // Middleware to verify Shopify webhook
-const verifyShopifyWebhook = async (req, res, next) => {
+// Relies on req.rawBody, which is captured for /api/webhooks/* in src/index.js
+const verifyShopifyWebhook = (req, res, next) => {
   try {
-    // Get the HMAC header
     const hmac = req.headers['x-shopify-hmac-sha256'];
+    const topic = req.headers['x-shopify-topic'];
+    const shopDomain = req.headers['x-shopify-shop-domain'];
     
-    if (!hmac) {
+    if (!hmac || !req.rawBody) {
       return res.status(401).send('Unauthorized');
     }
     
-    // Verify the webhook
-    // Create a buffer from the request body
-    const rawBody = JSON.stringify(req.body);
-    const verified = shopify.webhooks.validate({
-      rawBody: rawBody,
-      rawRequest: req,
-      rawResponse: res
-    });
-    
-    if (!verified) {
+    // Verify the signature against the exact bytes Shopify sent
+    if (!isValidWebhookHmac(req.rawBody, hmac, process.env.SHOPIFY_API_SECRET)) {
+      console.log(`Rejected webhook for ${req.path}: HMAC signature mismatch`);
       return res.status(401).send('Unauthorized');
     }
     
+    // Make sure the topic header matches the route the webhook was delivered to
+    const expectedTopic = getTopicFromPath(req.path);
+    if (topic !== expectedTopic) {
+      console.log(`Rejected webhook for ${req.path}: topic header ${topic} does not match ${expectedTopic}`);
+      return res.status(400).send('Topic mismatch');
+    }
+    
+    if (!isValidShopDomain(shopDomain)) {
+      console.log(`Rejected webhook for ${req.path}: invalid shop domain ${shopDomain}`);
+      return res.status(400).send('Invalid shop domain');
+    }
+    
     next();
   } catch (error) {
     console.error('Webhook verification error:', error);
@@ -45,406 +67,532 @@ const verifyShopifyWebhook = async (req, res, next) => {
   }
 };
 
-// Handle order cancellation webhook (for subscription cancellations)
-router.post('/orders/cancelled', verifyShopifyWebhook, async (req, res) => {
+// Store a delivery that is acknowledged without being processed, so operators can find and replay it
+function recordUnprocessedDelivery(req, status, reason) {
+  const webhookId = req.headers['x-shopify-webhook-id'];
+  if (!webhookId) return;
+  
+  recordUnprocessedWebhookEvent({
+    id: webhookId,
+    topic: req.headers['x-shopify-topic'],
+    shop: req.headers['x-shopify-shop-domain'],
+    payload: req.body,
+    status,
+    reason
+  });
+}
+
+// Middleware to acknowledge webhooks from shops that uninstalled the app without processing them
+// Their credentials no longer work, so any Shopify or LearnWorlds call would only fail
+const skipInactiveShop = (req, res, next) => {
+  const shopDomain = req.headers['x-shopify-shop-domain'];
+  
+  if (isShopInactive(shopDomain)) {
+    console.log(`Ignoring ${req.headers['x-shopify-topic']} webhook from inactive shop ${shopDomain}`);
+    recordUnprocessedDelivery(req, 'skipped', 'Shop is inactive');
+    return res.status(200).json({ success: true, message: 'Shop is inactive' });
+  }
+  
+  next();
+};
+
+// Check whether a delivery should be processed as a dry run, globally with DRY_RUN=true
+// or for one delivery with the X-Dry-Run: true header
+function isDryRunRequest(req) {
+  return getDryRunConfig().enabled || req.headers['x-dry-run'] === 'true';
+}
+
+// Middleware to mark dry-run deliveries of topics that can report what they would do
+const resolveDryRun = (req, res, next) => {
+  res.locals.dryRun = isDryRunRequest(req);
+  next();
+};
+
+// Acknowledge a dry-run delivery without processing it
+function acknowledgeDryRunDelivery(req, res) {
+  console.log(`Dry run of ${req.headers['x-shopify-topic']} webhook, not processing it`);
+  recordUnprocessedDelivery(req, 'dry_run', 'Dry run is not supported for this topic');
+  return res.status(200).json({ success: true, dryRun: true, message: 'Dry run is not supported for this topic, nothing was changed' });
+}
+
+// Middleware to acknowledge dry-run deliveries of topics that can't report what they would do
+// without processing them, since they change stored state as well as LearnWorlds access
+const acknowledgeDryRun = (req, res, next) => {
+  if (isDryRunRequest(req)) {
+    return acknowledgeDryRunDelivery(req, res);
+  }
+  
+  next();
+};
+
+// Middleware for the mandatory compliance topics and app/uninstalled, which must never be lost
+// Shopify doesn't resend a delivery we acknowledge, so the global DRY_RUN flag doesn't apply:
+// only a delivery sent with the X-Dry-Run: true header is acknowledged without being processed
+const acknowledgeDryRunHeader = (req, res, next) => {
+  if (req.headers['x-dry-run'] === 'true') {
+    return acknowledgeDryRunDelivery(req, res);
+  }
+  
+  next();
+};
+
+// Middleware to persist the webhook to the inbox, marked as processing, before it is processed
+// Duplicate deliveries (same X-Shopify-Webhook-Id) are acknowledged without running the handler again
+const recordWebhookInInbox = (req, res, next) => {
   try {
-    const { id } = req.body;
+    const webhookId = req.headers['x-shopify-webhook-id'];
     
-    console.log(`Processing order cancellation for order ${id}`);
+    if (!webhookId) {
+      return res.status(400).send('Missing webhook ID');
+    }
     
-    // Get the shop domain from the headers
-    const shopDomain = req.headers['x-shopify-shop-domain'];
-    if (!shopDomain) {
-      console.log(`Order cancellation ${id} missing shop domain in headers`);
-      return res.status(200).json({ success: true, message: 'Missing shop domain' });
+    // Dry runs are stored as such, so the real delivery with the same ID is still processed
+    if (res.locals.dryRun) {
+      recordUnprocessedDelivery(req, 'dry_run', 'Delivered as a dry run');
+      return next();
     }
     
-    try {
-      // Create a new admin REST client for the shop
-      const restClient = new shopify.clients.Rest({
-        session: {
-          shop: shopDomain,
-          accessToken: process.env.SHOPIFY_API_SECRET // Using API secret as access token for API calls
-        }
-      });
-      
-      // Fetch the order details using the Shopify REST API
-      const response = await restClient.get({
-        path: `orders/${id}`,
-        query: {
-          fields: 'id,customer,line_items,tags'
-        }
-      });
-      
-      const order = response.body.order;
-      
-      if (!order || !order.customer || !order.customer.email || !order.line_items) {
-        console.log(`Could not retrieve complete order details for order ${id}`);
-        return res.status(200).json({ success: true, message: 'Incomplete order details' });
-      }
-      
-      // Check if this order is related to a subscription (by checking tags)
-      const isSubscription = order.tags && 
-        order.tags.split(',').some(tag => tag.trim().toLowerCase().includes('subscription'));
-      
-      if (!isSubscription) {
-        console.log(`Order ${id} cancelled but not a subscription, skipping LearnWorlds unenrollment`);
-        return res.status(200).json({ success: true, message: 'Not a subscription order' });
-      }
-      
-      console.log(`Processing subscription cancellation for order ${id}, customer ${order.customer.id}`);
-      
-      // Process each product in the order
-      for (const item of order.line_items) {
-        const product_id = item.product_id;
-        const product_title = item.title || '';
-        if (!product_id) continue;
-        
-        // Unenroll the customer from the LearnWorlds course
-        // Pass both product ID and product name to handle bundle products
-        await learnWorldsService.unenrollUserFromCourse(order.customer.email, product_id, product_title);
-        
-        console.log(`Successfully unenrolled customer ${order.customer.id} from LearnWorlds course due to subscription cancellation of product ${product_title}`);
-      }
-      
-    } catch (apiError) {
-      console.error(`Error fetching order details from Shopify API:`, apiError);
-      return res.status(200).json({ success: true, message: 'Error fetching order details' });
+    const { event, duplicate } = recordWebhookEvent({
+      id: webhookId,
+      topic: req.headers['x-shopify-topic'],
+      shop: req.headers['x-shopify-shop-domain'],
+      payload: req.body
+    });
+    
+    if (duplicate) {
+      console.log(`Webhook ${webhookId} (${event.topic}) already received with status ${event.status}, skipping`);
+      return res.status(200).json({ success: true, message: 'Duplicate webhook' });
     }
     
-    res.status(200).json({ success: true });
+    // Record the outcome once the handler has responded
+    res.on('finish', () => {
+      if (res.statusCode >= 500 || res.locals.webhookError) {
+        markWebhookFailed(webhookId, res.locals.webhookError || `Responded with status ${res.statusCode}`);
+      } else {
+        markWebhookProcessed(webhookId);
+      }
+    });
+    
+    next();
   } catch (error) {
-    console.error('Error processing order cancellation webhook:', error);
-    res.status(500).json({ error: 'Internal server error' });
+    console.error('Webhook inbox error:', error);
+    res.status(500).send('Internal Server Error');
   }
-});
+};
 
-// Handle order creation webhook (for new subscriptions)
-router.post('/orders/create', verifyShopifyWebhook, async (req, res) => {
+// Run an order webhook through the shared order-sync pipeline
+// The topic configuration in src/services/orderSync.js decides whether access is granted or revoked
+const handleOrderSync = async (req, res) => {
   try {
-    const { id } = req.body;
+    const topic = req.headers['x-shopify-topic'];
+    
+    // orders/paid -> order, refunds/create -> refund, fulfillments/create -> fulfillment
+    const { resource, id } = req.body.order_edit
+      ? { resource: 'order edit', id: req.body.order_edit.id }
+      : { resource: topic.split('/')[0].replace(/s$/, ''), id: req.body.id };
+    console.log(`Processing ${topic} webhook for ${resource} ${id}`);
     
-    console.log(`Processing order creation for order ${id}`);
+    const report = await syncOrder(topic, {
+      shop: req.headers['x-shopify-shop-domain'],
+      payload: req.body,
+      webhookId: req.headers['x-shopify-webhook-id']
+    }, { dryRun: res.locals.dryRun });
     
-    // Get the shop domain from the headers
+    if (res.locals.dryRun) {
+      return res.status(200).json({ success: true, dryRun: true, report });
+    }
+    
+    if (report.status === 'failed' || report.status === 'partial') {
+      res.locals.webhookError = report.error;
+      // Respond with an error so Shopify retries the delivery instead of the change being lost
+      return res.status(500).json({ error: 'Order sync failed', reportId: report.id });
+    }
+    
+    res.status(200).json({ success: true, reportId: report.id, status: report.status, message: report.reason || undefined });
+  } catch (error) {
+    console.error('Error processing order webhook:', error);
+    res.locals.webhookError = error.message;
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+router.post('/orders/create', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/orders/paid', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/orders/cancelled', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/orders/updated', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/orders/edited', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/orders/fulfilled', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/fulfillments/create', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+router.post('/refunds/create', verifyShopifyWebhook, skipInactiveShop, resolveDryRun, recordWebhookInInbox, handleOrderSync);
+
+// Topics that suspend access for subscription contracts and disputes
+const CONTRACT_TOPICS = ['subscription_contracts/create', 'subscription_contracts/update'];
+const DISPUTE_TOPICS = ['disputes/create', 'disputes/update'];
+
+/**
+ * Make course access for every order of a subscription contract follow the contract status
+ * active restores suspended access, paused suspends it, cancelled and expired revoke it
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} contract - Stored subscription contract
+ * @param {string} topic - Webhook topic that triggered the change
+ * @returns {number} Number of jobs queued
+ */
+function applyContractStatus(shopDomain, contract, topic) {
+  let queued = 0;
+  
+  for (const orderId of contract.order_ids) {
+    switch (contract.status) {
+      case 'active':
+        // Access suspended by an open dispute stays suspended until the dispute is closed
+        queued += restoreOrderEnrollments(shopDomain, orderId, topic, { suspendedBy: CONTRACT_TOPICS });
+        break;
+      case 'paused':
+        queued += suspendOrderEnrollments(shopDomain, orderId, topic, { subscriptionOnly: true });
+        break;
+      case 'cancelled':
+      case 'expired':
+        queued += revokeOrderEnrollments(shopDomain, orderId, topic, { subscriptionOnly: true });
+        break;
+      default:
+        console.log(`Subscription contract ${contract.contract_id} has status ${contract.status}, leaving access unchanged`);
+    }
+  }
+  
+  return queued;
+}
+
+// Handle subscription contract creation and updates
+const handleSubscriptionContract = async (req, res) => {
+  try {
+    const { id, status, customer_id, origin_order_id } = req.body;
     const shopDomain = req.headers['x-shopify-shop-domain'];
-    if (!shopDomain) {
-      console.log(`Order creation ${id} missing shop domain in headers`);
-      return res.status(200).json({ success: true, message: 'Missing shop domain' });
+    const topic = req.headers['x-shopify-topic'];
+    
+    if (!id || !status) {
+      console.log(`Subscription contract webhook missing id or status, cannot process`);
+      return res.status(200).json({ success: true, message: 'Missing contract id or status' });
     }
     
-    try {
-      // Create a new admin REST client for the shop
-      const restClient = new shopify.clients.Rest({
-        session: {
-          shop: shopDomain,
-          accessToken: process.env.SHOPIFY_API_SECRET // Using API secret as access token for API calls
-        }
-      });
-      
-      // Fetch the order details using the Shopify REST API
-      const response = await restClient.get({
-        path: `orders/${id}`,
-        query: {
-          fields: 'id,customer,line_items,tags,financial_status'
-        }
-      });
-      
-      const order = response.body.order;
-      
-      if (!order || !order.customer || !order.customer.email || !order.line_items) {
-        console.log(`Could not retrieve complete order details for order ${id}`);
-        return res.status(200).json({ success: true, message: 'Incomplete order details' });
-      }
-      
-      // Check if this order is related to a subscription (by checking tags)
-      const isSubscription = order.tags && 
-        order.tags.split(',').some(tag => tag.trim().toLowerCase().includes('subscription'));
-      
-      if (!isSubscription) {
-        console.log(`Order ${id} created but not a subscription, skipping LearnWorlds enrollment`);
-        return res.status(200).json({ success: true, message: 'Not a subscription order' });
-      }
-      
-      // Only process paid or authorized orders
-      if (order.financial_status !== 'paid' && order.financial_status !== 'authorized') {
-        console.log(`Subscription order ${id} has financial status ${order.financial_status}, not processing until paid`);
-        return res.status(200).json({ success: true, message: 'Order not paid yet' });
-      }
-      
-      console.log(`Processing new subscription for order ${id}, customer ${order.customer.id}`);
-      
-      // Process each product in the order
-      for (const item of order.line_items) {
-        const product_id = item.product_id;
-        const product_title = item.title || '';
-        if (!product_id) continue;
-        
-        // Create user data object for enrollment
-        const userData = {
-          email: order.customer.email,
-          first_name: order.customer.first_name || '',
-          last_name: order.customer.last_name || ''
-        };
-        
-        // Enroll the customer in the LearnWorlds course
-        // Pass both product ID and product name to handle bundle products
-        await learnWorldsService.enrollUserInCourse(order.customer.email, product_id, userData, product_title);
+    console.log(`Processing subscription contract ${id} with status ${status}`);
+    
+    const { contract, previousStatus } = updateContractStatus({
+      shop: shopDomain,
+      contractId: id,
+      customerId: customer_id,
+      originOrderId: origin_order_id,
+      status,
+      topic
+    });
+    
+    // Enroll the origin order if no order webhook has enrolled it yet
+    if (status === 'active' && contract.origin_order_id &&
+        !getEnrollmentsForOrder(shopDomain, contract.origin_order_id).length) {
+      try {
+        // The contract payload only has the origin order ID, so fetch the order
+        const order = await loadOrder(shopDomain, contract.origin_order_id);
         
-        console.log(`Successfully enrolled customer ${order.customer.id} in LearnWorlds course due to new subscription for product ${product_title}`);
+        if (order && order.customer && order.customer.email && order.line_items) {
+          // Without selling plan details every line item of the origin order is part of the subscription
+          const subscriptionItems = getSubscriptionLineItems(order);
+          const queued = queueOrderEnrollments(shopDomain, order, topic,
+            subscriptionItems.length ? subscriptionItems : order.line_items);
+          console.log(`Queued ${queued} enrollment job(s) for origin order ${order.id} of subscription contract ${id}`);
+        } else {
+          console.log(`Could not retrieve complete order details for origin order ${contract.origin_order_id}`);
+        }
+      } catch (apiError) {
+        console.error(`Error fetching order details from Shopify API:`, apiError);
+        res.locals.webhookError = apiError.message;
+        // Respond with an error so Shopify retries the delivery instead of the enrollment being lost
+        return res.status(500).json({ error: 'Error fetching order details' });
       }
-      
-    } catch (apiError) {
-      console.error(`Error fetching order details from Shopify API:`, apiError);
-      return res.status(200).json({ success: true, message: 'Error fetching order details' });
+    }
+    
+    if (previousStatus !== status) {
+      const queued = applyContractStatus(shopDomain, contract, topic);
+      console.log(`Subscription contract ${id} changed from ${previousStatus || 'new'} to ${status}, queued ${queued} job(s)`);
     }
     
     res.status(200).json({ success: true });
   } catch (error) {
-    console.error('Error processing order creation webhook:', error);
+    console.error('Error processing subscription contract webhook:', error);
+    res.locals.webhookError = error.message;
     res.status(500).json({ error: 'Internal server error' });
   }
-});
+};
 
-// Handle order payment webhook (for subscription orders that were pending payment)
-router.post('/orders/paid', verifyShopifyWebhook, async (req, res) => {
+router.post('/subscription_contracts/create', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, handleSubscriptionContract);
+router.post('/subscription_contracts/update', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, handleSubscriptionContract);
+
+// Handle successful subscription billing (renewal orders are enrolled by the order webhooks)
+router.post('/subscription_billing_attempts/success', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, async (req, res) => {
   try {
-    const { id } = req.body;
-    
-    console.log(`Processing order payment for order ${id}`);
-    
-    // Get the shop domain from the headers
+    const { id, order_id, subscription_contract_id } = req.body;
     const shopDomain = req.headers['x-shopify-shop-domain'];
-    if (!shopDomain) {
-      console.log(`Order payment ${id} missing shop domain in headers`);
-      return res.status(200).json({ success: true, message: 'Missing shop domain' });
+    const topic = req.headers['x-shopify-topic'];
+    
+    if (!subscription_contract_id) {
+      console.log(`Billing attempt ${id} missing subscription_contract_id, cannot process`);
+      return res.status(200).json({ success: true, message: 'Missing subscription contract id' });
     }
     
-    try {
-      // Create a new admin REST client for the shop
-      const restClient = new shopify.clients.Rest({
-        session: {
-          shop: shopDomain,
-          accessToken: process.env.SHOPIFY_API_SECRET // Using API secret as access token for API calls
-        }
-      });
-      
-      // Fetch the order details using the Shopify REST API
-      const response = await restClient.get({
-        path: `orders/${id}`,
-        query: {
-          fields: 'id,customer,line_items,tags,financial_status'
-        }
-      });
-      
-      const order = response.body.order;
-      
-      if (!order || !order.customer || !order.customer.email || !order.line_items) {
-        console.log(`Could not retrieve complete order details for order ${id}`);
-        return res.status(200).json({ success: true, message: 'Incomplete order details' });
-      }
-      
-      // Check if this order is related to a subscription (by checking tags)
-      const isSubscription = order.tags && 
-        order.tags.split(',').some(tag => tag.trim().toLowerCase().includes('subscription'));
-      
-      if (!isSubscription) {
-        console.log(`Order ${id} paid but not a subscription, skipping LearnWorlds enrollment`);
-        return res.status(200).json({ success: true, message: 'Not a subscription order' });
-      }
-      
-      console.log(`Processing paid subscription for order ${id}, customer ${order.customer.id}`);
-      
-      // Process each product in the order
-      for (const item of order.line_items) {
-        const product_id = item.product_id;
-        const product_title = item.title || '';
-        if (!product_id) continue;
-        
-        // Create user data object for enrollment
-        const userData = {
-          email: order.customer.email,
-          first_name: order.customer.first_name || '',
-          last_name: order.customer.last_name || ''
-        };
-        
-        // Enroll the customer in the LearnWorlds course
-        // Pass both product ID and product name to handle bundle products
-        await learnWorldsService.enrollUserInCourse(order.customer.email, product_id, userData, product_title);
-        
-        console.log(`Successfully enrolled customer ${order.customer.id} in LearnWorlds course due to paid subscription for product ${product_title}`);
-      }
-      
-    } catch (apiError) {
-      console.error(`Error fetching order details from Shopify API:`, apiError);
-      return res.status(200).json({ success: true, message: 'Error fetching order details' });
+    console.log(`Processing successful billing attempt ${id} for subscription contract ${subscription_contract_id}`);
+    
+    const contract = recordBillingAttempt({
+      shop: shopDomain,
+      contractId: subscription_contract_id,
+      orderId: order_id,
+      success: true,
+      topic
+    });
+    
+    // A successful charge on an active contract restores any access that is still suspended
+    if (contract.status === 'active') {
+      const queued = applyContractStatus(shopDomain, contract, topic);
+      console.log(`Queued ${queued} job(s) after successful billing of subscription contract ${subscription_contract_id}`);
     }
     
     res.status(200).json({ success: true });
   } catch (error) {
-    console.error('Error processing order payment webhook:', error);
+    console.error('Error processing billing attempt success webhook:', error);
+    res.locals.webhookError = error.message;
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Handle refund webhook (for subscription cancellations via refund)
-router.post('/refunds/create', verifyShopifyWebhook, async (req, res) => {
+// Handle failed subscription billing
+// Access only changes when Shopify moves the contract to paused, cancelled or expired
+router.post('/subscription_billing_attempts/failure', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, async (req, res) => {
   try {
-    const { id, order_id } = req.body;
+    const { id, subscription_contract_id, error_message, error_code } = req.body;
+    const shopDomain = req.headers['x-shopify-shop-domain'];
     
-    if (!order_id) {
-      console.log(`Refund ${id} doesn't include order_id, cannot process`);
-      return res.status(200).json({ success: true, message: 'Missing order_id' });
+    if (!subscription_contract_id) {
+      console.log(`Billing attempt ${id} missing subscription_contract_id, cannot process`);
+      return res.status(200).json({ success: true, message: 'Missing subscription contract id' });
     }
     
-    console.log(`Processing refund ${id} for order ${order_id}`);
+    const contract = recordBillingAttempt({
+      shop: shopDomain,
+      contractId: subscription_contract_id,
+      success: false,
+      errorMessage: error_message || error_code,
+      topic: req.headers['x-shopify-topic']
+    });
+    
+    console.log(`Billing attempt ${id} failed for subscription contract ${subscription_contract_id} (${contract.billing_failures} consecutive failure(s)): ${contract.last_billing_error}`);
     
-    // Get the shop domain from the headers
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error processing billing attempt failure webhook:', error);
+    res.locals.webhookError = error.message;
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Dispute statuses while the bank hasn't decided yet, and the ones that mean the merchant lost the money
+const OPEN_DISPUTE_STATUSES = ['needs_response', 'under_review'];
+const LOST_DISPUTE_STATUSES = ['lost', 'accepted', 'charge_refunded'];
+
+/**
+ * Make course access for a disputed order follow the dispute status
+ * An open chargeback suspends access, winning it restores the access it suspended
+ * and losing it revokes access for good
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} dispute - Stored dispute
+ * @param {string} topic - Webhook topic that triggered the change
+ * @returns {{access: string|null, queued: number}} Access change made and number of jobs queued
+ */
+function applyDisputeStatus(shopDomain, dispute, topic) {
+  const { order_id: orderId, status } = dispute;
+  
+  if (OPEN_DISPUTE_STATUSES.includes(status)) {
+    if (dispute.access === 'suspended' || dispute.access === 'revoked') return { access: null, queued: 0 };
+    return { access: 'suspended', queued: suspendOrderEnrollments(shopDomain, orderId, topic) };
+  }
+  
+  if (status === 'won') {
+    if (dispute.access !== 'suspended') return { access: null, queued: 0 };
+    return {
+      access: 'restored',
+      queued: restoreOrderEnrollments(shopDomain, orderId, topic, { suspendedBy: DISPUTE_TOPICS })
+    };
+  }
+  
+  if (LOST_DISPUTE_STATUSES.includes(status)) {
+    if (dispute.access === 'revoked') return { access: null, queued: 0 };
+    return { access: 'revoked', queued: revokeOrderEnrollments(shopDomain, orderId, topic) };
+  }
+  
+  console.log(`Dispute ${dispute.dispute_id} has status ${status}, leaving access unchanged`);
+  return { access: null, queued: 0 };
+}
+
+// Handle chargebacks and inquiries being opened or changing status
+const handleDispute = async (req, res) => {
+  try {
+    const { id, order_id, type, reason, status } = req.body;
     const shopDomain = req.headers['x-shopify-shop-domain'];
-    if (!shopDomain) {
-      console.log(`Refund ${id} missing shop domain in headers`);
-      return res.status(200).json({ success: true, message: 'Missing shop domain' });
+    const topic = req.headers['x-shopify-topic'];
+    
+    if (!id || !status) {
+      console.log(`Dispute webhook missing id or status, cannot process`);
+      return res.status(200).json({ success: true, message: 'Missing dispute id or status' });
     }
     
-    try {
-      // Create a new admin REST client for the shop
-      const restClient = new shopify.clients.Rest({
-        session: {
-          shop: shopDomain,
-          accessToken: process.env.SHOPIFY_API_SECRET // Using API secret as access token for API calls
-        }
-      });
-      
-      // Fetch the order details using the Shopify REST API
-      const orderResponse = await restClient.get({
-        path: `orders/${order_id}`,
-        query: {
-          fields: 'id,customer,line_items,tags'
-        }
-      });
-      
-      const order = orderResponse.body.order;
-      
-      if (!order) {
-        console.log(`Could not retrieve order details for order ${order_id}`);
-        return res.status(200).json({ success: true, message: 'Could not retrieve order details' });
-      }
-      
-      if (!order.customer || !order.customer.email || !order.line_items || !order.line_items.length) {
-        console.log(`Order ${order_id} missing required customer or line item details`);
-        return res.status(200).json({ success: true, message: 'Missing required fields in order' });
-      }
-      
-      // Check if this order is related to a subscription (by checking tags)
-      const isSubscription = order.tags && 
-        order.tags.split(',').some(tag => tag.trim().toLowerCase().includes('subscription'));
-      
-      if (!isSubscription) {
-        console.log(`Refund ${id} for order ${order_id} but not a subscription, skipping LearnWorlds unenrollment`);
-        return res.status(200).json({ success: true, message: 'Not a subscription order' });
-      }
-      
-      console.log(`Processing refund ${id} for subscription order ${order_id}, customer ${order.customer.id}`);
-      
-      // Process each product in the order
-      for (const item of order.line_items) {
-        const product_id = item.product_id;
-        const product_title = item.title || '';
-        if (!product_id) continue;
-        
-        // Unenroll the customer from the LearnWorlds course
-        // Pass both product ID and product name to handle bundle products
-        await learnWorldsService.unenrollUserFromCourse(order.customer.email, product_id, product_title);
-        
-        console.log(`Successfully unenrolled customer ${order.customer.id} from LearnWorlds course due to refund of product ${product_title}`);
-      }
-      
-    } catch (apiError) {
-      console.error(`Error fetching order details from Shopify API:`, apiError);
-      return res.status(200).json({ success: true, message: 'Error fetching order details' });
+    console.log(`Processing ${type || 'dispute'} ${id} for order ${order_id} with status ${status}`);
+    
+    const { dispute, previousStatus } = updateDisputeStatus({
+      shop: shopDomain,
+      disputeId: id,
+      orderId: order_id,
+      type,
+      reason,
+      status
+    });
+    
+    if (previousStatus === status) {
+      return res.status(200).json({ success: true, message: 'Dispute status unchanged' });
+    }
+    
+    // Inquiries don't take the money back, so access is only changed for chargebacks
+    const { access, queued } = dispute.type === 'chargeback' && dispute.order_id
+      ? applyDisputeStatus(shopDomain, dispute, topic)
+      : { access: null, queued: 0 };
+    
+    recordDisputeTransition(shopDomain, id, { from: previousStatus, to: status, access, jobsQueued: queued, topic });
+    console.log(`Dispute ${id} changed from ${previousStatus || 'new'} to ${status}, access ${access || 'unchanged'}, queued ${queued} job(s)`);
+    
+    res.status(200).json({ success: true, access });
+  } catch (error) {
+    console.error('Error processing dispute webhook:', error);
+    res.locals.webhookError = error.message;
+    res.status(500).json({ error: 'Internal server error' });
+  }
+};
+
+router.post('/disputes/create', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, handleDispute);
+router.post('/disputes/update', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, handleDispute);
+
+// Handle customer profile changes by updating the linked LearnWorlds user
+router.post('/customers/update', verifyShopifyWebhook, skipInactiveShop, acknowledgeDryRun, recordWebhookInInbox, async (req, res) => {
+  try {
+    const { id, email, first_name, last_name } = req.body;
+    const shopDomain = req.headers['x-shopify-shop-domain'];
+    
+    if (!getIdentityLink(shopDomain, id)) {
+      console.log(`Customer ${id} updated but not linked to a LearnWorlds user, skipping`);
+      return res.status(200).json({ success: true, message: 'Customer not linked to LearnWorlds' });
     }
     
+    console.log(`Queueing LearnWorlds profile sync for customer ${id}`);
+    
+    enqueueCustomerSync({
+      shop: shopDomain,
+      customerId: id,
+      email,
+      firstName: first_name || '',
+      lastName: last_name || ''
+    });
+    
     res.status(200).json({ success: true });
   } catch (error) {
-    console.error('Error processing refund webhook:', error);
+    console.error('Error processing customer update webhook:', error);
+    res.locals.webhookError = error.message;
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// Handle order update webhook (for subscription status changes)
-router.post('/orders/updated', verifyShopifyWebhook, async (req, res) => {
+// GDPR: a customer asked the merchant for the data we hold about them
+// The export is stored so the merchant can retrieve it from the admin API
+router.post('/customers/data_request', verifyShopifyWebhook, acknowledgeDryRunHeader, recordWebhookInInbox, async (req, res) => {
   try {
-    const { id, cancelled_at, tags } = req.body;
+    const { customer = {}, orders_requested = [], data_request = {} } = req.body;
+    const shopDomain = req.headers['x-shopify-shop-domain'];
     
-    // Check if this is a subscription order
-    const isSubscription = tags && 
-      tags.split(',').some(tag => tag.trim().toLowerCase().includes('subscription'));
+    console.log(`Processing data request ${data_request.id} for customer ${customer.id}`);
     
-    // If not a subscription or not cancelled, ignore
-    if (!isSubscription || !cancelled_at) {
-      return res.status(200).json({ success: true, message: 'Not a cancelled subscription' });
-    }
+    const dataExport = exportCustomerData(shopDomain, {
+      customerId: customer.id,
+      email: customer.email,
+      orderIds: orders_requested,
+      dataRequestId: data_request.id
+    });
     
-    console.log(`Processing subscription status change for order ${id}`);
+    console.log(`Stored data export ${dataExport.id} for customer ${customer.id}`);
     
-    // Get the shop domain from the headers
+    res.status(200).json({ success: true, exportId: dataExport.id });
+  } catch (error) {
+    console.error('Error processing customer data request webhook:', error);
+    res.locals.webhookError = error.message;
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// GDPR: erase or anonymize everything we hold about a customer
+router.post('/customers/redact', verifyShopifyWebhook, acknowledgeDryRunHeader, recordWebhookInInbox, async (req, res) => {
+  try {
+    const { customer = {}, orders_to_redact = [] } = req.body;
     const shopDomain = req.headers['x-shopify-shop-domain'];
-    if (!shopDomain) {
-      console.log(`Order update ${id} missing shop domain in headers`);
-      return res.status(200).json({ success: true, message: 'Missing shop domain' });
-    }
     
-    try {
-      // Create a new admin REST client for the shop
-      const restClient = new shopify.clients.Rest({
-        session: {
-          shop: shopDomain,
-          accessToken: process.env.SHOPIFY_API_SECRET // Using API secret as access token for API calls
-        }
-      });
-      
-      // Fetch the order details using the Shopify REST API
-      const response = await restClient.get({
-        path: `orders/${id}`,
-        query: {
-          fields: 'id,customer,line_items,tags,status'
-        }
-      });
-      
-      const order = response.body.order;
-      
-      if (!order || !order.customer || !order.customer.email || !order.line_items) {
-        console.log(`Could not retrieve complete order details for order ${id}`);
-        return res.status(200).json({ success: true, message: 'Incomplete order details' });
-      }
-      
-      console.log(`Processing unsubscription for order ${id}, customer ${order.customer.id}`);
-      
-      // Process each product in the order
-      for (const item of order.line_items) {
-        const product_id = item.product_id;
-        const product_title = item.title || '';
-        if (!product_id) continue;
-        
-        // Unenroll the customer from the LearnWorlds course
-        // Pass both product ID and product name to handle bundle products
-        await learnWorldsService.unenrollUserFromCourse(order.customer.email, product_id, product_title);
-        
-        console.log(`Successfully unenrolled customer ${order.customer.id} from LearnWorlds course due to subscription status change of product ${product_title}`);
-      }
-      
-    } catch (apiError) {
-      console.error(`Error fetching order details from Shopify API:`, apiError);
-      return res.status(200).json({ success: true, message: 'Error fetching order details' });
-    }
+    console.log(`Processing redaction for customer ${customer.id}`);
     
-    res.status(200).json({ success: true });
+    const redaction = redactCustomerData(shopDomain, {
+      customerId: customer.id,
+      email: customer.email,
+      orderIds: orders_to_redact,
+      topic: req.headers['x-shopify-topic']
+    });
+    
+    console.log(`Redacted data for customer ${customer.id} (redaction ${redaction.id}):`, redaction.counts);
+    
+    res.status(200).json({ success: true, redactionId: redaction.id });
   } catch (error) {
-    console.error('Error processing order update webhook:', error);
+    console.error('Error processing customer redact webhook:', error);
+    res.locals.webhookError = error.message;
     res.status(500).json({ error: 'Internal server error' });
   }
 });
 
-// No longer need the helper function as we're using the utility module
+// GDPR: delete everything we hold for a shop, sent 48 hours after the app is uninstalled
+router.post('/shop/redact', verifyShopifyWebhook, acknowledgeDryRunHeader, recordWebhookInInbox, async (req, res) => {
+  try {
+    const shopDomain = req.headers['x-shopify-shop-domain'];
+    
+    console.log(`Processing shop redaction for ${shopDomain}`);
+    
+    const redaction = redactShopData(shopDomain, req.headers['x-shopify-topic']);
+    markShopDataDeleted(shopDomain);
+    
+    console.log(`Redacted data for shop ${shopDomain} (redaction ${redaction.id}):`, redaction.counts);
+    
+    res.status(200).json({ success: true, redactionId: redaction.id });
+  } catch (error) {
+    console.error('Error processing shop redact webhook:', error);
+    res.locals.webhookError = error.message;
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
+
+// Handle the app being uninstalled
+// The shop is marked inactive, its sessions are dropped and its queued jobs are paused
+// until its data is deleted after the retention period
+router.post('/app/uninstalled', verifyShopifyWebhook, acknowledgeDryRunHeader, recordWebhookInInbox, async (req, res) => {
+  try {
+    const shopDomain = req.headers['x-shopify-shop-domain'];
+    
+    console.log(`Processing app uninstall for shop ${shopDomain}`);
+    
+    const { shop, sessionsDeleted, jobsPaused } = deactivateShop(shopDomain);
+    
+    console.log(`Shop ${shopDomain} marked inactive: ${sessionsDeleted} session(s) deleted, ${jobsPaused} job(s) paused, data scheduled for deletion at ${shop.data_deletion_at}`);
+    
+    res.status(200).json({ success: true });
+  } catch (error) {
+    console.error('Error processing app uninstalled webhook:', error);
+    res.locals.webhookError = error.message;
+    res.status(500).json({ error: 'Internal server error' });
+  }
+});
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+/**
+ * Configuration for time-limited course access
+ */
+
+/**
+ * Get access expiration configuration from environment variables
+ * @returns {Object} Access expiration configuration
+ */
+function getAccessExpirationConfig() {
+  const reminderDays = parseInt(process.env.ACCESS_EXPIRY_REMINDER_DAYS, 10);
+  return {
+    checkIntervalMs: parseInt(process.env.ACCESS_EXPIRY_CHECK_INTERVAL_MS, 10) || 60 * 60 * 1000,
+    // Days before expiry to send the reminder event, 0 to disable reminders
+    reminderDays: Number.isNaN(reminderDays) ? 7 : reminderDays,
+    // URL the reminder event is POSTed to, e.g. an email automation webhook
+    reminderUrl: process.env.ACCESS_EXPIRY_REMINDER_URL || null
+  };
+}
+
+module.exports = {
+  getAccessExpirationConfig
+};
@@ -0,0 +1,18 @@
+/**
+ * Configuration for dry-run webhook processing
+ */
+
+/**
+ * Get dry-run configuration from environment variables
+ * @returns {Object} Dry-run configuration
+ */
+function getDryRunConfig() {
+  return {
+    // Process every webhook as a dry run: report what would change, queue nothing
+    enabled: process.env.DRY_RUN === 'true'
+  };
+}
+
+module.exports = {
+  getDryRunConfig
+};
@@ -0,0 +1,21 @@
+/**
+ * Configuration for the background job queue
+ */
+
+/**
+ * Get job queue configuration from environment variables
+ * @returns {Object} Job queue configuration
+ */
+function getJobQueueConfig() {
+  return {
+    maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS, 10) || 5,
+    backoffBaseMs: parseInt(process.env.JOB_BACKOFF_BASE_MS, 10) || 30 * 1000,
+    backoffMaxMs: parseInt(process.env.JOB_BACKOFF_MAX_MS, 10) || 60 * 60 * 1000,
+    pollIntervalMs: parseInt(process.env.JOB_POLL_INTERVAL_MS, 10) || 5 * 1000,
+    completedRetentionMs: parseInt(process.env.JOB_COMPLETED_RETENTION_MS, 10) || 7 * 24 * 60 * 60 * 1000
+  };
+}
+
+module.exports = {
+  getJobQueueConfig
+};
@@ -4,13 +4,28 @@
 
 /**
  * Get LearnWorlds API configuration from environment variables
+ * With a client ID and secret the service requests client-credentials tokens,
+ * otherwise LEARNWORLDS_API_KEY is sent as a static bearer token
  * @returns {Object} LearnWorlds configuration
  */
 function getLearnWorldsConfig() {
+  const baseUrl = process.env.LEARNWORLDS_API_URL || 'https://api.learnworlds.com';
+  const clientId = process.env.LEARNWORLDS_CLIENT_ID;
+  const clientSecret = process.env.LEARNWORLDS_CLIENT_SECRET;
+  const userCacheTtlMs = parseInt(process.env.LEARNWORLDS_USER_CACHE_TTL_MS, 10);
+
   return {
     apiKey: process.env.LEARNWORLDS_API_KEY,
-    baseUrl: process.env.LEARNWORLDS_API_URL || 'https://api.learnworlds.com',
-    schoolId: process.env.LEARNWORLDS_SCHOOL_ID
+    baseUrl,
+    schoolId: process.env.LEARNWORLDS_SCHOOL_ID,
+    clientId,
+    clientSecret,
+    authMode: clientId && clientSecret ? 'client_credentials' : 'static',
+    // Sent as the Lw-Client header on every request
+    lwClient: clientId || process.env.LEARNWORLDS_SCHOOL_ID,
+    tokenUrl: process.env.LEARNWORLDS_TOKEN_URL || `${baseUrl.replace(/\/$/, '')}/admin/api/oauth2/access_token`,
+    // How long an email to user ID lookup is cached, 0 to disable the cache
+    userCacheTtlMs: Number.isNaN(userCacheTtlMs) ? 24 * 60 * 60 * 1000 : userCacheTtlMs
   };
 }
 
@@ -0,0 +1,28 @@
+/**
+ * Configuration for the LearnWorlds HTTP client
+ */
+
+/**
+ * Get LearnWorlds HTTP client configuration from environment variables
+ * @returns {Object} LearnWorlds HTTP client configuration
+ */
+function getLearnWorldsClientConfig() {
+  const maxRetries = parseInt(process.env.LEARNWORLDS_MAX_RETRIES, 10);
+
+  return {
+    timeoutMs: parseInt(process.env.LEARNWORLDS_TIMEOUT_MS, 10) || 15 * 1000,
+    // Retries after the first attempt, for 429, 5xx and network errors, 0 to disable retries
+    maxRetries: Number.isNaN(maxRetries) ? 3 : maxRetries,
+    retryBaseMs: parseInt(process.env.LEARNWORLDS_RETRY_BASE_MS, 10) || 500,
+    retryMaxMs: parseInt(process.env.LEARNWORLDS_RETRY_MAX_MS, 10) || 30 * 1000,
+    // Requests sent to LearnWorlds at the same time, across every job and webhook
+    maxConcurrency: parseInt(process.env.LEARNWORLDS_MAX_CONCURRENCY, 10) || 4,
+    // Consecutive failed requests that open the circuit, and how long it stays open
+    circuitFailureThreshold: parseInt(process.env.LEARNWORLDS_CIRCUIT_FAILURE_THRESHOLD, 10) || 5,
+    circuitResetMs: parseInt(process.env.LEARNWORLDS_CIRCUIT_RESET_MS, 10) || 30 * 1000
+  };
+}
+
+module.exports = {
+  getLearnWorldsClientConfig
+};
@@ -0,0 +1,50 @@
+/**
+ * Configuration for the Shopify API
+ */
+const { ApiVersion } = require('@shopify/shopify-api');
+
+// Admin API version the app is built against. Shopify supports each version for a year,
+// so move this forward, and check the GraphQL queries and webhook payloads, every few releases
+const SHOPIFY_API_VERSION = ApiVersion.October25;
+
+/**
+ * Get the public URL the app is served from, without a trailing slash
+ * @returns {string} App URL
+ */
+function getAppUrl() {
+  return (process.env.HOST || 'http://localhost:3000').replace(/\/+$/, '');
+}
+
+// Scopes for the webhook topics we register and the order reads done through GraphQL.
+// Backfills and reconciliation only see orders older than 60 days with read_all_orders,
+// which Shopify has to approve for the app before it can be requested
+const DEFAULT_SCOPES = [
+  'read_products',
+  'write_products',
+  'read_orders',
+  'read_customers',
+  'read_fulfillments',
+  'read_shopify_payments_disputes',
+  'read_own_subscription_contracts'
+];
+
+/**
+ * Get Shopify API configuration from environment variables
+ * @returns {Object} Options for shopifyApi()
+ */
+function getShopifyConfig() {
+  return {
+    apiKey: process.env.SHOPIFY_API_KEY,
+    apiSecretKey: process.env.SHOPIFY_API_SECRET,
+    scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || DEFAULT_SCOPES,
+    hostName: getAppUrl().replace(/https?:\/\//, ''),
+    apiVersion: process.env.SHOPIFY_API_VERSION || SHOPIFY_API_VERSION,
+    isEmbeddedApp: true
+  };
+}
+
+module.exports = {
+  SHOPIFY_API_VERSION,
+  getAppUrl,
+  getShopifyConfig
+};
@@ -0,0 +1,19 @@
+/**
+ * Configuration for per-shop lifecycle handling
+ */
+
+/**
+ * Get shop lifecycle configuration from environment variables
+ * @returns {Object} Shop configuration
+ */
+function getShopConfig() {
+  const retentionDays = parseInt(process.env.SHOP_DATA_RETENTION_DAYS, 10);
+  return {
+    // Days to keep an uninstalled shop's data before it is deleted
+    dataRetentionDays: Number.isNaN(retentionDays) ? 30 : retentionDays
+  };
+}
+
+module.exports = {
+  getShopConfig
+};
@@ -0,0 +1,20 @@
+/**
+ * Configuration for stored order-sync reports
+ */
+
+/**
+ * Get order-sync report retention from environment variables
+ * @returns {Object} Order-sync report configuration
+ */
+function getSyncReportsConfig() {
+  return {
+    // Reports older than this are dropped when a new report is stored
+    retentionMs: parseInt(process.env.SYNC_REPORT_RETENTION_MS, 10) || 30 * 24 * 60 * 60 * 1000,
+    // The oldest reports are dropped beyond this many
+    maxReports: parseInt(process.env.SYNC_REPORT_MAX_COUNT, 10) || 10000
+  };
+}
+
+module.exports = {
+  getSyncReportsConfig
+};
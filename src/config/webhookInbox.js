@@ -0,0 +1,21 @@
+/**
+ * Configuration for the webhook inbox
+ */
+
+/**
+ * Get webhook inbox configuration from environment variables
+ * @returns {Object} Webhook inbox configuration
+ */
+function getWebhookInboxConfig() {
+  return {
+    // How long a delivery may stay processing before a retry of it is processed again,
+    // e.g. after the function handling it crashed, timed out or was redeployed
+    processingLeaseMs: parseInt(process.env.WEBHOOK_PROCESSING_LEASE_MS, 10) || 5 * 60 * 1000,
+    // How long stored events are kept for duplicate detection, search and replay
+    retentionMs: parseInt(process.env.WEBHOOK_INBOX_RETENTION_MS, 10) || 30 * 24 * 60 * 60 * 1000
+  };
+}
+
+module.exports = {
+  getWebhookInboxConfig
+};
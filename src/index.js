@@ -2,10 +2,6 @@ const express = require('express');
 const dotenv = require('dotenv');
 const bodyParser = require('body-parser');
 const cors = require('cors');
-
-// Import Shopify API adapter first
-require('@shopify/shopify-api/adapters/node');
-const { shopifyApi, LATEST_API_VERSION } = require('@shopify/shopify-api');
 const { errorMiddleware } = require('./utils/errorHandler');
 
 // Load environment variables
@@ -16,22 +12,24 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(bodyParser.json());
-
-// Initialize Shopify API
-const shopify = shopifyApi({
-  apiKey: process.env.SHOPIFY_API_KEY,
-  apiSecretKey: process.env.SHOPIFY_API_SECRET,
-  scopes: process.env.SHOPIFY_API_SCOPES?.split(',') || ['read_products', 'write_products'],
-  hostName: process.env.HOST?.replace(/https?:\/\//, '') || 'localhost:3000',
-  apiVersion: process.env.SHOPIFY_API_VERSION || LATEST_API_VERSION,
-  isEmbeddedApp: true,
-});
+app.use(bodyParser.json({
+  // Keep the exact request bytes for webhooks so their HMAC can be verified
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/webhooks/')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 
 // Import routes
 const webhookRoutes = require('./api/webhooks/routes');
 const authRoutes = require('./api/auth/routes');
 const adminRoutes = require('./api/admin/routes');
+const jobQueue = require('./services/jobQueue');
+const learnWorldsService = require('./services/learnWorldsService');
+require('./services/enrollmentJobs'); // Registers the enrollment job handlers
+const accessExpiration = require('./services/accessExpiration');
+const { reconcileAllShops } = require('./services/webhookRegistration');
 
 // Use routes
 app.use('/api/webhooks', webhookRoutes);
@@ -46,8 +44,23 @@ app.get('/health', (req, res) => {
 // Error handling middleware
 app.use(errorMiddleware);
 
-// Start server
+// Start server once the LearnWorlds credentials are known to work
 const PORT = process.env.PORT || 3000;
-app.listen(PORT, () => {
-  console.log(`Server running on port ${PORT}`);
-});
\ No newline at end of file
+learnWorldsService.verifyCredentials()
+  .then(() => {
+    app.listen(PORT, () => {
+      console.log(`Server running on port ${PORT}`);
+      jobQueue.start();
+      accessExpiration.start();
+      
+      // Make sure every installed shop still sends us the topics we handle
+      reconcileAllShops().catch(error => {
+        console.error('Error reconciling webhook subscriptions:', error);
+      });
+    });
+  })
+  .catch(error => {
+    // Every enrollment would fail with bad credentials, so don't start taking webhooks
+    console.error(`Startup failed: ${error.message}`);
+    process.exit(1);
+  });
\ No newline at end of file
@@ -0,0 +1,154 @@
+/**
+ * Scheduler for time-limited course access
+ * Periodically unenrolls grants whose expiry has passed and sends a reminder event
+ * a configurable number of days before access runs out
+ */
+const axios = require('axios');
+const jobQueue = require('./jobQueue');
+const { expireEnrollment } = require('./enrollmentJobs');
+const { getAccessExpirationConfig } = require('../config/accessExpiration');
+const { getExpiringEnrollments, updateEnrollment } = require('../utils/enrollmentLedger');
+const { isShopInactive } = require('../utils/shopRegistry');
+
+const REMINDER_JOB = 'access_expiry_reminder';
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+let timer = null;
+
+/**
+ * Send an access expiry reminder event to the configured URL
+ * @param {Object} payload - Reminder event created by queueReminder
+ * @returns {Promise<Object>} Job result
+ */
+async function handleReminderJob(payload) {
+  const { reminderUrl } = getAccessExpirationConfig();
+  if (!reminderUrl) {
+    return { sent: false, reason: 'No reminder URL configured' };
+  }
+
+  const response = await axios.post(reminderUrl, { event: 'access.expiring', ...payload }, { timeout: 10000 });
+  return { sent: true, status: response.status };
+}
+
+// Queue the reminder event for a grant that expires soon
+function queueReminder(entry, now) {
+  const job = jobQueue.enqueue(REMINDER_JOB, {
+    shop: entry.shop,
+    orderId: entry.order_id,
+    lineItemId: entry.line_item_id,
+    productId: entry.product_id,
+    productTitle: entry.product_title,
+    customerId: entry.customer_id,
+    email: entry.email,
+    courseIds: entry.course_ids || [],
+    expiresAt: entry.expires_at,
+    daysLeft: Math.max(0, Math.ceil((new Date(entry.expires_at) - now) / DAY_MS))
+  });
+  updateEnrollment(entry.shop, entry.order_id, entry.line_item_id, { reminder_sent_at: now.toISOString() });
+  return job;
+}
+
+/**
+ * Unenroll expired grants and queue reminders for grants that expire soon
+ * Shops that uninstalled the app are left alone, their data is deleted separately
+ * @returns {{expired: number, reminders: number}} Number of grants expired and reminders queued
+ */
+function runExpirationCheck() {
+  const { reminderDays, reminderUrl } = getAccessExpirationConfig();
+  const now = new Date();
+  let expired = 0;
+  let reminders = 0;
+
+  for (const entry of getExpiringEnrollments(now)) {
+    if (isShopInactive(entry.shop)) continue;
+
+    expireEnrollment(entry);
+    expired++;
+  }
+
+  if (reminderUrl && reminderDays > 0) {
+    const expiringSoon = getExpiringEnrollments(new Date(now.getTime() + reminderDays * DAY_MS))
+      .filter(entry => entry.status === 'enrolled' && entry.email && !entry.reminder_sent_at);
+
+    for (const entry of expiringSoon) {
+      if (isShopInactive(entry.shop)) continue;
+
+      queueReminder(entry, now);
+      reminders++;
+    }
+  }
+
+  if (expired || reminders) {
+    console.log(`Access expiration check: ${expired} grant(s) expired, ${reminders} reminder(s) queued`);
+  }
+
+  return { expired, reminders };
+}
+
+/**
+ * Get the grants that expire within a number of days
+ * @param {Object} options - Optional settings
+ * @param {string} options.shop - Only include this shop
+ * @param {number} options.days - Look-ahead window in days
+ * @returns {Object[]} Upcoming expirations, soonest first
+ */
+function getUpcomingExpirations({ shop, days = 30 } = {}) {
+  const now = new Date();
+
+  return getExpiringEnrollments(new Date(now.getTime() + days * DAY_MS), { shop })
+    .map(entry => ({
+      shop: entry.shop,
+      order_id: entry.order_id,
+      line_item_id: entry.line_item_id,
+      product_id: entry.product_id,
+      product_title: entry.product_title,
+      customer_id: entry.customer_id,
+      email: entry.email,
+      course_ids: entry.course_ids || [],
+      status: entry.status,
+      access_days: entry.access_days,
+      expires_at: entry.expires_at,
+      reminder_sent_at: entry.reminder_sent_at || null
+    }));
+}
+
+// Scheduled runs log their errors, there is no caller to report them to
+function scheduledCheck() {
+  try {
+    runExpirationCheck();
+  } catch (error) {
+    console.error('Error checking access expirations:', error);
+  }
+}
+
+/**
+ * Start checking for expired access on an interval
+ */
+function start() {
+  if (timer) return;
+
+  const { checkIntervalMs } = getAccessExpirationConfig();
+  timer = setInterval(scheduledCheck, checkIntervalMs);
+  timer.unref();
+  console.log(`Access expiration scheduler started (checking every ${checkIntervalMs}ms)`);
+  setImmediate(scheduledCheck);
+}
+
+/**
+ * Stop checking for expired access
+ */
+function stop() {
+  if (timer) {
+    clearInterval(timer);
+    timer = null;
+  }
+}
+
+jobQueue.registerHandler(REMINDER_JOB, handleReminderJob);
+
+module.exports = {
+  runExpirationCheck,
+  getUpcomingExpirations,
+  start,
+  stop
+};
@@ -0,0 +1,140 @@
+/**
+ * Keeps Shopify customers linked to a single LearnWorlds user
+ * and applies Shopify profile changes to that user
+ */
+const jobQueue = require('./jobQueue');
+const learnWorldsService = require('./learnWorldsService');
+const {
+  getIdentityLink,
+  setIdentityLink,
+  removeIdentityLink,
+  flagIdentityConflict
+} = require('../utils/customerIdentityLinks');
+const { normalizeEmail } = require('../utils/email');
+
+const SYNC_CUSTOMER_JOB = 'sync_customer';
+
+/**
+ * Get the LearnWorlds user linked to a Shopify customer
+ * Links to users that no longer exist in LearnWorlds are dropped
+ * @param {string} shop - Shop domain
+ * @param {string|number} customerId - Shopify customer ID
+ * @returns {Promise<Object|null>} LearnWorlds user or null if the customer isn't linked
+ */
+async function resolveLinkedUser(shop, customerId) {
+  const link = getIdentityLink(shop, customerId);
+  if (!link) return null;
+
+  const user = await learnWorldsService.getUserById(link.learnworlds_user_id);
+  if (!user) {
+    console.log(`Linked LearnWorlds user ${link.learnworlds_user_id} for customer ${customerId} no longer exists, removing link`);
+    removeIdentityLink(shop, customerId);
+    return null;
+  }
+
+  return user;
+}
+
+/**
+ * Link a Shopify customer to the LearnWorlds user they were enrolled as
+ * @param {string} shop - Shop domain
+ * @param {string|number} customerId - Shopify customer ID
+ * @param {Object} user - LearnWorlds user
+ * @param {Object} userData - Customer profile: email, first_name, last_name
+ */
+function linkCustomer(shop, customerId, user, userData = {}) {
+  if (!customerId || !user || !user.id) return;
+
+  const existing = getIdentityLink(shop, customerId);
+  if (existing && existing.learnworlds_user_id === String(user.id)) return;
+
+  setIdentityLink({
+    shop,
+    customerId,
+    learnWorldsUserId: user.id,
+    email: user.email || userData.email,
+    firstName: userData.first_name,
+    lastName: userData.last_name
+  });
+  console.log(`Linked customer ${customerId} to LearnWorlds user ${user.id}`);
+}
+
+/**
+ * Apply a Shopify customer profile change to the linked LearnWorlds user
+ * @param {Object} payload - Job payload created by enqueueCustomerSync
+ * @returns {Promise<Object>} Job result
+ */
+async function handleCustomerSyncJob(payload) {
+  const { shop, customerId, email, firstName, lastName } = payload;
+
+  const link = getIdentityLink(shop, customerId);
+  if (!link) {
+    return { updated: false, reason: 'Customer is not linked to a LearnWorlds user' };
+  }
+
+  const emailChanged = Boolean(email) && normalizeEmail(email) !== normalizeEmail(link.email);
+  const nameChanged = (firstName || '') !== link.first_name || (lastName || '') !== link.last_name;
+
+  if (!emailChanged && !nameChanged) {
+    return { updated: false, reason: 'No profile changes' };
+  }
+
+  if (emailChanged) {
+    // Don't take over an email that already belongs to a different LearnWorlds user
+    const existingUser = await learnWorldsService.findUserByEmail(email);
+    if (existingUser && String(existingUser.id) !== link.learnworlds_user_id) {
+      const conflict = flagIdentityConflict({
+        shop,
+        customerId,
+        learnWorldsUserId: link.learnworlds_user_id,
+        conflictingUserId: existingUser.id,
+        previousEmail: link.email,
+        newEmail: email,
+        reason: 'New email already belongs to another LearnWorlds user'
+      });
+      console.warn(`Identity conflict ${conflict.id}: customer ${customerId} changed email to one used by LearnWorlds user ${existingUser.id}`);
+      return { updated: false, reason: 'Identity conflict flagged for review', conflictId: conflict.id };
+    }
+  }
+
+  const updates = {
+    first_name: firstName || '',
+    last_name: lastName || ''
+  };
+  if (emailChanged) updates.email = email;
+
+  await learnWorldsService.updateUser(link.learnworlds_user_id, updates);
+
+  setIdentityLink({
+    shop,
+    customerId,
+    learnWorldsUserId: link.learnworlds_user_id,
+    email: emailChanged ? email : link.email,
+    firstName,
+    lastName
+  });
+
+  return { updated: true, emailChanged, nameChanged };
+}
+
+/**
+ * Queue a profile sync for a Shopify customer
+ * @param {Object} payload - Customer profile
+ * @param {string} payload.shop - Shop domain
+ * @param {string|number} payload.customerId - Shopify customer ID
+ * @param {string} payload.email - Current email in Shopify
+ * @param {string} payload.firstName - Current first name in Shopify
+ * @param {string} payload.lastName - Current last name in Shopify
+ * @returns {Object} The queued job
+ */
+function enqueueCustomerSync(payload) {
+  return jobQueue.enqueue(SYNC_CUSTOMER_JOB, payload);
+}
+
+jobQueue.registerHandler(SYNC_CUSTOMER_JOB, handleCustomerSyncJob);
+
+module.exports = {
+  resolveLinkedUser,
+  linkCustomer,
+  enqueueCustomerSync
+};
@@ -0,0 +1,127 @@
+/**
+ * Applies the enrollment rules to the line items of an order
+ */
+const { evaluateLineItem, rulesRequireProductDetails } = require('../utils/enrollmentRules');
+const { isSubscriptionLineItem } = require('../utils/subscriptionDetection');
+const { getEnrollmentTriggerForProduct } = require('../utils/productCourseMapping');
+
+const PRODUCT_DETAILS_QUERY = `
+  query ProductDetails($id: ID!) {
+    product(id: $id) {
+      productType
+      vendor
+      tags
+      collections(first: 50) {
+        nodes {
+          legacyResourceId
+          handle
+          title
+        }
+      }
+    }
+  }
+`;
+
+/**
+ * Fetch the product details used by rule conditions
+ * @param {Object} graphqlClient - Shopify Admin GraphQL client for the shop
+ * @param {string|number} productId - Shopify product ID
+ * @returns {Promise<Object|null>} Product details or null if the product no longer exists
+ */
+async function fetchProductDetails(graphqlClient, productId) {
+  const response = await graphqlClient.request(PRODUCT_DETAILS_QUERY, {
+    variables: { id: `gid://shopify/Product/${productId}` }
+  });
+
+  if (response.errors) {
+    throw new Error(`Failed to fetch product ${productId}: ${JSON.stringify(response.errors)}`);
+  }
+
+  const product = response.data && response.data.product;
+  if (!product) return null;
+
+  return {
+    product_type: product.productType,
+    vendor: product.vendor,
+    tags: product.tags || [],
+    collections: product.collections.nodes.map(collection => ({
+      id: collection.legacyResourceId,
+      handle: collection.handle,
+      title: collection.title
+    }))
+  };
+}
+
+/**
+ * Build the facts a rule can match on for a line item
+ * @param {Object} order - Shopify order
+ * @param {Object} item - Line item of the order
+ * @param {Object|null} product - Product details from fetchProductDetails
+ * @returns {Object} Rule evaluation context
+ */
+function buildRuleContext(order, item, product) {
+  const orderTags = Array.isArray(order.tags)
+    ? order.tags
+    : (order.tags || '').split(',').map(tag => tag.trim()).filter(Boolean);
+
+  return {
+    financial_status: order.financial_status,
+    sales_channel: order.source_name,
+    order_tags: orderTags,
+    vendor: item.vendor,
+    selling_plan: isSubscriptionLineItem(item),
+    trigger: getEnrollmentTriggerForProduct(item.product_id),
+    product
+  };
+}
+
+/**
+ * Decide which line items of an order should be enrolled
+ * Product details are only fetched when an enabled rule needs them
+ * @param {Object} order - Shopify order with line_items
+ * @param {Object} options - Optional settings
+ * @param {Object} options.graphqlClient - Shopify Admin GraphQL client, required for product conditions
+ * @returns {Promise<{eligibleItems: Object[], decisions: Object[]}>} Line items to enroll and every decision made
+ */
+async function getEligibleLineItems(order, { graphqlClient } = {}) {
+  const needsProductDetails = rulesRequireProductDetails();
+  const productCache = {};
+  const eligibleItems = [];
+  const decisions = [];
+
+  if (needsProductDetails && !graphqlClient) {
+    console.warn(`Rules need product details but no Shopify client is available for order ${order.id}`);
+  }
+
+  for (const item of order.line_items || []) {
+    if (!item.product_id) continue;
+
+    let product = null;
+    if (needsProductDetails && graphqlClient) {
+      if (!(item.product_id in productCache)) {
+        productCache[item.product_id] = await fetchProductDetails(graphqlClient, item.product_id);
+      }
+      product = productCache[item.product_id];
+    }
+
+    const decision = evaluateLineItem(buildRuleContext(order, item, product));
+    console.log(`Enrollment decision for order ${order.id}, line item ${item.id} (product ${item.product_id}): ${decision.enroll ? 'enroll' : 'skip'} - ${decision.reason}`);
+
+    decisions.push({
+      line_item_id: String(item.id),
+      product_id: String(item.product_id),
+      enroll: decision.enroll,
+      rule: decision.rule,
+      reason: decision.reason
+    });
+
+    if (decision.enroll) eligibleItems.push(item);
+  }
+
+  return { eligibleItems, decisions };
+}
+
+module.exports = {
+  fetchProductDetails,
+  getEligibleLineItems
+};
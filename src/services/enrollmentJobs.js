@@ -0,0 +1,621 @@
+/**
+ * Background job handlers for LearnWorlds enrollment operations
+ * Webhook handlers enqueue one job per line item; these handlers run them
+ */
+const jobQueue = require('./jobQueue');
+const learnWorldsService = require('./learnWorldsService');
+const { resolveLinkedUser, linkCustomer } = require('./customerIdentity');
+const { getIdentityLink } = require('../utils/customerIdentityLinks');
+const { resolveCourseIdsForProduct, getAccessDaysForProduct } = require('../utils/productCourseMapping');
+const { getSubscriptionLineItems } = require('../utils/subscriptionDetection');
+const {
+  isLineItemEnrolled,
+  getEnrollment,
+  recordEnrollment,
+  setEnrollmentStatus,
+  recordUnenrollment,
+  getEnrollmentsForOrder,
+  getActiveEnrollmentsForCustomer
+} = require('../utils/enrollmentLedger');
+
+const ENROLL_JOB = 'enroll';
+const UNENROLL_JOB = 'unenroll';
+
+// Recorded as the topic of unenrollments queued because access ran out
+const EXPIRY_TOPIC = 'access/expired';
+
+/**
+ * Get the LearnWorlds courses a customer still holds through their other active line items
+ * @param {Object} payload - Unenrollment job payload
+ * @returns {Set<string>} Course IDs that must be kept
+ */
+function getRetainedCourseIds({ shop, customerId, email, orderId, lineItemId }) {
+  const retained = new Set();
+  const activeEnrollments = getActiveEnrollmentsForCustomer({ shop, customerId, email });
+  
+  for (const entry of activeEnrollments) {
+    if (entry.order_id === String(orderId) && entry.line_item_id === String(lineItemId)) continue;
+    
+    // Queued enrollments haven't stored their courses yet, so resolve them from the mapping
+    const courseIds = entry.course_ids || resolveCourseIdsForProduct(entry.product_id);
+    courseIds.forEach(courseId => retained.add(courseId));
+  }
+  
+  return retained;
+}
+
+/**
+ * Get the LearnWorlds courses a line item granted, which are the ones to revoke
+ * The mapping may have changed since the purchase, so it is only used for entries that
+ * haven't stored their courses: queued enrollments and entries from before course_ids was kept
+ * @param {Object} lineItem - Line item to look up
+ * @returns {string[]} Course IDs
+ */
+function getGrantedCourseIds({ shop, orderId, lineItemId, productId, productTitle }) {
+  const entry = getEnrollment(shop, orderId, lineItemId);
+  if (entry && entry.course_ids) return entry.course_ids;
+  return resolveCourseIdsForProduct(productId, productTitle);
+}
+
+// Expiry fields for a newly granted enrollment
+// Access restored after a suspension keeps the expiry of the original grant
+function getExpiry(entry, productId) {
+  if (entry && entry.expires_at) return {};
+
+  const accessDays = getAccessDaysForProduct(productId);
+  return {
+    access_days: accessDays,
+    expires_at: accessDays ? new Date(Date.now() + accessDays * 24 * 60 * 60 * 1000).toISOString() : null
+  };
+}
+
+/**
+ * Enroll the customer of a line item in every LearnWorlds course its product grants
+ * @param {Object} payload - Job payload created by enqueueEnrollment
+ * @param {Object} job - The job being run
+ * @returns {Promise<Object>} Job result
+ */
+async function handleEnrollJob(payload, job) {
+  const { shop, orderId, lineItemId, productId, productTitle, customerId, email, userData } = payload;
+
+  // Access may have been suspended, revoked or expired while the job was waiting
+  const entry = getEnrollment(shop, orderId, lineItemId);
+  if (entry && ['suspended', 'unenrolled', 'expiring', 'expired'].includes(entry.status)) {
+    console.log(`Line item ${lineItemId} of order ${orderId} is ${entry.status}, skipping enrollment`);
+    return { enrolled: false, courseIds: [] };
+  }
+
+  try {
+    const courseIds = resolveCourseIdsForProduct(productId, productTitle);
+    if (!courseIds.length) {
+      console.warn(`No LearnWorlds course mapping found for product ${productId} (${productTitle})`);
+      setEnrollmentStatus(shop, orderId, lineItemId, 'skipped');
+      return { enrolled: false, courseIds };
+    }
+
+    // Prefer the LearnWorlds user linked to the customer over an email lookup
+    const linkedUser = await resolveLinkedUser(shop, customerId);
+    const user = await learnWorldsService.enrollUserInCourses(email, courseIds, { ...userData }, linkedUser);
+    linkCustomer(shop, customerId, user, { email, ...userData });
+    setEnrollmentStatus(shop, orderId, lineItemId, 'enrolled', { course_ids: courseIds, ...getExpiry(entry, productId) });
+    return { enrolled: true, courseIds };
+  } catch (error) {
+    if (job.attempts >= job.max_attempts) {
+      setEnrollmentStatus(shop, orderId, lineItemId, 'failed');
+    }
+    throw error;
+  }
+}
+
+// Record the outcome of an unenrollment queued by expireEnrollment
+// Access is only expired once it was removed; after the last failed attempt the entry is
+// enrolled again, so the next expiration check queues a new unenrollment
+function settleExpiry({ shop, orderId, lineItemId }, succeeded) {
+  const entry = getEnrollment(shop, orderId, lineItemId);
+  if (!entry || entry.status !== 'expiring') return;
+  
+  setEnrollmentStatus(shop, orderId, lineItemId, succeeded ? 'expired' : 'enrolled');
+}
+
+/**
+ * Unenroll the customer of a line item from the LearnWorlds courses it granted
+ * Courses the customer still holds through another active order or line item are kept
+ * @param {Object} payload - Job payload created by enqueueUnenrollment
+ * @param {Object} job - The job being run
+ * @returns {Promise<Object>} Job result
+ */
+async function handleUnenrollJob(payload, job) {
+  try {
+    const result = await unenrollLineItem(payload);
+    if (payload.topic === EXPIRY_TOPIC) settleExpiry(payload, true);
+    return result;
+  } catch (error) {
+    if (payload.topic === EXPIRY_TOPIC && job.attempts >= job.max_attempts) {
+      settleExpiry(payload, false);
+    }
+    throw error;
+  }
+}
+
+// Remove the LearnWorlds courses of an unenrollment job, keeping those held through other line items
+async function unenrollLineItem(payload) {
+  const { shop, customerId, email, productId, productTitle } = payload;
+
+  const courseIds = getGrantedCourseIds(payload);
+  if (!courseIds.length) {
+    console.warn(`No LearnWorlds courses granted or mapped for product ${productId} (${productTitle})`);
+    return { unenrolled: false, courseIds, retainedCourseIds: [] };
+  }
+
+  const retained = getRetainedCourseIds(payload);
+  const revokedCourseIds = courseIds.filter(courseId => !retained.has(courseId));
+  const retainedCourseIds = courseIds.filter(courseId => retained.has(courseId));
+
+  if (retainedCourseIds.length) {
+    console.log(`Keeping courses ${retainedCourseIds.join(', ')} for ${email}, still held through another active order`);
+  }
+
+  if (revokedCourseIds.length) {
+    const linkedUser = await resolveLinkedUser(shop, customerId);
+    await learnWorldsService.unenrollUserFromCourses(email, revokedCourseIds, linkedUser);
+  }
+
+  return { unenrolled: true, courseIds: revokedCourseIds, retainedCourseIds };
+}
+
+/**
+ * Queue an enrollment for a single order line item
+ * @param {Object} payload - Enrollment details
+ * @param {string} payload.shop - Shop domain
+ * @param {string|number} payload.orderId - Shopify order ID
+ * @param {string|number} payload.lineItemId - Shopify line item ID
+ * @param {string|number} payload.productId - Shopify product ID
+ * @param {string} payload.productTitle - Line item title, used for bundle mapping
+ * @param {string} payload.email - Customer email
+ * @param {Object} payload.userData - User data in case the LearnWorlds user needs to be created
+ * @param {string} payload.topic - Webhook topic that triggered the enrollment
+ * @returns {Object} The queued job
+ */
+function enqueueEnrollment(payload) {
+  return jobQueue.enqueue(ENROLL_JOB, payload);
+}
+
+/**
+ * Queue an unenrollment for a single order line item
+ * @param {Object} payload - Unenrollment details, same shape as enqueueEnrollment without userData
+ * @param {string|number} payload.customerId - Shopify customer ID, used to find access held through other orders
+ * @returns {Object} The queued job
+ */
+function enqueueUnenrollment(payload) {
+  return jobQueue.enqueue(UNENROLL_JOB, payload);
+}
+
+/**
+ * Get the reason a line item wouldn't be queued for enrollment, without queueing anything
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order
+ * @param {Object} item - Line item to enroll
+ * @returns {string|null} Skip reason, or null if an enrollment job would be queued
+ */
+function getEnrollmentSkipReason(shopDomain, order, item) {
+  // Skip line items already enrolled by an earlier delivery or another order topic
+  return isLineItemEnrolled(shopDomain, order.id, item.id) ? 'Line item already enrolled' : null;
+}
+
+/**
+ * Get the reason a line item wouldn't be queued for unenrollment, without queueing anything
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order
+ * @param {Object} item - Line item to unenroll
+ * @returns {string|null} Skip reason, or null if an unenrollment job would be queued
+ */
+function getUnenrollmentSkipReason(shopDomain, order, item) {
+  const entry = getEnrollment(shopDomain, order.id, item.id);
+  if (!entry) return null;
+  
+  switch (entry.status) {
+    case 'unenrolled':
+      return 'Line item already unenrolled';
+    case 'expiring':
+    case 'expired':
+      return 'Access already expired';
+    case 'suspended':
+      return 'Access was already suspended';
+    default:
+      return null;
+  }
+}
+
+// LearnWorlds calls that find the customer's user: the linked user, or an email lookup
+// that is followed by creating the user when enrolling someone LearnWorlds doesn't know yet
+function planUserCalls(shopDomain, order, { createIfMissing }) {
+  const link = getIdentityLink(shopDomain, order.customer.id);
+  if (link) {
+    const userId = encodeURIComponent(link.learnworlds_user_id);
+    return {
+      userId: link.learnworlds_user_id,
+      calls: [{ method: 'GET', path: `/v2/users/${userId}`, description: 'Load the linked user' }]
+    };
+  }
+  
+  const calls = [{
+    method: 'GET',
+    path: `/v2/users?email=${encodeURIComponent(order.customer.email)}`,
+    description: 'Look up the user by email'
+  }];
+  if (createIfMissing) {
+    calls.push({ method: 'POST', path: '/v2/users', description: 'Create the user if the lookup finds nobody' });
+  }
+  return { userId: null, calls };
+}
+
+/**
+ * Plan the LearnWorlds calls an enrollment job for a line item would make, without making them
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order with customer
+ * @param {Object} item - Line item to enroll
+ * @returns {Object} Planned enrollment with the courses granted and the calls
+ */
+function planLineItemEnrollment(shopDomain, order, item) {
+  const courseIds = resolveCourseIdsForProduct(item.product_id, item.title || '');
+  const { userId, calls } = planUserCalls(shopDomain, order, { createIfMissing: true });
+  const userPath = userId ? encodeURIComponent(userId) : ':userId';
+  
+  return {
+    action: 'enroll',
+    email: order.customer.email,
+    learnworlds_user_id: userId,
+    course_ids: courseIds,
+    expires_at: getExpiry(null, item.product_id).expires_at,
+    calls: [
+      ...calls,
+      ...courseIds.map(courseId => ({
+        method: 'POST',
+        path: `/v2/users/${userPath}/courses/${courseId}`,
+        description: `Enroll in course ${courseId}`
+      }))
+    ]
+  };
+}
+
+/**
+ * Plan the LearnWorlds calls an unenrollment job for a line item would make, without making them
+ * Courses the customer still holds through another active order or line item are kept
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order with customer
+ * @param {Object} item - Line item to unenroll
+ * @returns {Object} Planned unenrollment with the courses revoked and kept, and the calls
+ */
+function planLineItemUnenrollment(shopDomain, order, item) {
+  const courseIds = getGrantedCourseIds({
+    shop: shopDomain,
+    orderId: order.id,
+    lineItemId: item.id,
+    productId: item.product_id,
+    productTitle: item.title || ''
+  });
+  const retained = getRetainedCourseIds({
+    shop: shopDomain,
+    customerId: order.customer.id,
+    email: order.customer.email,
+    orderId: order.id,
+    lineItemId: item.id
+  });
+  const revokedCourseIds = courseIds.filter(courseId => !retained.has(courseId));
+  const { userId, calls } = revokedCourseIds.length
+    ? planUserCalls(shopDomain, order, { createIfMissing: false })
+    : { userId: null, calls: [] };
+  const userPath = userId ? encodeURIComponent(userId) : ':userId';
+  
+  return {
+    action: 'unenroll',
+    email: order.customer.email,
+    learnworlds_user_id: userId,
+    course_ids: revokedCourseIds,
+    retained_course_ids: courseIds.filter(courseId => retained.has(courseId)),
+    calls: [
+      ...calls,
+      ...revokedCourseIds.map(courseId => ({
+        method: 'DELETE',
+        path: `/v2/users/${userPath}/courses/${courseId}`,
+        description: `Unenroll from course ${courseId}`
+      }))
+    ]
+  };
+}
+
+/**
+ * Queue an enrollment job for a single line item of an order, unless it was already enrolled
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order with customer and line_items
+ * @param {Object} item - Line item to enroll
+ * @param {string} topic - Webhook topic that triggered the enrollment
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.subscription - Whether the line item belongs to a subscription
+ * @returns {{queued: boolean, job: Object|null, reason: string|null}} Whether a job was queued, or why not
+ */
+function queueLineItemEnrollment(shopDomain, order, item, topic, { subscription = false } = {}) {
+  const skipReason = getEnrollmentSkipReason(shopDomain, order, item);
+  if (skipReason) {
+    console.log(`Skipping enrollment of line item ${item.id} of order ${order.id}: ${skipReason}`);
+    return { queued: false, job: null, reason: skipReason };
+  }
+  
+  recordEnrollment({
+    shop: shopDomain,
+    orderId: order.id,
+    lineItemId: item.id,
+    productId: item.product_id,
+    productTitle: item.title || '',
+    subscription,
+    customerId: order.customer.id,
+    email: order.customer.email,
+    topic
+  });
+  
+  // Pass both product ID and product name to handle bundle products
+  const job = enqueueEnrollment({
+    shop: shopDomain,
+    orderId: order.id,
+    lineItemId: item.id,
+    productId: item.product_id,
+    productTitle: item.title || '',
+    customerId: order.customer.id,
+    email: order.customer.email,
+    userData: {
+      email: order.customer.email,
+      first_name: order.customer.first_name || '',
+      last_name: order.customer.last_name || ''
+    },
+    topic
+  });
+  
+  return { queued: true, job, reason: null };
+}
+
+/**
+ * Queue an unenrollment job for a single line item of an order
+ * Line items that were already unenrolled are skipped, and suspended ones are only
+ * marked unenrolled because their access has already been removed
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order with customer and line_items
+ * @param {Object} item - Line item to unenroll
+ * @param {string} topic - Webhook topic that triggered the unenrollment
+ * @returns {{queued: boolean, job: Object|null, reason: string|null}} Whether a job was queued, or why not
+ */
+function queueLineItemUnenrollment(shopDomain, order, item, topic) {
+  const entry = getEnrollment(shopDomain, order.id, item.id);
+  const skipReason = getUnenrollmentSkipReason(shopDomain, order, item);
+  
+  if (skipReason) {
+    console.log(`Skipping unenrollment of line item ${item.id} of order ${order.id}: ${skipReason}`);
+    // Suspended access is already gone from LearnWorlds but still has to be marked as revoked
+    if (entry.status === 'suspended') {
+      recordUnenrollment(shopDomain, order.id, item.id, topic);
+    }
+    return { queued: false, job: null, reason: skipReason };
+  }
+  
+  // Pass both product ID and product name to handle bundle products
+  const job = enqueueUnenrollment({
+    shop: shopDomain,
+    orderId: order.id,
+    lineItemId: item.id,
+    productId: item.product_id,
+    productTitle: item.title || '',
+    customerId: order.customer.id,
+    email: order.customer.email,
+    topic
+  });
+  recordUnenrollment(shopDomain, order.id, item.id, topic);
+  
+  return { queued: true, job, reason: null };
+}
+
+/**
+ * Record access granted to a line item outside an enrollment job, e.g. by reconciliation, as enrolled
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} grant - Granted line item
+ * @param {string|number} grant.orderId - Shopify order ID
+ * @param {string|number} grant.lineItemId - Shopify line item ID
+ * @param {string|number} grant.productId - Shopify product ID
+ * @param {string} grant.productTitle - Line item title
+ * @param {boolean} grant.subscription - Whether the line item belongs to a subscription
+ * @param {string|number} grant.customerId - Shopify customer ID
+ * @param {string} grant.email - Customer email
+ * @param {string[]} grant.courseIds - LearnWorlds courses the line item grants
+ * @param {string} topic - What granted the access, e.g. reconciliation
+ */
+function recordGrantedEnrollment(shopDomain, grant, topic) {
+  const { orderId, lineItemId, productId, productTitle, subscription, customerId, email, courseIds } = grant;
+  const entry = getEnrollment(shopDomain, orderId, lineItemId);
+  
+  if (!entry) {
+    recordEnrollment({ shop: shopDomain, orderId, lineItemId, productId, productTitle, subscription, customerId, email, topic });
+  }
+  setEnrollmentStatus(shopDomain, orderId, lineItemId, 'enrolled', { course_ids: courseIds, ...getExpiry(entry, productId) });
+}
+
+/**
+ * Queue an enrollment job for every line item of an order that hasn't been enrolled yet
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order with customer and line_items
+ * @param {string} topic - Webhook topic that triggered the enrollment
+ * @param {Object[]} lineItems - Optional subset of the order's line items to enroll
+ * @returns {number} Number of jobs queued
+ */
+function queueOrderEnrollments(shopDomain, order, topic, lineItems = order.line_items) {
+  const subscriptionLineItemIds = new Set(getSubscriptionLineItems(order).map(item => String(item.id)));
+  let queued = 0;
+  
+  for (const item of lineItems) {
+    if (!item.product_id) continue;
+    
+    const { queued: itemQueued } = queueLineItemEnrollment(shopDomain, order, item, topic, {
+      subscription: subscriptionLineItemIds.has(String(item.id))
+    });
+    if (itemQueued) queued++;
+  }
+  
+  return queued;
+}
+
+/**
+ * Queue an unenrollment job for every line item of an order
+ * @param {string} shopDomain - Shop domain
+ * @param {Object} order - Shopify order with customer and line_items
+ * @param {string} topic - Webhook topic that triggered the unenrollment
+ * @param {Object[]} lineItems - Optional subset of the order's line items to unenroll
+ * @returns {number} Number of jobs queued
+ */
+function queueOrderUnenrollments(shopDomain, order, topic, lineItems = order.line_items) {
+  let queued = 0;
+  
+  for (const item of lineItems) {
+    if (!item.product_id) continue;
+    
+    const { queued: itemQueued } = queueLineItemUnenrollment(shopDomain, order, item, topic);
+    if (itemQueued) queued++;
+  }
+  
+  return queued;
+}
+
+// Build a job payload from a ledger entry
+function getLedgerJobPayload(entry, topic) {
+  return {
+    shop: entry.shop,
+    orderId: entry.order_id,
+    lineItemId: entry.line_item_id,
+    productId: entry.product_id,
+    productTitle: entry.product_title || '',
+    customerId: entry.customer_id,
+    email: entry.email,
+    topic
+  };
+}
+
+// Keep only subscription line items, unless the order never recorded which ones they are
+function filterSubscriptionEntries(entries, subscriptionOnly) {
+  if (!subscriptionOnly || !entries.some(entry => entry.subscription)) return entries;
+  return entries.filter(entry => entry.subscription);
+}
+
+/**
+ * Temporarily remove access granted by an order, keeping the ledger entries so it can be restored
+ * @param {string} shopDomain - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string} topic - Webhook topic that triggered the suspension
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.subscriptionOnly - Only suspend line items that belong to a subscription
+ * @returns {number} Number of jobs queued
+ */
+function suspendOrderEnrollments(shopDomain, orderId, topic, { subscriptionOnly = false } = {}) {
+  const entries = filterSubscriptionEntries(
+    getEnrollmentsForOrder(shopDomain, orderId)
+      .filter(entry => entry.status === 'queued' || entry.status === 'enrolled'),
+    subscriptionOnly
+  );
+  
+  for (const entry of entries) {
+    setEnrollmentStatus(shopDomain, orderId, entry.line_item_id, 'suspended', { suspended_by: topic });
+    enqueueUnenrollment(getLedgerJobPayload(entry, topic));
+  }
+  
+  return entries.length;
+}
+
+/**
+ * Give back access that was suspended by suspendOrderEnrollments
+ * @param {string} shopDomain - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string} topic - Webhook topic that triggered the restore
+ * @param {Object} options - Optional settings
+ * @param {string[]} options.suspendedBy - Only restore access suspended by one of these topics
+ * @returns {number} Number of jobs queued
+ */
+function restoreOrderEnrollments(shopDomain, orderId, topic, { suspendedBy = null } = {}) {
+  const entries = getEnrollmentsForOrder(shopDomain, orderId)
+    .filter(entry => entry.status === 'suspended')
+    .filter(entry => !suspendedBy || suspendedBy.includes(entry.suspended_by));
+  
+  for (const entry of entries) {
+    setEnrollmentStatus(shopDomain, orderId, entry.line_item_id, 'queued', { restored_by: topic });
+    enqueueEnrollment({
+      ...getLedgerJobPayload(entry, topic),
+      userData: { email: entry.email }
+    });
+  }
+  
+  return entries.length;
+}
+
+/**
+ * Permanently remove access granted by an order, including suspended access
+ * @param {string} shopDomain - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string} topic - Webhook topic that triggered the revocation
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.subscriptionOnly - Only revoke line items that belong to a subscription
+ * @returns {number} Number of jobs queued
+ */
+function revokeOrderEnrollments(shopDomain, orderId, topic, { subscriptionOnly = false } = {}) {
+  const entries = filterSubscriptionEntries(
+    getEnrollmentsForOrder(shopDomain, orderId)
+      .filter(entry => ['queued', 'enrolled', 'suspended'].includes(entry.status)),
+    subscriptionOnly
+  );
+  let queued = 0;
+  
+  for (const entry of entries) {
+    // Suspended access has already been removed from LearnWorlds
+    if (entry.status !== 'suspended') {
+      enqueueUnenrollment(getLedgerJobPayload(entry, topic));
+      queued++;
+    }
+    recordUnenrollment(shopDomain, orderId, entry.line_item_id, topic);
+  }
+  
+  return queued;
+}
+
+/**
+ * Remove access whose time limit has passed
+ * Enrolled access is marked expiring until its unenrollment job succeeds. Suspended access
+ * and entries whose customer data was redacted have nothing left to remove in LearnWorlds,
+ * so they are marked expired straight away
+ * @param {Object} entry - Ledger entry with expires_at in the past
+ * @returns {Object|null} The queued unenrollment job, or null if none was needed
+ */
+function expireEnrollment(entry) {
+  const { shop, order_id: orderId, line_item_id: lineItemId } = entry;
+  
+  if (entry.status !== 'enrolled' || !entry.email) {
+    setEnrollmentStatus(shop, orderId, lineItemId, 'expired');
+    return null;
+  }
+  
+  setEnrollmentStatus(shop, orderId, lineItemId, 'expiring');
+  return enqueueUnenrollment(getLedgerJobPayload(entry, EXPIRY_TOPIC));
+}
+
+jobQueue.registerHandler(ENROLL_JOB, handleEnrollJob);
+jobQueue.registerHandler(UNENROLL_JOB, handleUnenrollJob);
+
+module.exports = {
+  enqueueEnrollment,
+  enqueueUnenrollment,
+  getEnrollmentSkipReason,
+  getUnenrollmentSkipReason,
+  planLineItemEnrollment,
+  planLineItemUnenrollment,
+  queueLineItemEnrollment,
+  queueLineItemUnenrollment,
+  recordGrantedEnrollment,
+  queueOrderEnrollments,
+  queueOrderUnenrollments,
+  suspendOrderEnrollments,
+  restoreOrderEnrollments,
+  revokeOrderEnrollments,
+  expireEnrollment
+};
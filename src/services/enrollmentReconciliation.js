@@ -0,0 +1,288 @@
+/**
+ * Reconciles Shopify orders with LearnWorlds enrollments
+ * Pages through a shop's orders for a date range, works out which courses each customer
+ * should hold with the same mapping and rule logic the order webhooks use, and compares
+ * that with the courses LearnWorlds actually has for them. In apply mode the drift is fixed.
+ */
+const jobQueue = require('./jobQueue');
+const learnWorldsService = require('./learnWorldsService');
+const { getGraphqlClient } = require('./shopSessions');
+const { fetchOrders } = require('./shopifyOrders');
+const { getEligibleLineItems } = require('./enrollmentEligibility');
+const { resolveLinkedUser, linkCustomer } = require('./customerIdentity');
+const { recordGrantedEnrollment } = require('./enrollmentJobs');
+const {
+  resolveCourseIdsForProduct,
+  getEnrollmentTriggerForProduct,
+  getMappedCourseIds
+} = require('../utils/productCourseMapping');
+const { getSubscriptionLineItems } = require('../utils/subscriptionDetection');
+const { normalizeEmail } = require('../utils/email');
+const {
+  getEnrollment,
+  getActiveEnrollmentsForCustomer,
+  recordUnenrollment
+} = require('../utils/enrollmentLedger');
+const {
+  createReconciliationReport,
+  updateReconciliationReport,
+  getReconciliationReport
+} = require('../utils/reconciliationReports');
+
+const RECONCILE_JOB = 'reconcile_enrollments';
+
+// Recorded as the topic of ledger changes made in apply mode
+const RECONCILE_TOPIC = 'reconciliation';
+
+// Ledger statuses that mean access was taken away on purpose, e.g. by a dispute or expiry
+const REMOVED_STATUSES = ['suspended', 'expiring', 'expired', 'unenrolled'];
+
+// Decide whether a line item should currently grant access
+// Line items the app already decided on keep that decision; the others go through the
+// enrollment rules and mapping trigger like a webhook delivery would
+function isLineItemExpected(shop, order, item, decision) {
+  const currentQuantity = item.current_quantity !== undefined ? item.current_quantity : item.quantity;
+  if (currentQuantity <= 0) return false;
+
+  const entry = getEnrollment(shop, order.id, item.id);
+  if (entry && (entry.status === 'queued' || entry.status === 'enrolled')) return true;
+  if (entry && REMOVED_STATUSES.includes(entry.status)) return false;
+
+  if (!decision || !decision.enroll) return false;
+  return getEnrollmentTriggerForProduct(item.product_id) !== 'on_fulfilled' || item.fulfillment_status === 'fulfilled';
+}
+
+// Page through the shop's orders and collect the courses every customer should hold
+async function collectExpectedAccess(shop, graphqlClient, report) {
+  const customers = new Map();
+  const unmappedProducts = new Map();
+  const orderIds = new Set();
+  let cursor = null;
+
+  do {
+    const page = await fetchOrders(graphqlClient, {
+      createdAtMin: report.created_at_min,
+      createdAtMax: report.created_at_max,
+      cursor
+    });
+
+    for (const order of page.orders) {
+      orderIds.add(String(order.id));
+      if (!order.customer || !order.customer.email) continue;
+
+      const email = normalizeEmail(order.customer.email);
+      if (!customers.has(email)) {
+        customers.set(email, {
+          email,
+          customer_id: order.customer.id ? String(order.customer.id) : null,
+          first_name: order.customer.first_name || '',
+          last_name: order.customer.last_name || '',
+          course_ids: new Set(),
+          order_ids: new Set(),
+          line_items: []
+        });
+      }
+      const customer = customers.get(email);
+      if (order.cancelled_at) continue;
+
+      const lineItems = order.line_items.filter(item => item.product_id);
+      const subscriptionLineItemIds = new Set(getSubscriptionLineItems(order).map(item => String(item.id)));
+      const { decisions } = await getEligibleLineItems({ ...order, line_items: lineItems }, { graphqlClient });
+
+      for (const item of lineItems) {
+        const courseIds = resolveCourseIdsForProduct(item.product_id, item.title || '');
+        if (!courseIds.length) {
+          const unmapped = unmappedProducts.get(String(item.product_id)) ||
+            { product_id: String(item.product_id), title: item.title || '', order_ids: [] };
+          unmapped.order_ids.push(String(order.id));
+          unmappedProducts.set(unmapped.product_id, unmapped);
+          continue;
+        }
+
+        const decision = decisions.find(entry => entry.line_item_id === String(item.id));
+        if (isLineItemExpected(shop, order, item, decision)) {
+          courseIds.forEach(courseId => customer.course_ids.add(courseId));
+          customer.order_ids.add(String(order.id));
+          customer.line_items.push({
+            orderId: String(order.id),
+            lineItemId: String(item.id),
+            productId: String(item.product_id),
+            productTitle: item.title || '',
+            subscription: subscriptionLineItemIds.has(String(item.id)),
+            courseIds
+          });
+        }
+      }
+    }
+
+    cursor = page.nextCursor;
+    updateReconciliationReport(report.id, { orders_scanned: orderIds.size });
+  } while (cursor);
+
+  return { customers: [...customers.values()], unmappedProducts: [...unmappedProducts.values()], orderIds };
+}
+
+// Courses a customer holds through active grants for orders outside the scanned range
+function getCoursesHeldElsewhere(shop, customer, orderIds) {
+  const courseIds = new Set();
+  const entries = getActiveEnrollmentsForCustomer({ shop, customerId: customer.customer_id, email: customer.email })
+    .filter(entry => !orderIds.has(entry.order_id));
+
+  for (const entry of entries) {
+    (entry.course_ids || resolveCourseIdsForProduct(entry.product_id, entry.product_title))
+      .forEach(courseId => courseIds.add(courseId));
+  }
+
+  return courseIds;
+}
+
+// Bring the ledger in line with the access apply mode fixed, so refunds, expiry and retained-course
+// checks see it: line items that grant an enrolled course are recorded as enrolled, and active
+// entries of scanned orders that no longer grant access are recorded as unenrolled
+function recordAppliedDrift(shop, customer, { orderIds, enrolled, unenrolled }) {
+  for (const item of customer.line_items) {
+    if (!item.courseIds.some(courseId => enrolled.includes(courseId))) continue;
+    recordGrantedEnrollment(shop, { ...item, customerId: customer.customer_id, email: customer.email }, RECONCILE_TOPIC);
+  }
+
+  const expectedKeys = new Set(customer.line_items.map(item => `${item.orderId}:${item.lineItemId}`));
+  const staleEntries = getActiveEnrollmentsForCustomer({ shop, customerId: customer.customer_id, email: customer.email })
+    .filter(entry => orderIds.has(entry.order_id) && !expectedKeys.has(`${entry.order_id}:${entry.line_item_id}`))
+    .filter(entry => (entry.course_ids || resolveCourseIdsForProduct(entry.product_id, entry.product_title))
+      .some(courseId => unenrolled.includes(courseId)));
+
+  for (const entry of staleEntries) {
+    recordUnenrollment(shop, entry.order_id, entry.line_item_id, RECONCILE_TOPIC);
+  }
+}
+
+// Compare one customer's expected and actual courses, fixing the drift in apply mode
+async function reconcileCustomer(shop, customer, { orderIds, managedCourseIds, apply }) {
+  const linkedUser = customer.customer_id ? await resolveLinkedUser(shop, customer.customer_id) : null;
+  const user = linkedUser || await learnWorldsService.findUserByEmail(customer.email);
+  const actual = new Set(user ? await learnWorldsService.getUserCourseIds(user.id) : []);
+  const heldElsewhere = getCoursesHeldElsewhere(shop, customer, orderIds);
+
+  // Only courses the mappings manage can be unexpected; anything else was granted outside this app
+  const missing = [...customer.course_ids].filter(courseId => !actual.has(courseId));
+  const unexpected = [...actual].filter(courseId =>
+    managedCourseIds.has(courseId) && !customer.course_ids.has(courseId) && !heldElsewhere.has(courseId));
+
+  const result = {
+    email: customer.email,
+    customer_id: customer.customer_id,
+    learnworlds_user_id: user ? String(user.id) : null,
+    missing,
+    unexpected,
+    order_ids: [...customer.order_ids],
+    applied: null
+  };
+
+  if (apply && (missing.length || unexpected.length)) {
+    let enrolledUser = user;
+    if (missing.length) {
+      const userData = { email: customer.email, first_name: customer.first_name, last_name: customer.last_name };
+      enrolledUser = await learnWorldsService.enrollUserInCourses(customer.email, missing, userData, user);
+      linkCustomer(shop, customer.customer_id, enrolledUser, userData);
+    }
+    if (unexpected.length) {
+      await learnWorldsService.unenrollUserFromCourses(customer.email, unexpected, enrolledUser);
+    }
+    recordAppliedDrift(shop, customer, { orderIds, enrolled: missing, unenrolled: unexpected });
+    result.applied = { enrolled: missing, unenrolled: unexpected };
+  }
+
+  return result;
+}
+
+/**
+ * Run a queued reconciliation and store its drift report
+ * @param {Object} payload - Job payload created by queueReconciliation
+ * @returns {Promise<Object>} Job result
+ */
+async function handleReconcileJob({ shop, reportId }) {
+  const report = getReconciliationReport(reportId);
+  if (!report) {
+    return { reconciled: false, reason: 'Report no longer exists' };
+  }
+
+  updateReconciliationReport(reportId, {
+    status: 'running',
+    started_at: new Date().toISOString(),
+    missing_access: [],
+    unexpected_access: [],
+    unmapped_products: [],
+    applied: [],
+    errors: [],
+    error: null
+  });
+
+  try {
+    const graphqlClient = getGraphqlClient(shop);
+    if (!graphqlClient) {
+      throw new Error(`No offline session stored for ${shop}`);
+    }
+
+    const { customers, unmappedProducts, orderIds } = await collectExpectedAccess(shop, graphqlClient, report);
+    const managedCourseIds = getMappedCourseIds();
+    const drift = { missing_access: [], unexpected_access: [], applied: [], errors: [] };
+
+    // A failure for one customer doesn't stop the others from being checked
+    for (const customer of customers) {
+      try {
+        const result = await reconcileCustomer(shop, customer, { orderIds, managedCourseIds, apply: report.apply });
+        const { email, customer_id, learnworlds_user_id } = result;
+
+        if (result.missing.length) {
+          drift.missing_access.push({ email, customer_id, learnworlds_user_id, course_ids: result.missing, order_ids: result.order_ids });
+        }
+        if (result.unexpected.length) {
+          drift.unexpected_access.push({ email, customer_id, learnworlds_user_id, course_ids: result.unexpected });
+        }
+        if (result.applied) {
+          drift.applied.push({ email, customer_id, ...result.applied });
+        }
+      } catch (error) {
+        console.error(`Error reconciling enrollments for ${customer.email}:`, error.message);
+        drift.errors.push({ email: customer.email, customer_id: customer.customer_id, error: error.message });
+      }
+    }
+
+    const completed = updateReconciliationReport(reportId, {
+      status: 'completed',
+      customers_checked: customers.length,
+      unmapped_products: unmappedProducts,
+      ...drift,
+      completed_at: new Date().toISOString()
+    });
+
+    console.log(`Reconciliation ${reportId} for ${shop}: ${completed.orders_scanned} order(s), ${drift.missing_access.length} customer(s) missing access, ${drift.unexpected_access.length} with unexpected access, ${unmappedProducts.length} unmapped product(s)`);
+    return { reconciled: true, reportId };
+  } catch (error) {
+    updateReconciliationReport(reportId, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+/**
+ * Queue a reconciliation of a shop's orders with LearnWorlds
+ * @param {Object} request - Reconciliation request
+ * @param {string} request.shop - Shop domain
+ * @param {string} request.createdAtMin - Earliest order creation date, ISO 8601
+ * @param {string} request.createdAtMax - Latest order creation date, ISO 8601
+ * @param {boolean} request.apply - Enroll missing access and remove unexpected access
+ * @returns {Object} The queued report
+ */
+function queueReconciliation({ shop, createdAtMin, createdAtMax, apply = false }) {
+  const report = createReconciliationReport({ shop, createdAtMin, createdAtMax, apply });
+
+  // A failed run is started again by the operator, so apply mode never re-runs unattended
+  const job = jobQueue.enqueue(RECONCILE_JOB, { shop, reportId: report.id }, { maxAttempts: 1 });
+  return updateReconciliationReport(report.id, { job_id: job.id });
+}
+
+jobQueue.registerHandler(RECONCILE_JOB, handleReconcileJob);
+
+module.exports = {
+  queueReconciliation
+};
@@ -0,0 +1,310 @@
+const crypto = require('crypto');
+const { getJobQueueConfig } = require('../config/jobQueue');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('../utils/dataStore');
+
+const JOBS_FILE_PATH = getDataFilePath('job_queue.json');
+
+/**
+ * Persistent local job queue with exponential backoff and a dead-letter state
+ *
+ * Job statuses:
+ * - pending: waiting for its next_run_at
+ * - paused: held back, e.g. because its shop uninstalled the app, until resumed
+ * - running: currently being processed
+ * - completed: finished successfully
+ * - dead: failed max_attempts times and needs an operator to retry or discard it
+ */
+class JobQueue {
+  constructor() {
+    this.config = getJobQueueConfig();
+    this.handlers = {};
+    this.jobs = loadJsonFile(JOBS_FILE_PATH, {}, 'job queue');
+    this.timer = null;
+    this.processing = false;
+  }
+
+  save() {
+    saveJsonFile(JOBS_FILE_PATH, this.jobs, 'job queue');
+  }
+
+  /**
+   * Register the function that processes jobs of a given type
+   * @param {string} type - Job type, e.g. enroll
+   * @param {Function} handler - Async function receiving the job payload
+   */
+  registerHandler(type, handler) {
+    this.handlers[type] = handler;
+  }
+
+  /**
+   * Add a job to the queue
+   * @param {string} type - Job type, must have a registered handler
+   * @param {Object} payload - Data passed to the handler
+   * @param {Object} options - Optional settings
+   * @param {number} options.maxAttempts - Override the configured max attempts
+   * @param {Date} options.runAt - Run the job no earlier than this time
+   * @returns {Object} The queued job
+   */
+  enqueue(type, payload, options = {}) {
+    const now = new Date().toISOString();
+    const job = {
+      id: crypto.randomUUID(),
+      type,
+      payload,
+      status: 'pending',
+      attempts: 0,
+      max_attempts: options.maxAttempts || this.config.maxAttempts,
+      next_run_at: options.runAt ? options.runAt.toISOString() : now,
+      last_error: null,
+      created_at: now,
+      updated_at: now
+    };
+
+    this.jobs[job.id] = job;
+    this.save();
+    console.log(`Queued ${type} job ${job.id}`);
+
+    // Pick the job up straight away rather than waiting for the next poll
+    if (this.timer) {
+      setImmediate(() => this.processDueJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Start polling for due jobs
+   */
+  start() {
+    if (this.timer) return;
+
+    // Jobs left running by a previous process never finished, so run them again
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === 'running') {
+        job.status = 'pending';
+        job.next_run_at = new Date().toISOString();
+      }
+    }
+    this.save();
+
+    this.timer = setInterval(() => this.processDueJobs(), this.config.pollIntervalMs);
+    this.timer.unref();
+    console.log(`Job queue started (polling every ${this.config.pollIntervalMs}ms)`);
+    setImmediate(() => this.processDueJobs());
+  }
+
+  /**
+   * Stop polling for due jobs
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Run every pending job whose next_run_at has passed
+   * @returns {Promise<void>}
+   */
+  async processDueJobs() {
+    if (this.processing) return;
+    this.processing = true;
+
+    try {
+      const now = Date.now();
+      const dueJobs = Object.values(this.jobs)
+        .filter(job => job.status === 'pending' && new Date(job.next_run_at).getTime() <= now)
+        .sort((a, b) => new Date(a.next_run_at) - new Date(b.next_run_at));
+
+      for (const job of dueJobs) {
+        await this.runJob(job);
+      }
+
+      this.pruneCompletedJobs();
+    } finally {
+      this.processing = false;
+    }
+  }
+
+  /**
+   * Run a single job and schedule a retry or dead-letter it on failure
+   * @param {Object} job - Job to run
+   * @returns {Promise<void>}
+   */
+  async runJob(job) {
+    // The job may have been paused or removed, e.g. by an uninstall or a GDPR redaction,
+    // while earlier jobs of the same batch were running
+    if (this.jobs[job.id] !== job || job.status !== 'pending') return;
+
+    const handler = this.handlers[job.type];
+
+    job.status = 'running';
+    job.attempts += 1;
+    job.updated_at = new Date().toISOString();
+    this.save();
+
+    try {
+      if (!handler) {
+        throw new Error(`No handler registered for job type ${job.type}`);
+      }
+
+      job.result = await handler(job.payload, job);
+      job.status = 'completed';
+      job.last_error = null;
+      job.completed_at = new Date().toISOString();
+      console.log(`Job ${job.id} (${job.type}) completed after ${job.attempts} attempt(s)`);
+    } catch (error) {
+      job.last_error = error.message;
+
+      if (job.attempts >= job.max_attempts) {
+        job.status = 'dead';
+        job.dead_at = new Date().toISOString();
+        console.error(`Job ${job.id} (${job.type}) moved to dead-letter after ${job.attempts} attempt(s): ${error.message}`);
+      } else {
+        const delay = this.getBackoffDelay(job.attempts);
+        job.status = 'pending';
+        job.next_run_at = new Date(Date.now() + delay).toISOString();
+        console.error(`Job ${job.id} (${job.type}) failed on attempt ${job.attempts}, retrying in ${delay}ms: ${error.message}`);
+      }
+    }
+
+    job.updated_at = new Date().toISOString();
+    this.save();
+  }
+
+  /**
+   * Get the delay before the next attempt
+   * @param {number} attempts - Number of attempts made so far
+   * @returns {number} Delay in milliseconds
+   */
+  getBackoffDelay(attempts) {
+    const delay = this.config.backoffBaseMs * Math.pow(2, attempts - 1);
+    return Math.min(delay, this.config.backoffMaxMs);
+  }
+
+  // Drop completed jobs once they are older than the retention period
+  pruneCompletedJobs() {
+    const cutoff = Date.now() - this.config.completedRetentionMs;
+    let pruned = false;
+
+    for (const job of Object.values(this.jobs)) {
+      if (job.status === 'completed' && new Date(job.completed_at).getTime() < cutoff) {
+        delete this.jobs[job.id];
+        pruned = true;
+      }
+    }
+
+    if (pruned) this.save();
+  }
+
+  /**
+   * Get a job by ID
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} Job or null if not found
+   */
+  getJob(jobId) {
+    return this.jobs[jobId] || null;
+  }
+
+  /**
+   * List jobs, optionally filtered by status
+   * @param {string} status - Optional status filter
+   * @returns {Object[]} Matching jobs, oldest first
+   */
+  getJobs(status) {
+    return Object.values(this.jobs)
+      .filter(job => !status || job.status === status)
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+  }
+
+  /**
+   * Move a dead job back to pending with a fresh set of attempts
+   * @param {string} jobId - Job ID
+   * @returns {Object|null} The job or null if it isn't a dead job
+   */
+  retryJob(jobId) {
+    const job = this.jobs[jobId];
+    if (!job || job.status !== 'dead') return null;
+
+    job.status = 'pending';
+    job.attempts = 0;
+    job.next_run_at = new Date().toISOString();
+    job.updated_at = job.next_run_at;
+    delete job.dead_at;
+    this.save();
+
+    if (this.timer) {
+      setImmediate(() => this.processDueJobs());
+    }
+
+    return job;
+  }
+
+  /**
+   * Permanently remove a dead job
+   * @param {string} jobId - Job ID
+   * @returns {boolean} True if the job was discarded
+   */
+  discardJob(jobId) {
+    const job = this.jobs[jobId];
+    if (!job || job.status !== 'dead') return false;
+
+    delete this.jobs[jobId];
+    this.save();
+    return true;
+  }
+
+  /**
+   * Pause every pending job that matches a predicate
+   * @param {Function} predicate - Receives the job and returns true to pause it
+   * @returns {number} Number of jobs paused
+   */
+  pauseJobs(predicate) {
+    const jobs = Object.values(this.jobs)
+      .filter(job => job.status === 'pending' && predicate(job));
+    for (const job of jobs) {
+      job.status = 'paused';
+      job.updated_at = new Date().toISOString();
+    }
+    if (jobs.length) this.save();
+    return jobs.length;
+  }
+
+  /**
+   * Move every paused job that matches a predicate back to pending
+   * @param {Function} predicate - Receives the job and returns true to resume it
+   * @returns {number} Number of jobs resumed
+   */
+  resumeJobs(predicate) {
+    const jobs = Object.values(this.jobs)
+      .filter(job => job.status === 'paused' && predicate(job));
+    for (const job of jobs) {
+      job.status = 'pending';
+      job.updated_at = new Date().toISOString();
+    }
+    if (jobs.length) {
+      this.save();
+      if (this.timer) {
+        setImmediate(() => this.processDueJobs());
+      }
+    }
+    return jobs.length;
+  }
+
+  /**
+   * Remove every job that isn't running and matches a predicate
+   * Used to drop queued work that carries data we have been asked to erase
+   * @param {Function} predicate - Receives the job and returns true to remove it
+   * @returns {number} Number of jobs removed
+   */
+  removeJobs(predicate) {
+    const ids = Object.keys(this.jobs)
+      .filter(id => this.jobs[id].status !== 'running' && predicate(this.jobs[id]));
+    ids.forEach(id => delete this.jobs[id]);
+    if (ids.length) this.save();
+    return ids.length;
+  }
+}
+
+module.exports = new JobQueue();
@@ -0,0 +1,253 @@
+const axios = require('axios');
+const { getLearnWorldsClientConfig } = require('../config/learnWorldsClient');
+
+// Methods that can be sent again after a timeout or 5xx without doing the work twice
+const IDEMPOTENT_METHODS = ['get', 'head', 'put', 'delete'];
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Shared HTTP client for every LearnWorlds request
+ *
+ * - Every request has a timeout
+ * - 429 responses are retried after their Retry-After delay; a delay longer than retryMaxMs
+ *   opens the circuit until it has passed instead
+ * - 5xx responses and network errors are retried with exponential backoff, for idempotent requests
+ * - At most maxConcurrency requests are in flight, the others wait for a slot
+ * - After circuitFailureThreshold consecutive failures the circuit opens and requests fail
+ *   straight away for circuitResetMs; then one trial request decides whether it closes again
+ */
+class LearnWorldsClient {
+  constructor() {
+    this.config = getLearnWorldsClientConfig();
+    this.inFlight = 0;
+    this.waiting = [];
+    this.circuit = {
+      state: 'closed',
+      consecutive_failures: 0,
+      opened_at: null,
+      retry_at: null,
+      trial_in_flight: false
+    };
+    this.metrics = {
+      requests: 0,
+      attempts: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      rate_limited: 0,
+      server_errors: 0,
+      timeouts: 0,
+      network_errors: 0,
+      circuit_rejections: 0,
+      circuit_opened: 0,
+      total_latency_ms: 0
+    };
+  }
+
+  /**
+   * Send a request to LearnWorlds
+   * @param {Object} request - Axios request config: method, url, data and headers
+   * @param {Object} options - Optional settings
+   * @param {boolean} options.idempotent - Whether a timeout or 5xx may be retried, defaults by method
+   * @returns {Promise<Object>} Axios response
+   */
+  async send(request, { idempotent } = {}) {
+    const method = (request.method || 'get').toLowerCase();
+    const retryable = idempotent !== undefined ? idempotent : IDEMPOTENT_METHODS.includes(method);
+    this.metrics.requests++;
+
+    for (let attempt = 0; ; attempt++) {
+      const trial = this.checkCircuit();
+      let response;
+      let error;
+
+      await this.acquireSlot();
+      this.metrics.attempts++;
+      const startedAt = Date.now();
+      try {
+        response = await axios({ ...request, timeout: this.config.timeoutMs });
+      } catch (requestError) {
+        error = requestError;
+      } finally {
+        this.metrics.total_latency_ms += Date.now() - startedAt;
+        this.releaseSlot();
+      }
+
+      if (!error) {
+        this.recordSuccess(trial);
+        return response;
+      }
+
+      const failure = this.classifyError(error);
+      if (!failure) {
+        // Client errors such as 404 are answers, not signs of an unhealthy API
+        this.recordSuccess(trial);
+        this.metrics.failed++;
+        throw error;
+      }
+
+      const canRetry = attempt < this.config.maxRetries && (failure === 'rate_limited' || retryable);
+      if (!canRetry) {
+        this.recordFailure(trial);
+        this.metrics.failed++;
+        throw error;
+      }
+
+      const delay = this.getRetryDelay(error, attempt);
+      if (delay > this.config.retryMaxMs) {
+        // Waiting out a long Retry-After here would hold up the caller, and every request
+        // sent before it ends would be rejected again, so stop sending until then
+        this.openCircuit(delay, `LearnWorlds asked to retry after ${delay}ms`);
+        this.metrics.failed++;
+        throw error;
+      }
+
+      // A trial request that is retried keeps the circuit half open for the next attempt
+      if (trial) this.circuit.trial_in_flight = false;
+
+      this.metrics.retries++;
+      console.log(`LearnWorlds ${method.toUpperCase()} ${request.url} failed (${failure}), retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+
+  // Count the error in the metrics and say why it can be retried, or null if it can't
+  classifyError(error) {
+    const status = error.response && error.response.status;
+
+    if (status === 429) {
+      this.metrics.rate_limited++;
+      return 'rate_limited';
+    }
+    if (status >= 500) {
+      this.metrics.server_errors++;
+      return 'server_error';
+    }
+    if (!error.response) {
+      if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+        this.metrics.timeouts++;
+        return 'timeout';
+      }
+      this.metrics.network_errors++;
+      return 'network_error';
+    }
+    return null;
+  }
+
+  // Delay before the next attempt: the full Retry-After for 429, exponential backoff with jitter otherwise
+  getRetryDelay(error, attempt) {
+    const retryAfter = error.response && error.response.headers && error.response.headers['retry-after'];
+    if (retryAfter) {
+      const seconds = Number(retryAfter);
+      const delay = Number.isNaN(seconds) ? new Date(retryAfter).getTime() - Date.now() : seconds * 1000;
+      if (!Number.isNaN(delay)) {
+        return Math.max(delay, 0);
+      }
+    }
+
+    const backoff = Math.min(this.config.retryBaseMs * 2 ** attempt, this.config.retryMaxMs);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  // Fail fast while the circuit is open; returns true if this request is the half-open trial
+  checkCircuit() {
+    const { circuit } = this;
+    if (circuit.state === 'closed') return false;
+
+    if (circuit.state === 'open' && Date.now() >= new Date(circuit.retry_at).getTime()) {
+      circuit.state = 'half_open';
+    }
+
+    if (circuit.state === 'half_open' && !circuit.trial_in_flight) {
+      circuit.trial_in_flight = true;
+      return true;
+    }
+
+    this.metrics.circuit_rejections++;
+    const error = new Error(`LearnWorlds circuit is open, retry after ${circuit.retry_at}`);
+    error.code = 'CIRCUIT_OPEN';
+    throw error;
+  }
+
+  recordSuccess(trial) {
+    const { circuit } = this;
+    if (trial || circuit.state !== 'closed') {
+      console.log('LearnWorlds circuit closed');
+    }
+
+    circuit.state = 'closed';
+    circuit.consecutive_failures = 0;
+    circuit.opened_at = null;
+    circuit.retry_at = null;
+    circuit.trial_in_flight = false;
+    this.metrics.succeeded++;
+  }
+
+  recordFailure(trial) {
+    const { circuit } = this;
+    circuit.consecutive_failures++;
+    circuit.trial_in_flight = false;
+
+    if (trial || (circuit.state === 'closed' && circuit.consecutive_failures >= this.config.circuitFailureThreshold)) {
+      this.openCircuit(this.config.circuitResetMs, `${circuit.consecutive_failures} consecutive failures`);
+    }
+  }
+
+  // Reject requests for a while; then one trial request decides whether the circuit closes again
+  openCircuit(durationMs, reason) {
+    const { circuit } = this;
+    const now = Date.now();
+    const retryAt = now + durationMs;
+
+    // Don't shorten a pause that is already running, e.g. a rate-limit window
+    if (circuit.state === 'open' && new Date(circuit.retry_at).getTime() >= retryAt) return;
+
+    circuit.state = 'open';
+    circuit.opened_at = new Date(now).toISOString();
+    circuit.retry_at = new Date(retryAt).toISOString();
+    circuit.trial_in_flight = false;
+    this.metrics.circuit_opened++;
+    console.warn(`LearnWorlds circuit opened (${reason}), pausing requests until ${circuit.retry_at}`);
+  }
+
+  // Wait for one of the maxConcurrency request slots
+  acquireSlot() {
+    if (this.inFlight < this.config.maxConcurrency) {
+      this.inFlight++;
+      return Promise.resolve();
+    }
+    return new Promise(resolve => this.waiting.push(resolve));
+  }
+
+  // Hand the slot to the next waiting request, or free it
+  releaseSlot() {
+    const next = this.waiting.shift();
+    if (next) {
+      next();
+    } else {
+      this.inFlight--;
+    }
+  }
+
+  /**
+   * Get request counters, the concurrency level and the circuit state
+   * @returns {Object} Client metrics
+   */
+  getMetrics() {
+    const { total_latency_ms: totalLatencyMs, ...counters } = this.metrics;
+
+    return {
+      ...counters,
+      average_latency_ms: counters.attempts ? Math.round(totalLatencyMs / counters.attempts) : null,
+      in_flight: this.inFlight,
+      waiting: this.waiting.length,
+      circuit: { ...this.circuit },
+      config: { ...this.config }
+    };
+  }
+}
+
+module.exports = new LearnWorldsClient();
@@ -1,6 +1,12 @@
-const axios = require('axios');
+const learnWorldsClient = require('./learnWorldsClient');
 const { getLearnWorldsConfig } = require('../config/learnWorlds');
-const { getCourseIdForProduct } = require('../utils/productCourseMapping');
+const { resolveCourseIdsForProduct } = require('../utils/productCourseMapping');
+const { normalizeEmail } = require('../utils/email');
+const {
+  getCachedUserId,
+  cacheUserId,
+  invalidateCachedUser
+} = require('../utils/learnWorldsUserCache');
 
 /**
  * Service for interacting with the LearnWorlds API
@@ -11,23 +17,160 @@ class LearnWorldsService {
     this.apiKey = config.apiKey;
     this.baseUrl = config.baseUrl;
     this.schoolId = config.schoolId;
+    this.clientId = config.clientId;
+    this.clientSecret = config.clientSecret;
+    this.authMode = config.authMode;
+    this.lwClient = config.lwClient;
+    this.tokenUrl = config.tokenUrl;
+    this.userCacheTtlMs = config.userCacheTtlMs;
+    
+    // Client-credentials token cache
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
+    this.tokenRequest = null;
     
     // Log configuration for debugging (without exposing sensitive data)
     console.log(`LearnWorlds Service initialized:`);
     console.log(`- Base URL: ${this.baseUrl}`);
     console.log(`- School ID: ${this.schoolId}`);
-    console.log(`- API Key configured: ${this.apiKey ? 'Yes' : 'No'}`);
+    console.log(`- Auth mode: ${this.authMode}`);
+    console.log(`- Credentials configured: ${this.hasCredentials() ? 'Yes' : 'No'}`);
+  }
+
+  /**
+   * Check whether credentials for the configured auth mode are set
+   * @returns {boolean} True if a static token or a client ID and secret are configured
+   */
+  hasCredentials() {
+    return this.authMode === 'client_credentials' || Boolean(this.apiKey);
+  }
+
+  /**
+   * Request a client-credentials access token and cache it until shortly before it expires
+   * Concurrent callers share the same token request
+   * @returns {Promise<string>} Access token
+   */
+  async fetchAccessToken() {
+    if (!this.tokenRequest) {
+      this.tokenRequest = (async () => {
+        try {
+          // Asking for a token twice does no harm, so the request may be retried like a read
+          const response = await learnWorldsClient.send({
+            method: 'post',
+            url: this.tokenUrl,
+            data: {
+              client_id: this.clientId,
+              client_secret: this.clientSecret,
+              grant_type: 'client_credentials'
+            },
+            headers: { 'Lw-Client': this.lwClient, 'Content-Type': 'application/json' }
+          }, { idempotent: true });
+          
+          // LearnWorlds wraps the token in tokenData
+          const tokenData = response.data.tokenData || response.data;
+          if (!tokenData.access_token) {
+            throw new Error('Token response has no access_token');
+          }
+          
+          // Refresh a minute early so requests in flight don't use an expired token
+          const expiresIn = Number(tokenData.expires_in) || 3600;
+          this.accessToken = tokenData.access_token;
+          this.tokenExpiresAt = Date.now() + Math.max(expiresIn - 60, 0) * 1000;
+          console.log(`Obtained LearnWorlds access token, valid for ${expiresIn}s`);
+          return this.accessToken;
+        } catch (error) {
+          const tokenError = new Error(`Failed to obtain LearnWorlds access token: ${error.message}`);
+          tokenError.status = error.response ? error.response.status : null;
+          throw tokenError;
+        } finally {
+          this.tokenRequest = null;
+        }
+      })();
+    }
+    
+    return this.tokenRequest;
+  }
+
+  /**
+   * Get the bearer token for the next request
+   * @returns {Promise<string>} Static API key or a cached client-credentials token
+   */
+  async getAccessToken() {
+    if (this.authMode !== 'client_credentials') return this.apiKey;
+    if (this.accessToken && Date.now() < this.tokenExpiresAt) return this.accessToken;
+    return this.fetchAccessToken();
+  }
+
+  /**
+   * Drop the cached client-credentials token so the next request fetches a new one
+   */
+  invalidateAccessToken() {
+    this.accessToken = null;
+    this.tokenExpiresAt = 0;
   }
 
   /**
    * Get the HTTP headers required for LearnWorlds API requests
-   * @returns {Object} Headers object
+   * @returns {Promise<Object>} Headers object
    */
-  getHeaders() {
-    return {
-      'Authorization': `Bearer ${this.apiKey}`,
+  async getHeaders() {
+    const headers = {
+      'Authorization': `Bearer ${await this.getAccessToken()}`,
       'Content-Type': 'application/json'
     };
+    if (this.lwClient) headers['Lw-Client'] = this.lwClient;
+    return headers;
+  }
+
+  /**
+   * Send an authenticated request to the LearnWorlds API
+   * A client-credentials token that is rejected with 401 is refreshed and the request sent once more.
+   * Timeouts, retries, concurrency and the circuit breaker are handled by learnWorldsClient.
+   * @param {string} method - HTTP method
+   * @param {string} url - Request URL
+   * @param {Object} data - Optional request body
+   * @param {Object} options - Optional settings passed to learnWorldsClient.send, e.g. idempotent
+   * @returns {Promise<Object>} Axios response
+   */
+  async request(method, url, data, options = {}) {
+    try {
+      return await learnWorldsClient.send({ method, url, data, headers: await this.getHeaders() }, options);
+    } catch (error) {
+      if (this.authMode !== 'client_credentials' || !error.response || error.response.status !== 401) {
+        throw error;
+      }
+      
+      console.log('LearnWorlds rejected the access token, requesting a new one');
+      this.invalidateAccessToken();
+      return learnWorldsClient.send({ method, url, data, headers: await this.getHeaders() }, options);
+    }
+  }
+
+  /**
+   * Check the configured credentials against the LearnWorlds API
+   * Missing or rejected credentials throw; an unreachable API only logs a warning so an
+   * outage doesn't keep the app from starting, failed jobs are retried later anyway
+   * @returns {Promise<void>}
+   */
+  async verifyCredentials() {
+    if (!this.hasCredentials()) {
+      throw new Error('LearnWorlds credentials are missing: set LEARNWORLDS_CLIENT_ID and LEARNWORLDS_CLIENT_SECRET, or LEARNWORLDS_API_KEY');
+    }
+    if (!this.lwClient) {
+      throw new Error('LearnWorlds client is missing: set LEARNWORLDS_CLIENT_ID or LEARNWORLDS_SCHOOL_ID for the Lw-Client header');
+    }
+    
+    try {
+      await this.request('get', `${this.baseUrl}/v2/users?limit=1`);
+      console.log(`LearnWorlds credentials verified (${this.authMode})`);
+    } catch (error) {
+      // Token request errors carry their status, API errors their response
+      const status = error.response ? error.response.status : error.status;
+      if ([400, 401, 403].includes(status)) {
+        throw new Error(`LearnWorlds rejected the configured credentials (${status}), check the ${this.authMode === 'client_credentials' ? 'client ID and secret' : 'API key'} and the Lw-Client value`);
+      }
+      console.warn(`Could not verify LearnWorlds credentials: ${error.message}`);
+    }
   }
 
   /**
@@ -37,10 +180,7 @@ class LearnWorldsService {
   async testConnection() {
     try {
       console.log('Testing LearnWorlds API connection...');
-      const response = await axios.get(
-        `${this.baseUrl}/v2/users?limit=1`,
-        { headers: this.getHeaders() }
-      );
+      const response = await this.request('get', `${this.baseUrl}/v2/users?limit=1`);
       console.log(`API connection successful. Status: ${response.status}`);
       return true;
     } catch (error) {
@@ -54,67 +194,49 @@ class LearnWorldsService {
 
   /**
    * Find a user in LearnWorlds by email
+   * Matching ignores case and surrounding whitespace. The email search is paged through,
+   * so the match is found even when LearnWorlds returns more users than fit on one page.
+   * Resolved user IDs are cached; a cached user that no longer has the email is looked up again.
    * @param {string} email - User's email address
    * @returns {Promise<Object|null>} User object or null if not found
    */
   async findUserByEmail(email) {
+    const normalizedEmail = normalizeEmail(email);
+    if (!normalizedEmail) return null;
+    
+    const cachedUserId = getCachedUserId(normalizedEmail);
+    if (cachedUserId) {
+      const cachedUser = await this.getUserById(cachedUserId);
+      if (cachedUser && normalizeEmail(cachedUser.email) === normalizedEmail) {
+        return cachedUser;
+      }
+      invalidateCachedUser({ email: normalizedEmail });
+    }
+    
     try {
-      console.log(`Searching for user with email: ${email}`);
+      let page = 1;
+      let totalPages = 1;
       
-      // Method 1: Try the search endpoint with email parameter
-      try {
-        console.log('Trying Method 1: GET /v2/users?email=...');
-        const response1 = await axios.get(
-          `${this.baseUrl}/v2/users?email=${encodeURIComponent(email)}`,
-          { headers: this.getHeaders() }
-        );
-        
-        console.log(`Method 1 response status: ${response1.status}`);
-        console.log(`Method 1 found ${response1.data ? response1.data.length : 0} users`);
+      do {
+        const response = await this.request('get', `${this.baseUrl}/v2/users?email=${encodeURIComponent(normalizedEmail)}&page=${page}`);
         
-        if (response1.data && response1.data.length > 0) {
-          console.log(`Method 1 found user: ${response1.data[0].id} - ${response1.data[0].email}`);
-          return response1.data[0];
+        const users = Array.isArray(response.data) ? response.data : (response.data.data || []);
+        const user = users.find(candidate => normalizeEmail(candidate.email) === normalizedEmail);
+        if (user) {
+          cacheUserId(normalizedEmail, user.id, this.userCacheTtlMs);
+          return user;
         }
-      } catch (method1Error) {
-        console.log(`Method 1 failed: ${method1Error.response?.status} - ${method1Error.message}`);
-      }
-      
-      // Method 2: Try getting all users and filter by email (for small user bases)
-      try {
-        console.log('Trying Method 2: GET /v2/users (all users)');
-        const response2 = await axios.get(
-          `${this.baseUrl}/v2/users?limit=100`,
-          { headers: this.getHeaders() }
-        );
         
-        console.log(`Method 2 response status: ${response2.status}`);
-        console.log(`Method 2 retrieved ${response2.data ? response2.data.length : 0} users`);
-        
-        if (response2.data && response2.data.length > 0) {
-          const user = response2.data.find(u => u.email && u.email.toLowerCase() === email.toLowerCase());
-          if (user) {
-            console.log(`Method 2 found user: ${user.id} - ${user.email}`);
-            return user;
-          } else {
-            console.log(`Method 2: No user found with email ${email} among ${response2.data.length} users`);
-            // Log first few users for debugging
-            const sampleUsers = response2.data.slice(0, 3).map(u => `${u.id}: ${u.email}`).join(', ');
-            console.log(`Sample users: ${sampleUsers}`);
-          }
-        }
-      } catch (method2Error) {
-        console.log(`Method 2 failed: ${method2Error.response?.status} - ${method2Error.message}`);
-      }
+        totalPages = (response.data.meta && response.data.meta.totalPages) || 1;
+        page++;
+      } while (page <= totalPages);
       
-      console.log(`No users found with email ${email} using any method`);
+      console.log(`No LearnWorlds user found for the email (searched ${totalPages} page(s))`);
       return null;
     } catch (error) {
-      console.log(`Error details: Status ${error.response?.status}, Message: ${error.message}`);
-      
       // If it's a 404 or the user is not found, return null instead of throwing
       if (error.response && (error.response.status === 404 || error.response.status === 400)) {
-        console.log(`User with email ${email} not found in LearnWorlds (${error.response.status})`);
+        console.log(`No LearnWorlds user found for the email (${error.response.status})`);
         return null;
       }
       
@@ -123,22 +245,121 @@ class LearnWorldsService {
     }
   }
 
+  /**
+   * Get a user in LearnWorlds by ID
+   * @param {string} userId - LearnWorlds user ID
+   * @returns {Promise<Object|null>} User object or null if not found
+   */
+  async getUserById(userId) {
+    try {
+      const response = await this.request('get', `${this.baseUrl}/v2/users/${encodeURIComponent(userId)}`);
+      return response.data;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.log(`LearnWorlds user ${userId} not found`);
+        invalidateCachedUser({ userId });
+        return null;
+      }
+      console.error('Error getting LearnWorlds user:', error.message);
+      throw new Error(`Failed to get user from LearnWorlds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get the IDs of every course a LearnWorlds user is enrolled in
+   * @param {string} userId - LearnWorlds user ID
+   * @returns {Promise<string[]>} LearnWorlds course IDs
+   */
+  async getUserCourseIds(userId) {
+    try {
+      const courseIds = [];
+      let page = 1;
+      let totalPages = 1;
+      
+      do {
+        const response = await this.request('get', `${this.baseUrl}/v2/users/${encodeURIComponent(userId)}/courses?page=${page}`);
+        
+        const items = Array.isArray(response.data) ? response.data : (response.data.data || []);
+        for (const item of items) {
+          const courseId = item.course ? item.course.id : item.id;
+          if (courseId) courseIds.push(String(courseId));
+        }
+        
+        totalPages = (response.data.meta && response.data.meta.totalPages) || 1;
+        page++;
+      } while (page <= totalPages);
+      
+      return courseIds;
+    } catch (error) {
+      if (error.response && error.response.status === 404) {
+        console.log(`LearnWorlds user ${userId} not found`);
+        return [];
+      }
+      console.error('Error getting LearnWorlds user courses:', error.message);
+      throw new Error(`Failed to get user courses from LearnWorlds: ${error.message}`);
+    }
+  }
+
+  /**
+   * Update a user's profile in LearnWorlds
+   * @param {string} userId - LearnWorlds user ID
+   * @param {Object} updates - Fields to update: email, first_name, last_name
+   * @returns {Promise<Object>} Updated user object
+   */
+  async updateUser(userId, updates) {
+    try {
+      const response = await this.request('put', `${this.baseUrl}/v2/users/${encodeURIComponent(userId)}`, updates);
+      
+      // The user's old email no longer leads to them
+      if (updates.email) {
+        invalidateCachedUser({ userId });
+        cacheUserId(updates.email, userId, this.userCacheTtlMs);
+      }
+      
+      console.log(`Successfully updated LearnWorlds user ${userId}`);
+      return response.data;
+    } catch (error) {
+      console.error('Error updating LearnWorlds user:', error.message);
+      throw new Error(`Failed to update user in LearnWorlds: ${error.message}`);
+    }
+  }
+
   /**
    * Unenroll a user from a specific course in LearnWorlds
+   * Bundle products are expanded to every course they grant
    * @param {string} userEmail - Email of the user to unenroll
    * @param {string} courseId - ID of the course to unenroll from (Shopify product ID)
    * @param {string} productName - Optional product name for bundle mapping
    * @returns {Promise<boolean>} Success status
    */
   async unenrollUserFromCourse(userEmail, courseId, productName = '') {
+    console.log(`Starting unenrollment process from product ${courseId} (${productName})`);
+    
+    // Get the LearnWorlds course IDs using product mapping
+    const learnWorldsCourseIds = resolveCourseIdsForProduct(courseId, productName);
+    
+    if (!learnWorldsCourseIds.length) {
+      console.warn(`No LearnWorlds course mapping found for product ${courseId} (${productName})`);
+      return false;
+    }
+    
+    return this.unenrollUserFromCourses(userEmail, learnWorldsCourseIds);
+  }
+
+  /**
+   * Unenroll a user from a set of LearnWorlds courses
+   * @param {string} userEmail - Email of the user to unenroll
+   * @param {string[]} learnWorldsCourseIds - LearnWorlds course IDs
+   * @param {Object} linkedUser - Optional LearnWorlds user already resolved for the customer
+   * @returns {Promise<boolean>} Success status
+   */
+  async unenrollUserFromCourses(userEmail, learnWorldsCourseIds, linkedUser = null) {
     try {
-      console.log(`Starting unenrollment process for ${userEmail} from product ${courseId} (${productName})`);
-      
-      // First, find the user by email
-      const user = await this.findUserByEmail(userEmail);
+      // First, find the user by email unless we already know who they are
+      const user = linkedUser || await this.findUserByEmail(userEmail);
       
       if (!user) {
-        console.log(`User with email ${userEmail} not found in LearnWorlds - cannot unenroll (user was likely never enrolled)`);
+        console.log('User not found in LearnWorlds - cannot unenroll (user was likely never enrolled)');
         console.log(`This might indicate: 1) User was never enrolled, 2) Different email used in LearnWorlds, 3) User was manually removed`);
         
         // Test API connection to help diagnose the issue
@@ -153,33 +374,25 @@ class LearnWorldsService {
         return true; // Return true since the desired state (user not enrolled) is achieved
       }
       
-      console.log(`Found user in LearnWorlds: ${user.id} - ${user.email}`);
+      console.log(`Found user in LearnWorlds: ${user.id}`);
       
-      // Get the LearnWorlds course ID using product mapping
-      const learnWorldsCourseId = await getCourseIdForProduct(courseId, productName);
-      
-      if (!learnWorldsCourseId) {
-        console.warn(`No LearnWorlds course mapping found for product ${courseId} (${productName})`);
-        return false;
-      }
-      
-      // Unenroll the user from the course
-      try {
-        const response = await axios.delete(
-          `${this.baseUrl}/v2/users/${user.id}/courses/${learnWorldsCourseId}`,
-          { headers: this.getHeaders() }
-        );
-        
-        console.log(`Successfully unenrolled user ${userEmail} from LearnWorlds course ${learnWorldsCourseId} (product: ${productName || courseId})`);
-        return true;
-      } catch (unenrollError) {
-        // If the user is not enrolled in the course (404), that's also a success state
-        if (unenrollError.response && unenrollError.response.status === 404) {
-          console.log(`User ${userEmail} was not enrolled in course ${learnWorldsCourseId} - unenrollment not needed`);
-          return true;
+      for (const learnWorldsCourseId of learnWorldsCourseIds) {
+        // Unenroll the user from the course
+        try {
+          await this.request('delete', `${this.baseUrl}/v2/users/${user.id}/courses/${learnWorldsCourseId}`);
+          
+          console.log(`Successfully unenrolled user ${user.id} from LearnWorlds course ${learnWorldsCourseId}`);
+        } catch (unenrollError) {
+          // If the user is not enrolled in the course (404), that's also a success state
+          if (unenrollError.response && unenrollError.response.status === 404) {
+            console.log(`User ${user.id} was not enrolled in course ${learnWorldsCourseId} - unenrollment not needed`);
+            continue;
+          }
+          throw unenrollError;
         }
-        throw unenrollError;
       }
+      
+      return true;
     } catch (error) {
       console.error('Error unenrolling user from course:', error.message);
       throw new Error(`Failed to unenroll user from course: ${error.message}`);
@@ -193,26 +406,25 @@ class LearnWorldsService {
    */
   async createUserIfNotExists(userData) {
     try {
+      const email = (userData.email || '').trim();
+      
       // First check if user already exists
-      const existingUser = await this.findUserByEmail(userData.email);
+      const existingUser = await this.findUserByEmail(email);
       
       if (existingUser) {
-        console.log(`User with email ${userData.email} already exists in LearnWorlds`);
+        console.log(`User ${existingUser.id} already exists in LearnWorlds`);
         return existingUser;
       }
       
       // Create the user if they don't exist
-      const response = await axios.post(
-        `${this.baseUrl}/v2/users`,
-        {
-          email: userData.email,
-          first_name: userData.first_name || '',
-          last_name: userData.last_name || ''
-        },
-        { headers: this.getHeaders() }
-      );
+      const response = await this.request('post', `${this.baseUrl}/v2/users`, {
+        email,
+        first_name: userData.first_name || '',
+        last_name: userData.last_name || ''
+      });
       
-      console.log(`Successfully created user ${userData.email} in LearnWorlds`);
+      console.log(`Successfully created user ${response.data.id} in LearnWorlds`);
+      cacheUserId(email, response.data.id, this.userCacheTtlMs);
       return response.data;
     } catch (error) {
       console.error('Error creating LearnWorlds user:', error.message);
@@ -222,6 +434,7 @@ class LearnWorldsService {
 
   /**
    * Enroll a user in a specific course in LearnWorlds
+   * Bundle products are expanded to every course they grant
    * @param {string} userEmail - Email of the user to enroll
    * @param {string} courseId - ID of the course to enroll in (Shopify product ID)
    * @param {Object} userData - Optional user data if user needs to be created
@@ -229,9 +442,30 @@ class LearnWorldsService {
    * @returns {Promise<boolean>} Success status
    */
   async enrollUserInCourse(userEmail, courseId, userData = {}, productName = '') {
+    // Get the LearnWorlds course IDs using product mapping
+    const learnWorldsCourseIds = resolveCourseIdsForProduct(courseId, productName);
+    
+    if (!learnWorldsCourseIds.length) {
+      console.warn(`No LearnWorlds course mapping found for product ${courseId} (${productName})`);
+      return false;
+    }
+    
+    const user = await this.enrollUserInCourses(userEmail, learnWorldsCourseIds, userData);
+    return Boolean(user);
+  }
+
+  /**
+   * Enroll a user in a set of LearnWorlds courses
+   * @param {string} userEmail - Email of the user to enroll
+   * @param {string[]} learnWorldsCourseIds - LearnWorlds course IDs
+   * @param {Object} userData - Optional user data if user needs to be created
+   * @param {Object} linkedUser - Optional LearnWorlds user already resolved for the customer
+   * @returns {Promise<Object>} The enrolled LearnWorlds user
+   */
+  async enrollUserInCourses(userEmail, learnWorldsCourseIds, userData = {}, linkedUser = null) {
     try {
       // Ensure the user exists
-      let user = await this.findUserByEmail(userEmail);
+      let user = linkedUser || await this.findUserByEmail(userEmail);
       
       if (!user) {
         // Create the user if they don't exist
@@ -239,23 +473,15 @@ class LearnWorldsService {
         user = await this.createUserIfNotExists(userData);
       }
       
-      // Get the LearnWorlds course ID using product mapping
-      const learnWorldsCourseId = await getCourseIdForProduct(courseId, productName);
-      
-      if (!learnWorldsCourseId) {
-        console.warn(`No LearnWorlds course mapping found for product ${courseId} (${productName})`);
-        return false;
+      for (const learnWorldsCourseId of learnWorldsCourseIds) {
+        // Enroll the user in the course
+        // Empty body as we're just creating the enrollment; enrolling twice changes nothing, so it may be retried
+        await this.request('post', `${this.baseUrl}/v2/users/${user.id}/courses/${learnWorldsCourseId}`, {}, { idempotent: true });
+        
+        console.log(`Successfully enrolled user ${user.id} in LearnWorlds course ${learnWorldsCourseId}`);
       }
       
-      // Enroll the user in the course
-      const response = await axios.post(
-        `${this.baseUrl}/v2/users/${user.id}/courses/${learnWorldsCourseId}`,
-        {}, // Empty body as we're just creating the enrollment
-        { headers: this.getHeaders() }
-      );
-      
-      console.log(`Successfully enrolled user ${userEmail} in LearnWorlds course ${learnWorldsCourseId} (product: ${productName || courseId})`);
-      return true;
+      return user;
     } catch (error) {
       console.error('Error enrolling user in course:', error.message);
       throw new Error(`Failed to enroll user in course: ${error.message}`);
@@ -0,0 +1,215 @@
+/**
+ * Backfills enrollments for historical orders
+ * Pages through a shop's orders for a date range and runs every order that contains the
+ * requested product, or a product mapped to the requested course, through the order-sync
+ * pipeline. Work is split into chunks of pages so a backfill can be cancelled between
+ * chunks and resumed from the last page it finished.
+ */
+const jobQueue = require('./jobQueue');
+const { getGraphqlClient } = require('./shopSessions');
+const { fetchOrders } = require('./shopifyOrders');
+const { syncOrder } = require('./orderSync');
+const { resolveCourseIdsForProduct } = require('../utils/productCourseMapping');
+const {
+  createBackfill,
+  updateBackfill,
+  getBackfill,
+  isBackfillFinished
+} = require('../utils/backfills');
+
+const BACKFILL_JOB = 'backfill_orders';
+
+// Pages of orders processed by one job before the next chunk is queued
+const PAGES_PER_JOB = 5;
+
+// Build the filter for the line items a backfill enrolls
+function getLineItemFilter({ product_id: productId, course_id: courseId }) {
+  if (productId) {
+    return item => String(item.product_id) === productId;
+  }
+  return item => Boolean(item.product_id) && resolveCourseIdsForProduct(item.product_id, item.title || '').includes(courseId);
+}
+
+// Keep what happened to one order, and the customer it was for
+function summarizeOrder(order, report) {
+  return {
+    order_id: String(order.id),
+    customer_id: order.customer && order.customer.id ? String(order.customer.id) : null,
+    email: order.customer ? order.customer.email : null,
+    report_id: report.id || null,
+    status: report.status,
+    reason: report.reason,
+    lines: report.lines.map(line => ({
+      line_item_id: line.line_item_id,
+      product_id: line.product_id,
+      title: line.title,
+      course_ids: line.course_ids,
+      action: line.action,
+      reason: line.reason,
+      error: line.error
+    }))
+  };
+}
+
+// Run the matching orders of one page through the pipeline and add them to the backfill
+async function processPage(backfill, orders, lineItemFilter) {
+  const progress = { ...backfill.progress };
+  const outcomes = [];
+
+  for (const order of orders) {
+    progress.orders_scanned++;
+    if (!(order.line_items || []).some(lineItemFilter)) continue;
+
+    progress.orders_matched++;
+    const report = await syncOrder('backfill', { shop: backfill.shop, payload: order, webhookId: null }, {
+      dryRun: backfill.dry_run,
+      lineItemFilter
+    });
+
+    if (report.summary) {
+      progress.line_items_queued += report.summary.queued;
+      progress.line_items_planned += report.summary.planned;
+      progress.line_items_skipped += report.summary.skipped;
+      progress.errors += report.summary.errors;
+    }
+    if (report.status === 'failed') progress.errors++;
+    outcomes.push(summarizeOrder(order, report));
+  }
+
+  return { progress, outcomes };
+}
+
+/**
+ * Process the next chunk of a backfill and queue the chunk after it
+ * @param {Object} payload - Job payload created by queueBackfillChunk
+ * @returns {Promise<Object>} Job result
+ */
+async function handleBackfillJob({ shop, backfillId }) {
+  let backfill = getBackfill(backfillId);
+  if (!backfill) {
+    return { backfilled: false, reason: 'Backfill no longer exists' };
+  }
+  if (isBackfillFinished(backfill)) {
+    return { backfilled: false, reason: `Backfill is ${backfill.status}` };
+  }
+
+  backfill = updateBackfill(backfillId, {
+    status: 'running',
+    started_at: backfill.started_at || new Date().toISOString(),
+    error: null
+  });
+
+  try {
+    const graphqlClient = getGraphqlClient(shop);
+    if (!graphqlClient) {
+      throw new Error(`No offline session stored for ${shop}`);
+    }
+
+    const lineItemFilter = getLineItemFilter(backfill);
+
+    for (let page = 0; page < PAGES_PER_JOB; page++) {
+      // An operator may have cancelled the backfill while the last page was processed
+      backfill = getBackfill(backfillId);
+      if (!backfill || backfill.status === 'cancelled') {
+        return { backfilled: false, reason: 'Backfill was cancelled' };
+      }
+
+      const { orders, nextCursor } = await fetchOrders(graphqlClient, {
+        createdAtMin: backfill.created_at_min,
+        createdAtMax: backfill.created_at_max,
+        cursor: backfill.cursor
+      });
+      const { progress, outcomes } = await processPage(backfill, orders, lineItemFilter);
+
+      // The cursor is saved with the page's outcome, so a resumed backfill starts at the next page
+      backfill = updateBackfill(backfillId, {
+        cursor: nextCursor,
+        progress: { ...progress, pages: progress.pages + 1 },
+        orders: [...backfill.orders, ...outcomes]
+      });
+
+      if (!nextCursor) {
+        backfill = updateBackfill(backfillId, { status: 'completed', completed_at: new Date().toISOString() });
+        console.log(`Backfill ${backfillId} for ${shop} completed: ${backfill.progress.orders_matched} of ${backfill.progress.orders_scanned} order(s) matched, ${backfill.dry_run ? `${backfill.progress.line_items_planned} enrollment(s) planned` : `${backfill.progress.line_items_queued} enrollment job(s) queued`}`);
+        return { backfilled: true, backfillId };
+      }
+    }
+
+    const job = queueBackfillChunk(backfill);
+    return { backfilled: false, reason: `Continuing in job ${job.id}` };
+  } catch (error) {
+    // The cursor still points at the failed page, resuming starts there
+    updateBackfill(backfillId, { status: 'failed', error: error.message });
+    throw error;
+  }
+}
+
+// Queue the job that processes the next chunk of a backfill
+function queueBackfillChunk(backfill) {
+  // A failed chunk is resumed by the operator, retries could run alongside a resumed backfill
+  const job = jobQueue.enqueue(BACKFILL_JOB, { shop: backfill.shop, backfillId: backfill.id }, { maxAttempts: 1 });
+  updateBackfill(backfill.id, { job_id: job.id });
+  return job;
+}
+
+/**
+ * Queue a backfill of a shop's historical orders
+ * @param {Object} request - Backfill request
+ * @param {string} request.shop - Shop domain
+ * @param {string} request.productId - Enroll orders containing this product
+ * @param {string} request.courseId - Enroll orders containing a product mapped to this course, if no productId
+ * @param {string} request.createdAtMin - Earliest order creation date, ISO 8601
+ * @param {string} request.createdAtMax - Latest order creation date, ISO 8601
+ * @param {boolean} request.dryRun - Only preview the enrollments, nothing is queued
+ * @returns {Object} The queued backfill
+ */
+function queueBackfill({ shop, productId, courseId, createdAtMin, createdAtMax, dryRun = false }) {
+  const backfill = createBackfill({
+    shop,
+    productId: productId ? String(productId) : null,
+    courseId: productId ? null : courseId,
+    createdAtMin,
+    createdAtMax,
+    dryRun
+  });
+
+  queueBackfillChunk(backfill);
+  return getBackfill(backfill.id);
+}
+
+/**
+ * Cancel a backfill that hasn't finished
+ * The pending chunk is dropped; a chunk that is running stops before its next page
+ * @param {string} backfillId - Backfill ID
+ * @returns {Object|null} The cancelled backfill, or null if not found
+ */
+function cancelBackfill(backfillId) {
+  const backfill = getBackfill(backfillId);
+  if (!backfill || isBackfillFinished(backfill)) return backfill;
+
+  jobQueue.removeJobs(job => job.type === BACKFILL_JOB && job.payload.backfillId === backfillId);
+  console.log(`Backfill ${backfillId} for ${backfill.shop} cancelled`);
+  return updateBackfill(backfillId, { status: 'cancelled', completed_at: new Date().toISOString() });
+}
+
+/**
+ * Resume a cancelled or failed backfill from the last page it finished
+ * @param {string} backfillId - Backfill ID
+ * @returns {Object|null} The requeued backfill, or null if not found
+ */
+function resumeBackfill(backfillId) {
+  const backfill = getBackfill(backfillId);
+  if (!backfill || !['cancelled', 'failed'].includes(backfill.status)) return backfill;
+
+  updateBackfill(backfillId, { status: 'queued', error: null, completed_at: null });
+  queueBackfillChunk(backfill);
+  return getBackfill(backfillId);
+}
+
+jobQueue.registerHandler(BACKFILL_JOB, handleBackfillJob);
+
+module.exports = {
+  queueBackfill,
+  cancelBackfill,
+  resumeBackfill
+};
@@ -0,0 +1,517 @@
+/**
+ * Shared pipeline for order webhooks
+ * Each topic declares whether it grants or revokes access and which preconditions must hold.
+ * The pipeline loads the order, processes every line item independently and stores a
+ * report with the outcome of each line.
+ */
+const { loadOrder } = require('./shopifyOrders');
+const { getGraphqlClient } = require('./shopSessions');
+const { getEligibleLineItems } = require('./enrollmentEligibility');
+const {
+  getEnrollmentSkipReason,
+  getUnenrollmentSkipReason,
+  planLineItemEnrollment,
+  planLineItemUnenrollment,
+  queueLineItemEnrollment,
+  queueLineItemUnenrollment
+} = require('./enrollmentJobs');
+const { resolveCourseIdsForProduct, getEnrollmentTriggerForProduct } = require('../utils/productCourseMapping');
+const { isSubscriptionOrder, getSubscriptionLineItems } = require('../utils/subscriptionDetection');
+const { getEnrollment, getEnrollmentsForOrder } = require('../utils/enrollmentLedger');
+const { getRefund, getRefundedQuantity, recordRefund } = require('../utils/refundLog');
+const { saveSyncReport } = require('../utils/syncReports');
+
+const GRANT = 'grant';
+const REVOKE = 'revoke';
+const EDIT = 'edit';
+
+// Ledger statuses that mean the customer holds, or is about to hold, access through a line item
+const GRANTED_STATUSES = ['queued', 'enrolled', 'suspended'];
+
+// Preconditions return a skip reason, or null when the order may be processed
+
+function requireCancelled({ payload }) {
+  return payload.cancelled_at ? null : 'Order is not cancelled';
+}
+
+function requireSubscriptionOrGrantedOrder({ shop, order }) {
+  if (isSubscriptionOrder(order) || getEnrollmentsForOrder(shop, order.id).length) return null;
+  return 'Not a subscription or enrolled order';
+}
+
+function requireRefundLineItems({ payload }) {
+  // Refunds of shipping or order adjustments don't affect course access
+  return (payload.refund_line_items || []).length ? null : 'No refunded line items';
+}
+
+function requireNewRefund({ shop, payload }) {
+  return getRefund(shop, payload.id) ? 'Refund already processed' : null;
+}
+
+function requireOpenOrder({ order }) {
+  return order.cancelled_at ? 'Order is cancelled' : null;
+}
+
+function requireSuccessfulFulfillment({ payload }) {
+  // Pending fulfillments haven't shipped yet
+  return !payload.status || payload.status === 'success' ? null : `Fulfillment status is ${payload.status}`;
+}
+
+// Line item selectors return { item, skipReason, details } for every line the topic looks at,
+// plus an intent when it differs from the topic's. They get the sync context and the topic's configuration
+
+// Grant every line item the enrollment rules accept whose mapping enrolls on the topic's trigger
+// Without a topic trigger, only line items that wait for fulfillment and haven't shipped are held back
+async function selectEligibleLineItems({ shop, order }, { trigger }, lineItems = order.line_items) {
+  const { decisions } = await getEligibleLineItems({ ...order, line_items: lineItems }, {
+    graphqlClient: getGraphqlClient(shop)
+  });
+
+  return lineItems
+    .filter(item => item.product_id)
+    .map(item => {
+      const decision = decisions.find(entry => entry.line_item_id === String(item.id));
+      const itemTrigger = getEnrollmentTriggerForProduct(item.product_id);
+      if (!decision) {
+        console.warn(`No enrollment decision for line item ${item.id} of order ${order.id}, skipping it`);
+        return { item, skipReason: 'Enrollment rules returned no decision', details: { rule: null, trigger: itemTrigger } };
+      }
+
+      let skipReason = decision.enroll ? null : decision.reason;
+      if (trigger && itemTrigger !== trigger) {
+        skipReason = `Product enrolls ${itemTrigger}, not ${trigger}`;
+      } else if (!trigger && itemTrigger === 'on_fulfilled' && item.fulfillment_status !== 'fulfilled') {
+        skipReason = 'Product enrolls on_fulfilled, line item not fulfilled yet';
+      }
+
+      return {
+        item,
+        skipReason,
+        details: { rule: decision.rule, trigger: itemTrigger }
+      };
+    });
+}
+
+// Grant the line items shipped by a fulfillment
+function selectFulfillmentLineItems(context, config) {
+  const { order, payload } = context;
+  const lineItems = (payload.line_items || [])
+    .map(fulfilled => order.line_items.find(item => String(item.id) === String(fulfilled.id)) || fulfilled);
+
+  return selectEligibleLineItems(context, config, lineItems);
+}
+
+// Grant the line items of a fulfilled order that have shipped
+function selectFulfilledLineItems(context, config) {
+  const lineItems = context.order.line_items.filter(item => item.fulfillment_status === 'fulfilled');
+  return selectEligibleLineItems(context, config, lineItems);
+}
+
+// Compare the edited order with the access granted for it: line items we never granted are
+// enrolled and granted ones that were removed (current quantity 0) are unenrolled
+async function selectEditedLineItems(context, config) {
+  const { shop, order } = context;
+  const entries = getEnrollmentsForOrder(shop, order.id);
+  const added = [];
+  const removed = [];
+
+  for (const item of order.line_items) {
+    if (!item.product_id) continue;
+
+    const entry = entries.find(ledgerEntry => ledgerEntry.line_item_id === String(item.id));
+    const currentQuantity = item.current_quantity !== undefined ? item.current_quantity : item.quantity;
+
+    if (currentQuantity > 0 && !entry) {
+      added.push(item);
+    } else if (currentQuantity <= 0 && entry && GRANTED_STATUSES.includes(entry.status)) {
+      removed.push({ item, intent: REVOKE, skipReason: null, details: { change: 'removed' } });
+    }
+  }
+
+  // Line items that are no longer on the order at all
+  for (const entry of entries) {
+    if (!GRANTED_STATUSES.includes(entry.status)) continue;
+    if (order.line_items.some(item => String(item.id) === entry.line_item_id)) continue;
+
+    const item = { id: entry.line_item_id, product_id: entry.product_id, title: entry.product_title };
+    removed.push({ item, intent: REVOKE, skipReason: null, details: { change: 'removed' } });
+  }
+
+  const grants = (added.length ? await selectEligibleLineItems(context, config, added) : [])
+    .map(selection => ({ ...selection, intent: GRANT, details: { ...selection.details, change: 'added' } }));
+
+  return [...grants, ...removed];
+}
+
+// Grant the line items of a historical order that still hold a quantity, whatever their trigger,
+// as long as on_fulfilled line items have shipped
+async function selectBackfillLineItems(context, config) {
+  const selections = await selectEligibleLineItems(context, config);
+
+  return selections.map(selection => {
+    const { item } = selection;
+    const currentQuantity = item.current_quantity !== undefined ? item.current_quantity : item.quantity;
+    return currentQuantity > 0 || selection.skipReason
+      ? selection
+      : { ...selection, skipReason: 'Line item was refunded or removed' };
+  });
+}
+
+// Revoke every line item of the order
+function selectAllLineItems({ order }) {
+  return order.line_items.map(item => ({ item, skipReason: null, details: {} }));
+}
+
+// Revoke only the line items whose full quantity has now been refunded
+function selectRefundedLineItems({ shop, order, payload }) {
+  const selections = [];
+
+  for (const refundLineItem of payload.refund_line_items) {
+    const item = order.line_items.find(lineItem => String(lineItem.id) === String(refundLineItem.line_item_id))
+      || refundLineItem.line_item;
+    if (!item) continue;
+
+    const lineItemQuantity = item.quantity || 1;
+    const refundedQuantity = refundLineItem.quantity || 0;
+    const totalRefundedQuantity = getRefundedQuantity(shop, order.id, item.id) + refundedQuantity;
+    const fullyRefunded = totalRefundedQuantity >= lineItemQuantity;
+
+    selections.push({
+      item,
+      skipReason: fullyRefunded ? null : `Refunded ${totalRefundedQuantity} of ${lineItemQuantity}, keeping access`,
+      details: {
+        refunded_quantity: refundedQuantity,
+        total_refunded_quantity: totalRefundedQuantity,
+        line_item_quantity: lineItemQuantity
+      }
+    });
+  }
+
+  return selections;
+}
+
+// Keep the refund log, so later partial refunds of the same line add up
+function recordRefundOutcome({ shop, order, payload }, lines) {
+  recordRefund({
+    shop,
+    refundId: payload.id,
+    orderId: order.id,
+    customerId: order.customer.id,
+    email: order.customer.email,
+    lineItems: lines.map(line => ({
+      line_item_id: line.line_item_id,
+      product_id: line.product_id,
+      title: line.title,
+      refunded_quantity: line.refunded_quantity,
+      total_refunded_quantity: line.total_refunded_quantity,
+      line_item_quantity: line.line_item_quantity,
+      course_ids: line.course_ids,
+      action: line.total_refunded_quantity >= line.line_item_quantity ? 'unenrolled' : 'kept_partial_refund'
+    }))
+  });
+}
+
+/**
+ * Order-sync configuration per webhook topic
+ * - intent: grant enrolls line items, revoke unenrolls them, edit does either per line item
+ * - trigger: for grants, the mapping trigger (see productCourseMapping) the topic enrolls
+ * - description: used in log messages
+ * - getOrderId: where the order ID is in the payload
+ * - payloadIsOrder: whether the payload can be used as the order
+ * - requiredFields: extra order fields the topic needs, fetched from Shopify if missing
+ * - payloadPreconditions: checked before the order is loaded
+ * - orderPreconditions: checked once the order is loaded
+ * - selectLineItems: picks the line items to process
+ * - afterSync: runs once every line item was processed without errors, not on dry runs
+ */
+const ORDER_SYNC_TOPICS = {
+  'orders/create': {
+    intent: GRANT,
+    trigger: 'on_create',
+    description: 'new order',
+    requiredFields: ['financial_status', 'source_name'],
+    selectLineItems: selectEligibleLineItems
+  },
+  'orders/paid': {
+    intent: GRANT,
+    trigger: 'on_paid',
+    description: 'paid order',
+    requiredFields: ['financial_status', 'source_name'],
+    selectLineItems: selectEligibleLineItems
+  },
+  'orders/fulfilled': {
+    intent: GRANT,
+    trigger: 'on_fulfilled',
+    description: 'fulfilled order',
+    requiredFields: ['financial_status', 'source_name'],
+    selectLineItems: selectFulfilledLineItems
+  },
+  'fulfillments/create': {
+    intent: GRANT,
+    trigger: 'on_fulfilled',
+    description: 'fulfillment',
+    getOrderId: payload => payload.order_id,
+    payloadIsOrder: false,
+    payloadPreconditions: [requireSuccessfulFulfillment],
+    requiredFields: ['financial_status', 'source_name'],
+    selectLineItems: selectFulfillmentLineItems
+  },
+  'orders/cancelled': {
+    intent: REVOKE,
+    description: 'order cancellation',
+    orderPreconditions: [requireSubscriptionOrGrantedOrder]
+  },
+  'orders/updated': {
+    intent: REVOKE,
+    description: 'subscription status change',
+    payloadPreconditions: [requireCancelled],
+    orderPreconditions: [requireSubscriptionOrGrantedOrder]
+  },
+  'refunds/create': {
+    intent: REVOKE,
+    description: 'refund',
+    getOrderId: payload => payload.order_id,
+    payloadIsOrder: false,
+    payloadPreconditions: [requireRefundLineItems, requireNewRefund],
+    orderPreconditions: [requireSubscriptionOrGrantedOrder],
+    selectLineItems: selectRefundedLineItems,
+    afterSync: recordRefundOutcome
+  },
+  'orders/edited': {
+    intent: EDIT,
+    description: 'order edit',
+    getOrderId: payload => payload.order_edit && payload.order_edit.order_id,
+    payloadIsOrder: false,
+    requiredFields: ['financial_status', 'source_name'],
+    orderPreconditions: [requireOpenOrder],
+    selectLineItems: selectEditedLineItems
+  },
+  // Not a webhook topic: historical orders enrolled by an admin backfill
+  'backfill': {
+    intent: GRANT,
+    description: 'order backfill',
+    requiredFields: ['financial_status', 'source_name'],
+    orderPreconditions: [requireOpenOrder],
+    selectLineItems: selectBackfillLineItems
+  }
+};
+
+// Return the first skip reason reported by a list of preconditions
+function checkPreconditions(preconditions = [], context) {
+  for (const precondition of preconditions) {
+    const reason = precondition(context);
+    if (reason) return reason;
+  }
+  return null;
+}
+
+// Queue the enrollment change for one line item and describe the outcome
+function processLineItem(context, config, subscriptionLineItemIds, { item, skipReason, details, intent = config.intent }) {
+  const { shop, topic, order } = context;
+  const line = {
+    line_item_id: String(item.id),
+    product_id: item.product_id ? String(item.product_id) : null,
+    title: item.title || '',
+    course_ids: [],
+    action: 'skipped',
+    reason: null,
+    job_id: null,
+    error: null,
+    ...details
+  };
+
+  try {
+    if (!item.product_id) {
+      line.reason = 'Line item has no product';
+      return line;
+    }
+
+    // Revoking takes away the courses that were granted, even if the mapping changed since
+    const grant = getEnrollment(shop, order.id, item.id);
+    line.course_ids = intent !== GRANT && grant && grant.course_ids
+      ? grant.course_ids
+      : resolveCourseIdsForProduct(item.product_id, item.title || '');
+
+    if (skipReason) {
+      line.reason = skipReason;
+      return line;
+    }
+
+    // Access we granted before is still revoked if its mapping was removed since
+    if (!line.course_ids.length && (intent === GRANT || !grant)) {
+      line.reason = 'No course mapped to product';
+      return line;
+    }
+
+    if (context.dryRun) {
+      const dryRunReason = intent === GRANT
+        ? getEnrollmentSkipReason(shop, order, item)
+        : getUnenrollmentSkipReason(shop, order, item);
+      if (dryRunReason) {
+        line.reason = dryRunReason;
+      } else if (intent === GRANT) {
+        line.action = 'enroll_planned';
+        line.planned = planLineItemEnrollment(shop, order, item);
+      } else {
+        line.action = 'unenroll_planned';
+        line.planned = planLineItemUnenrollment(shop, order, item);
+      }
+      return line;
+    }
+
+    const result = intent === GRANT
+      ? queueLineItemEnrollment(shop, order, item, topic, { subscription: subscriptionLineItemIds.has(line.line_item_id) })
+      : queueLineItemUnenrollment(shop, order, item, topic);
+
+    if (result.queued) {
+      line.action = intent === GRANT ? 'enroll_queued' : 'unenroll_queued';
+      line.job_id = result.job.id;
+    } else {
+      line.reason = result.reason;
+    }
+  } catch (error) {
+    console.error(`Error processing line item ${item.id} of order ${order.id}:`, error);
+    line.action = 'error';
+    line.error = error.message;
+  }
+
+  return line;
+}
+
+/**
+ * Check whether a topic is handled by the order-sync pipeline
+ * @param {string} topic - Webhook topic
+ * @returns {boolean} True if the topic has an order-sync configuration
+ */
+function isOrderSyncTopic(topic) {
+  return Boolean(ORDER_SYNC_TOPICS[topic]);
+}
+
+/**
+ * Check whether a topic's payload is the order itself, so an order can be synced as that topic
+ * @param {string} topic - Order-sync topic
+ * @returns {boolean} True if the topic takes the order as its payload
+ */
+function isOrderPayloadTopic(topic) {
+  return isOrderSyncTopic(topic) && ORDER_SYNC_TOPICS[topic].payloadIsOrder !== false;
+}
+
+/**
+ * Run an order webhook through the pipeline and store its outcome report
+ * @param {string} topic - Webhook topic, must have an order-sync configuration
+ * @param {Object} delivery - Webhook delivery
+ * @param {string} delivery.shop - Shop domain
+ * @param {Object} delivery.payload - Webhook body
+ * @param {string} delivery.webhookId - X-Shopify-Webhook-Id of the delivery
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dryRun - Only work out what would be queued; nothing is queued or stored
+ * @param {Function} options.lineItemFilter - Only process the line items this returns true for
+ * @returns {Promise<Object>} The report, with status completed, partial, skipped or failed
+ */
+async function syncOrder(topic, { shop, payload, webhookId }, { dryRun = false, lineItemFilter = null } = {}) {
+  const config = ORDER_SYNC_TOPICS[topic];
+  if (!config) {
+    throw new Error(`No order-sync configuration for topic ${topic}`);
+  }
+
+  const orderId = config.getOrderId ? config.getOrderId(payload) : payload.id;
+  const report = {
+    shop,
+    topic,
+    webhook_id: webhookId || null,
+    order_id: orderId ? String(orderId) : null,
+    intent: config.intent,
+    dry_run: dryRun,
+    status: 'completed',
+    reason: null,
+    error: null,
+    lines: []
+  };
+  const context = { shop, topic, payload, order: null, dryRun };
+
+  const finish = () => {
+    report.summary = {
+      queued: report.lines.filter(line => line.action.endsWith('_queued')).length,
+      planned: report.lines.filter(line => line.action.endsWith('_planned')).length,
+      skipped: report.lines.filter(line => line.action === 'skipped').length,
+      errors: report.lines.filter(line => line.action === 'error').length
+    };
+    // Dry runs leave no trace, their report is only returned
+    return dryRun ? report : saveSyncReport(report);
+  };
+
+  const skip = reason => {
+    console.log(`Skipping ${topic} for order ${orderId}: ${reason}`);
+    report.status = 'skipped';
+    report.reason = reason;
+    return finish();
+  };
+
+  if (!orderId) return skip('Missing order ID');
+
+  const payloadSkipReason = checkPreconditions(config.payloadPreconditions, context);
+  if (payloadSkipReason) return skip(payloadSkipReason);
+
+  try {
+    // Build the order from the webhook payload, fetching it only if fields are missing
+    const orderPayload = config.payloadIsOrder === false ? null : payload;
+    context.order = await loadOrder(shop, orderId, orderPayload, config.requiredFields);
+  } catch (error) {
+    console.error(`Error fetching order ${orderId} from Shopify:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+    return finish();
+  }
+
+  const { order } = context;
+  if (!order || !order.customer || !order.customer.email || !order.line_items) {
+    return skip('Incomplete order details');
+  }
+
+  const orderSkipReason = checkPreconditions(config.orderPreconditions, context);
+  if (orderSkipReason) return skip(orderSkipReason);
+
+  const selectLineItems = config.selectLineItems || selectAllLineItems;
+  let selections;
+  try {
+    selections = await selectLineItems(context, config);
+    if (lineItemFilter) {
+      selections = selections.filter(selection => lineItemFilter(selection.item));
+    }
+  } catch (error) {
+    console.error(`Error selecting line items of order ${orderId}:`, error);
+    report.status = 'failed';
+    report.error = error.message;
+    return finish();
+  }
+
+  const subscriptionLineItemIds = new Set(getSubscriptionLineItems(order).map(item => String(item.id)));
+
+  // Every line item is processed on its own, so one failure doesn't stop the others
+  report.lines = selections.map(selection =>
+    processLineItem(context, config, subscriptionLineItemIds, selection)
+  );
+
+  if (report.lines.some(line => line.action === 'error')) {
+    report.status = 'partial';
+    report.error = 'One or more line items failed';
+  } else if (config.afterSync && !dryRun) {
+    config.afterSync(context, report.lines);
+  }
+
+  const saved = finish();
+  if (dryRun) {
+    console.log(`Dry run of ${config.description} for order ${orderId}: ${saved.summary.planned} job(s) would be queued`);
+    return saved;
+  }
+
+  const jobType = { [GRANT]: 'enrollment', [REVOKE]: 'unenrollment', [EDIT]: 'enrollment change' }[config.intent];
+  console.log(`Queued ${saved.summary.queued} ${jobType} job(s) for order ${orderId} due to ${config.description} (report ${saved.id})`);
+  return saved;
+}
+
+module.exports = {
+  isOrderSyncTopic,
+  isOrderPayloadTopic,
+  syncOrder
+};
@@ -0,0 +1,203 @@
+/**
+ * Handles Shopify's mandatory GDPR compliance requests
+ * Gathers or erases everything the app stores about a customer or a shop
+ */
+const jobQueue = require('./jobQueue');
+const {
+  getEnrollmentsForCustomer,
+  redactCustomerEnrollments,
+  purgeShopEnrollments
+} = require('../utils/enrollmentLedger');
+const {
+  getWebhookEventsForCustomer,
+  redactCustomerWebhookEvents,
+  purgeShopWebhookEvents
+} = require('../utils/webhookInbox');
+const {
+  getIdentityRecordsForCustomer,
+  deleteIdentityRecordsForCustomer,
+  purgeShopIdentityRecords
+} = require('../utils/customerIdentityLinks');
+const {
+  getRefundsForCustomer,
+  redactCustomerRefunds,
+  purgeShopRefunds
+} = require('../utils/refundLog');
+const {
+  getContractsForCustomer,
+  redactCustomerContracts,
+  purgeShopContracts
+} = require('../utils/subscriptionContracts');
+const {
+  getSyncReportsForCustomer,
+  deleteCustomerSyncReports,
+  purgeShopSyncReports
+} = require('../utils/syncReports');
+const {
+  getDisputesForCustomer,
+  deleteCustomerDisputes,
+  purgeShopDisputes
+} = require('../utils/disputeLog');
+const {
+  getReconciliationEntriesForCustomer,
+  redactCustomerReconciliationEntries,
+  purgeShopReconciliationReports
+} = require('../utils/reconciliationReports');
+const {
+  getBackfillOrdersForCustomer,
+  redactCustomerBackfillOrders,
+  purgeShopBackfills
+} = require('../utils/backfills');
+const { invalidateCachedUser } = require('../utils/learnWorldsUserCache');
+const { normalizeEmail } = require('../utils/email');
+const {
+  saveDataExport,
+  deleteDataExports,
+  recordRedaction
+} = require('../utils/privacyRecords');
+
+// Build the customer lookup used by every store
+// Orders from the enrollment ledger are added so events that only carry an order ID are found too
+function getCustomerLookup(shop, { customerId, email, orderIds = [] }) {
+  const lookup = {
+    customerId: customerId ? String(customerId) : null,
+    email: email || null,
+    orderIds: orderIds.map(String)
+  };
+
+  for (const entry of getEnrollmentsForCustomer(shop, lookup)) {
+    if (!lookup.orderIds.includes(entry.order_id)) {
+      lookup.orderIds.push(entry.order_id);
+    }
+  }
+
+  return lookup;
+}
+
+// Check whether a queued job carries data of a customer
+function jobMatchesCustomer(job, shop, { customerId, email, orderIds }) {
+  const payload = job.payload || {};
+  if (payload.shop !== shop) return false;
+
+  const normalizedEmail = normalizeEmail(email);
+  return (customerId && String(payload.customerId) === customerId) ||
+    (normalizedEmail && normalizeEmail(payload.email) === normalizedEmail) ||
+    orderIds.includes(String(payload.orderId));
+}
+
+/**
+ * Export everything stored about a customer for a customers/data_request webhook
+ * @param {string} shop - Shop domain
+ * @param {Object} request - Data request details
+ * @param {string|number} request.customerId - Shopify customer ID
+ * @param {string} request.email - Customer email
+ * @param {Array<string|number>} request.orderIds - Orders Shopify asked about
+ * @param {string|number} request.dataRequestId - Shopify data request ID
+ * @returns {Object} The stored export
+ */
+function exportCustomerData(shop, { customerId, email, orderIds = [], dataRequestId }) {
+  const lookup = getCustomerLookup(shop, { customerId, email, orderIds });
+  const { links, conflicts } = getIdentityRecordsForCustomer(shop, lookup);
+
+  return saveDataExport({
+    shop,
+    customerId,
+    email,
+    dataRequestId,
+    ordersRequested: orderIds,
+    data: {
+      enrollments: getEnrollmentsForCustomer(shop, lookup),
+      webhook_events: getWebhookEventsForCustomer(shop, lookup),
+      identity_links: links,
+      identity_conflicts: conflicts,
+      refunds: getRefundsForCustomer(shop, lookup),
+      subscription_contracts: getContractsForCustomer(shop, lookup.customerId),
+      disputes: getDisputesForCustomer(shop, lookup),
+      sync_reports: getSyncReportsForCustomer(shop, lookup),
+      reconciliation_entries: getReconciliationEntriesForCustomer(shop, lookup),
+      backfill_orders: getBackfillOrdersForCustomer(shop, lookup)
+    }
+  });
+}
+
+/**
+ * Erase or anonymize everything stored about a customer for a customers/redact webhook
+ * Enrollment, refund and contract records keep their non-personal fields so order
+ * history stays consistent; links, conflicts, exports, disputes, order-sync reports
+ * and queued jobs are deleted.
+ * @param {string} shop - Shop domain
+ * @param {Object} request - Redaction details
+ * @param {string|number} request.customerId - Shopify customer ID
+ * @param {string} request.email - Customer email
+ * @param {Array<string|number>} request.orderIds - Orders Shopify asked us to redact
+ * @param {string} request.topic - Webhook topic that requested the redaction
+ * @returns {Object} The redaction log entry
+ */
+function redactCustomerData(shop, { customerId, email, orderIds = [], topic }) {
+  const lookup = getCustomerLookup(shop, { customerId, email, orderIds });
+
+  // Queued jobs go first so none of them re-creates data while we redact
+  const jobs = jobQueue.removeJobs(job => jobMatchesCustomer(job, shop, lookup));
+  const identity = deleteIdentityRecordsForCustomer(shop, lookup);
+
+  const counts = {
+    jobs,
+    webhook_events: redactCustomerWebhookEvents(shop, lookup),
+    identity_links: identity.links,
+    identity_conflicts: identity.conflicts,
+    refunds: redactCustomerRefunds(shop, lookup),
+    subscription_contracts: redactCustomerContracts(shop, lookup.customerId),
+    data_exports: deleteDataExports(shop, lookup),
+    sync_reports: deleteCustomerSyncReports(shop, lookup),
+    disputes: deleteCustomerDisputes(shop, lookup),
+    reconciliation_entries: redactCustomerReconciliationEntries(shop, lookup),
+    backfill_orders: redactCustomerBackfillOrders(shop, lookup),
+    learnworlds_user_cache: lookup.email ? invalidateCachedUser({ email: lookup.email }) : 0,
+    // The ledger is redacted last because it supplies the order IDs used above
+    enrollments: redactCustomerEnrollments(shop, lookup)
+  };
+
+  return recordRedaction({
+    shop,
+    topic,
+    scope: 'customer',
+    customerId,
+    email,
+    orderIds: lookup.orderIds,
+    counts
+  });
+}
+
+/**
+ * Delete everything stored for a shop for a shop/redact webhook
+ * @param {string} shop - Shop domain
+ * @param {string} topic - Webhook topic that requested the redaction
+ * @returns {Object} The redaction log entry
+ */
+function redactShopData(shop, topic) {
+  const jobs = jobQueue.removeJobs(job => job.payload && job.payload.shop === shop);
+  const identity = purgeShopIdentityRecords(shop);
+
+  const counts = {
+    jobs,
+    webhook_events: purgeShopWebhookEvents(shop),
+    identity_links: identity.links,
+    identity_conflicts: identity.conflicts,
+    refunds: purgeShopRefunds(shop),
+    subscription_contracts: purgeShopContracts(shop),
+    data_exports: deleteDataExports(shop),
+    sync_reports: purgeShopSyncReports(shop),
+    disputes: purgeShopDisputes(shop),
+    reconciliation_reports: purgeShopReconciliationReports(shop),
+    backfills: purgeShopBackfills(shop),
+    enrollments: purgeShopEnrollments(shop)
+  };
+
+  return recordRedaction({ shop, topic, scope: 'shop', counts });
+}
+
+module.exports = {
+  exportCustomerData,
+  redactCustomerData,
+  redactShopData
+};
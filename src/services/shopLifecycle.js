@@ -0,0 +1,79 @@
+/**
+ * Handles a shop installing and uninstalling the app
+ * An uninstalled shop is marked inactive straight away and its data is deleted once the retention period has passed
+ */
+const jobQueue = require('./jobQueue');
+const { redactShopData } = require('./privacyService');
+const { getShopConfig } = require('../config/shops');
+const { deleteSessionsForShop } = require('../utils/sessionStorage');
+const {
+  getShop,
+  markShopActive,
+  markShopInactive,
+  markShopDataDeleted
+} = require('../utils/shopRegistry');
+
+const PURGE_SHOP_JOB = 'purge_shop';
+
+/**
+ * Deactivate a shop that uninstalled the app
+ * Invalidates its sessions, pauses its queued jobs and schedules its data for deletion
+ * @param {string} shop - Shop domain
+ * @returns {Object} Summary of what was changed
+ */
+function deactivateShop(shop) {
+  const { dataRetentionDays } = getShopConfig();
+  const dataDeletionAt = new Date(Date.now() + dataRetentionDays * 24 * 60 * 60 * 1000);
+
+  const record = markShopInactive(shop, dataDeletionAt);
+  const sessionsDeleted = deleteSessionsForShop(shop);
+  const jobsPaused = jobQueue.pauseJobs(job =>
+    job.type !== PURGE_SHOP_JOB && job.payload && job.payload.shop === shop
+  );
+
+  jobQueue.enqueue(PURGE_SHOP_JOB, { shop }, { runAt: dataDeletionAt });
+
+  return { shop: record, sessionsDeleted, jobsPaused };
+}
+
+/**
+ * Activate a shop after it installed the app, resuming jobs paused by an earlier uninstall
+ * @param {string} shop - Shop domain
+ * @returns {Object} Summary of what was changed
+ */
+function activateShop(shop) {
+  const record = markShopActive(shop);
+  const jobsResumed = jobQueue.resumeJobs(job => job.payload && job.payload.shop === shop);
+
+  return { shop: record, jobsResumed };
+}
+
+/**
+ * Delete an inactive shop's data once its retention period has passed
+ * @param {Object} payload - Job payload created by deactivateShop
+ * @returns {Object} Job result
+ */
+async function handlePurgeShopJob({ shop }) {
+  const record = getShop(shop);
+
+  // The shop reinstalled the app, or a later uninstall rescheduled the deletion
+  if (!record || record.status !== 'inactive') {
+    return { purged: false, reason: 'Shop is active again' };
+  }
+  if (new Date(record.data_deletion_at).getTime() > Date.now()) {
+    return { purged: false, reason: `Deletion rescheduled for ${record.data_deletion_at}` };
+  }
+
+  const redaction = redactShopData(shop, 'app/uninstalled');
+  markShopDataDeleted(shop);
+  console.log(`Deleted data for uninstalled shop ${shop} (redaction ${redaction.id})`);
+
+  return { purged: true, redactionId: redaction.id };
+}
+
+jobQueue.registerHandler(PURGE_SHOP_JOB, handlePurgeShopJob);
+
+module.exports = {
+  activateShop,
+  deactivateShop
+};
@@ -0,0 +1,62 @@
+/**
+ * Looks up the stored Shopify session of a shop and checks it still grants what the app needs
+ */
+const { AuthScopes } = require('@shopify/shopify-api');
+const shopify = require('./shopify');
+const { loadSession } = require('../utils/sessionStorage');
+
+/**
+ * Get the offline session stored for a shop
+ * @param {string} shop - Shop domain
+ * @returns {Session|undefined} Offline session or undefined if the shop has none
+ */
+function getOfflineSession(shop) {
+  return loadSession(shopify.session.getOfflineId(shop));
+}
+
+/**
+ * Create an Admin GraphQL client from a shop's offline session
+ * @param {string} shop - Shop domain
+ * @returns {Object|null} GraphQL client or null if the shop has no stored session
+ */
+function getGraphqlClient(shop) {
+  const session = getOfflineSession(shop);
+  return session ? new shopify.clients.Graphql({ session }) : null;
+}
+
+/**
+ * Describe whether a shop's stored session can be used
+ * @param {string} shop - Shop domain
+ * @returns {Object} Session status: hasSession, active, scopeChanged, grantedScopes, missingScopes
+ */
+function getSessionStatus(shop) {
+  const session = getOfflineSession(shop);
+  const requiredScopes = shopify.config.scopes;
+
+  if (!session) {
+    return {
+      hasSession: false,
+      active: false,
+      scopeChanged: false,
+      grantedScopes: [],
+      missingScopes: requiredScopes.toArray()
+    };
+  }
+
+  const grantedScopes = new AuthScopes(session.scope);
+
+  return {
+    hasSession: true,
+    active: session.isActive(requiredScopes),
+    scopeChanged: session.isScopeChanged(requiredScopes),
+    expired: session.isExpired(),
+    grantedScopes: grantedScopes.toArray(),
+    missingScopes: requiredScopes.toArray().filter(scope => !grantedScopes.has(scope))
+  };
+}
+
+module.exports = {
+  getOfflineSession,
+  getGraphqlClient,
+  getSessionStatus
+};
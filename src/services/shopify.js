@@ -0,0 +1,7 @@
+// Import Shopify API adapter first
+require('@shopify/shopify-api/adapters/node');
+const { shopifyApi } = require('@shopify/shopify-api');
+const { getShopifyConfig } = require('../config/shopify');
+
+// Shared Shopify API instance
+module.exports = shopifyApi(getShopifyConfig());
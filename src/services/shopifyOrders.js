@@ -0,0 +1,203 @@
+/**
+ * Builds the order a webhook refers to
+ * The signed webhook payload is used as-is when it has everything we need; the order
+ * is only fetched from the GraphQL Admin API when fields are missing, e.g. when the
+ * payload doesn't carry the order (refunds) or customer data was withheld from it.
+ * Orders can also be listed by creation date, e.g. for reconciliation.
+ */
+const { getGraphqlClient } = require('./shopSessions');
+
+// Order fields used by fetchOrder and fetchOrders
+const ORDER_FIELDS = `
+      legacyResourceId
+      email
+      tags
+      displayFinancialStatus
+      sourceName
+      cancelledAt
+      customer {
+        legacyResourceId
+        email
+        firstName
+        lastName
+      }
+      lineItems(first: 250) {
+        nodes {
+          id
+          title
+          quantity
+          currentQuantity
+          unfulfilledQuantity
+          product {
+            legacyResourceId
+          }
+          variant {
+            legacyResourceId
+          }
+          sellingPlan {
+            sellingPlanId
+            name
+          }
+        }
+      }
+`;
+
+const ORDER_QUERY = `
+  query Order($id: ID!) {
+    order(id: $id) {${ORDER_FIELDS}    }
+  }
+`;
+
+const ORDERS_QUERY = `
+  query Orders($query: String, $cursor: String, $first: Int!) {
+    orders(first: $first, after: $cursor, query: $query, sortKey: CREATED_AT) {
+      nodes {${ORDER_FIELDS}      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+// gid://shopify/LineItem/123 -> 123
+function getLegacyId(gid) {
+  return gid ? String(gid).split('/').pop() : null;
+}
+
+// Line item fulfillment status as the REST API reports it
+function getFulfillmentStatus(item) {
+  if (item.unfulfilledQuantity === 0) return 'fulfilled';
+  return item.unfulfilledQuantity < item.quantity ? 'partial' : null;
+}
+
+/**
+ * List the fields an order needs for processing that it doesn't have
+ * @param {Object} order - Order in the REST/webhook shape
+ * @param {string[]} requiredFields - Additional top-level fields the caller needs, e.g. financial_status
+ * @returns {string[]} Missing fields, empty if the order is complete
+ */
+function getMissingOrderFields(order, requiredFields = []) {
+  if (!order) return ['order'];
+
+  const missing = [];
+  if (!order.id) missing.push('id');
+  if (!order.customer || !order.customer.email) missing.push('customer.email');
+  if (!Array.isArray(order.line_items) || !order.line_items.length) missing.push('line_items');
+
+  for (const field of requiredFields) {
+    if (order[field] === undefined) missing.push(field);
+  }
+
+  return missing;
+}
+
+// Convert a GraphQL order to the webhook payload shape
+function toWebhookOrder(order) {
+  return {
+    id: order.legacyResourceId,
+    email: order.email,
+    tags: order.tags || [],
+    financial_status: order.displayFinancialStatus ? order.displayFinancialStatus.toLowerCase() : null,
+    source_name: order.sourceName,
+    cancelled_at: order.cancelledAt,
+    customer: order.customer ? {
+      id: order.customer.legacyResourceId,
+      email: order.customer.email,
+      first_name: order.customer.firstName,
+      last_name: order.customer.lastName
+    } : null,
+    line_items: order.lineItems.nodes.map(item => ({
+      id: getLegacyId(item.id),
+      title: item.title,
+      quantity: item.quantity,
+      current_quantity: item.currentQuantity,
+      fulfillment_status: getFulfillmentStatus(item),
+      product_id: item.product ? item.product.legacyResourceId : null,
+      variant_id: item.variant ? item.variant.legacyResourceId : null,
+      selling_plan_allocation: item.sellingPlan ? {
+        selling_plan: { id: item.sellingPlan.sellingPlanId, name: item.sellingPlan.name }
+      } : null
+    }))
+  };
+}
+
+/**
+ * Fetch an order through the GraphQL Admin API, in the same shape as the webhook payload
+ * @param {Object} graphqlClient - Shopify Admin GraphQL client for the shop
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Promise<Object|null>} Order or null if it doesn't exist
+ */
+async function fetchOrder(graphqlClient, orderId) {
+  const response = await graphqlClient.request(ORDER_QUERY, {
+    variables: { id: `gid://shopify/Order/${orderId}` }
+  });
+
+  if (response.errors) {
+    throw new Error(`Failed to fetch order ${orderId}: ${JSON.stringify(response.errors)}`);
+  }
+
+  const order = response.data && response.data.order;
+  return order ? toWebhookOrder(order) : null;
+}
+
+/**
+ * Fetch one page of orders created in a date range, oldest first
+ * @param {Object} graphqlClient - Shopify Admin GraphQL client for the shop
+ * @param {Object} options - Query options
+ * @param {string} options.createdAtMin - Earliest creation date, ISO 8601
+ * @param {string} options.createdAtMax - Latest creation date, ISO 8601
+ * @param {string} options.cursor - Cursor returned by the previous page
+ * @param {number} options.pageSize - Orders per page, at most 250
+ * @returns {Promise<{orders: Object[], nextCursor: string|null}>} Orders in the webhook payload shape
+ */
+async function fetchOrders(graphqlClient, { createdAtMin, createdAtMax, cursor = null, pageSize = 50 }) {
+  const filters = [];
+  if (createdAtMin) filters.push(`created_at:>='${createdAtMin}'`);
+  if (createdAtMax) filters.push(`created_at:<='${createdAtMax}'`);
+
+  const response = await graphqlClient.request(ORDERS_QUERY, {
+    variables: { query: filters.join(' ') || null, cursor, first: pageSize }
+  });
+
+  if (response.errors) {
+    throw new Error(`Failed to fetch orders: ${JSON.stringify(response.errors)}`);
+  }
+
+  const { nodes, pageInfo } = response.data.orders;
+  return {
+    orders: nodes.map(toWebhookOrder),
+    nextCursor: pageInfo.hasNextPage ? pageInfo.endCursor : null
+  };
+}
+
+/**
+ * Get the order to process for a webhook
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {Object|null} payload - Order from the webhook body, or null if the webhook isn't an order webhook
+ * @param {string[]} requiredFields - Additional top-level fields the caller needs
+ * @returns {Promise<Object|null>} Order, or null if it couldn't be fetched
+ */
+async function loadOrder(shop, orderId, payload = null, requiredFields = []) {
+  if (payload) {
+    const missing = getMissingOrderFields(payload, requiredFields);
+    if (!missing.length) return payload;
+    console.log(`Webhook payload for order ${orderId} is missing ${missing.join(', ')}, fetching the order from Shopify`);
+  }
+
+  const graphqlClient = getGraphqlClient(shop);
+  if (!graphqlClient) {
+    console.log(`No offline session stored for ${shop}, cannot fetch order ${orderId}`);
+    return null;
+  }
+
+  return fetchOrder(graphqlClient, orderId);
+}
+
+module.exports = {
+  getMissingOrderFields,
+  fetchOrder,
+  fetchOrders,
+  loadOrder
+};
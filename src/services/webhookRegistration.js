@@ -0,0 +1,272 @@
+/**
+ * Keeps each shop's webhook subscriptions in line with the topics the app handles
+ * Subscriptions are managed through the GraphQL Admin API with the shop's offline session
+ */
+const shopify = require('./shopify');
+const { getAppUrl } = require('../config/shopify');
+const { getOfflineSession } = require('./shopSessions');
+const { getShops } = require('../utils/shopRegistry');
+
+// Topics handled in src/api/webhooks/routes.js
+// The GDPR topics (customers/data_request, customers/redact, shop/redact) can't be
+// subscribed through the API and are configured in the Partner Dashboard instead
+const WEBHOOK_TOPICS = [
+  'app/uninstalled',
+  'orders/create',
+  'orders/paid',
+  'orders/updated',
+  'orders/cancelled',
+  'orders/edited',
+  'orders/fulfilled',
+  'fulfillments/create',
+  'refunds/create',
+  'subscription_contracts/create',
+  'subscription_contracts/update',
+  'subscription_billing_attempts/success',
+  'subscription_billing_attempts/failure',
+  'disputes/create',
+  'disputes/update',
+  'customers/update'
+];
+
+const SUBSCRIPTIONS_QUERY = `
+  query webhookSubscriptions($cursor: String) {
+    webhookSubscriptions(first: 100, after: $cursor) {
+      edges {
+        node {
+          id
+          topic
+          endpoint {
+            __typename
+            ... on WebhookHttpEndpoint {
+              callbackUrl
+            }
+          }
+        }
+      }
+      pageInfo {
+        hasNextPage
+        endCursor
+      }
+    }
+  }
+`;
+
+const CREATE_MUTATION = `
+  mutation webhookSubscriptionCreate($topic: WebhookSubscriptionTopic!, $callbackUrl: URL!) {
+    webhookSubscriptionCreate(topic: $topic, webhookSubscription: { callbackUrl: $callbackUrl, format: JSON }) {
+      webhookSubscription { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const UPDATE_MUTATION = `
+  mutation webhookSubscriptionUpdate($id: ID!, $callbackUrl: URL!) {
+    webhookSubscriptionUpdate(id: $id, webhookSubscription: { callbackUrl: $callbackUrl }) {
+      webhookSubscription { id }
+      userErrors { field message }
+    }
+  }
+`;
+
+const DELETE_MUTATION = `
+  mutation webhookSubscriptionDelete($id: ID!) {
+    webhookSubscriptionDelete(id: $id) {
+      deletedWebhookSubscriptionId
+      userErrors { field message }
+    }
+  }
+`;
+
+// orders/create -> ORDERS_CREATE
+function toGraphqlTopic(topic) {
+  return topic.toUpperCase().replace('/', '_');
+}
+
+// ORDERS_CREATE -> orders/create
+function fromGraphqlTopic(graphqlTopic) {
+  const expected = WEBHOOK_TOPICS.find(topic => toGraphqlTopic(topic) === graphqlTopic);
+  return expected || graphqlTopic.toLowerCase();
+}
+
+/**
+ * Get the subscriptions every shop should have
+ * @returns {Array<{topic: string, callbackUrl: string}>} Expected subscriptions
+ */
+function getExpectedSubscriptions() {
+  return WEBHOOK_TOPICS.map(topic => ({
+    topic,
+    callbackUrl: `${getAppUrl()}/api/webhooks/${topic}`
+  }));
+}
+
+// Run a mutation and turn user errors into an exception
+async function runMutation(client, mutation, variables, name) {
+  const { data, errors } = await client.request(mutation, { variables });
+  if (errors) {
+    throw new Error(`${name} failed: ${JSON.stringify(errors)}`);
+  }
+
+  const userErrors = data[name].userErrors || [];
+  if (userErrors.length) {
+    throw new Error(`${name} failed: ${userErrors.map(error => error.message).join(', ')}`);
+  }
+
+  return data[name];
+}
+
+/**
+ * Fetch every webhook subscription the app has on a shop
+ * @param {Object} client - GraphQL client for the shop
+ * @returns {Promise<Array<{id: string, topic: string, callbackUrl: string|null}>>} Registered subscriptions
+ */
+async function fetchSubscriptions(client) {
+  const subscriptions = [];
+  let cursor = null;
+
+  do {
+    const { data, errors } = await client.request(SUBSCRIPTIONS_QUERY, { variables: { cursor } });
+    if (errors) {
+      throw new Error(`webhookSubscriptions query failed: ${JSON.stringify(errors)}`);
+    }
+
+    const { edges, pageInfo } = data.webhookSubscriptions;
+    for (const { node } of edges) {
+      subscriptions.push({
+        id: node.id,
+        topic: fromGraphqlTopic(node.topic),
+        callbackUrl: (node.endpoint && node.endpoint.callbackUrl) || null
+      });
+    }
+
+    cursor = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+  } while (cursor);
+
+  return subscriptions;
+}
+
+// Compare registered subscriptions with the expected ones
+function diffSubscriptions(registered) {
+  const missing = [];
+  const mismatched = [];
+  const stale = [];
+
+  for (const expected of getExpectedSubscriptions()) {
+    const forTopic = registered.filter(subscription => subscription.topic === expected.topic);
+    if (!forTopic.length) {
+      missing.push(expected);
+      continue;
+    }
+
+    // Keep one subscription per topic, preferring one that already has the right URL
+    const keep = forTopic.find(subscription => subscription.callbackUrl === expected.callbackUrl) || forTopic[0];
+    if (keep.callbackUrl !== expected.callbackUrl) {
+      mismatched.push({ ...keep, expectedCallbackUrl: expected.callbackUrl });
+    }
+    stale.push(...forTopic.filter(subscription => subscription !== keep));
+  }
+
+  stale.push(...registered.filter(subscription => !WEBHOOK_TOPICS.includes(subscription.topic)));
+
+  return { missing, mismatched, stale };
+}
+
+/**
+ * Compare a shop's registered subscriptions with the expected ones
+ * @param {Object} session - Offline session of the shop
+ * @returns {Promise<Object>} Expected and registered subscriptions with their differences
+ */
+async function getWebhookSubscriptionStatus(session) {
+  const client = new shopify.clients.Graphql({ session });
+  const registered = await fetchSubscriptions(client);
+
+  return {
+    shop: session.shop,
+    expected: getExpectedSubscriptions(),
+    registered,
+    ...diffSubscriptions(registered)
+  };
+}
+
+/**
+ * Create missing subscriptions, fix wrong callback URLs and remove stale subscriptions for a shop
+ * A failure on one subscription doesn't stop the others from being reconciled
+ * @param {Object} session - Offline session of the shop
+ * @returns {Promise<Object>} Topics created, updated and deleted, and any errors
+ */
+async function reconcileWebhookSubscriptions(session) {
+  const client = new shopify.clients.Graphql({ session });
+  const { missing, mismatched, stale } = diffSubscriptions(await fetchSubscriptions(client));
+  const result = { shop: session.shop, created: [], updated: [], deleted: [], errors: [] };
+
+  for (const subscription of missing) {
+    try {
+      await runMutation(client, CREATE_MUTATION, {
+        topic: toGraphqlTopic(subscription.topic),
+        callbackUrl: subscription.callbackUrl
+      }, 'webhookSubscriptionCreate');
+      result.created.push(subscription.topic);
+    } catch (error) {
+      result.errors.push({ topic: subscription.topic, error: error.message });
+    }
+  }
+
+  for (const subscription of mismatched) {
+    try {
+      await runMutation(client, UPDATE_MUTATION, {
+        id: subscription.id,
+        callbackUrl: subscription.expectedCallbackUrl
+      }, 'webhookSubscriptionUpdate');
+      result.updated.push(subscription.topic);
+    } catch (error) {
+      result.errors.push({ topic: subscription.topic, error: error.message });
+    }
+  }
+
+  for (const subscription of stale) {
+    try {
+      await runMutation(client, DELETE_MUTATION, { id: subscription.id }, 'webhookSubscriptionDelete');
+      result.deleted.push(subscription.topic);
+    } catch (error) {
+      result.errors.push({ topic: subscription.topic, error: error.message });
+    }
+  }
+
+  console.log(`Reconciled webhooks for ${session.shop}: ${result.created.length} created, ${result.updated.length} updated, ${result.deleted.length} deleted, ${result.errors.length} error(s)`);
+  result.errors.forEach(({ topic, error }) => console.error(`Webhook subscription error for ${session.shop} (${topic}): ${error}`));
+
+  return result;
+}
+
+/**
+ * Reconcile the webhook subscriptions of every active shop that has an offline session
+ * @returns {Promise<Object[]>} Reconciliation result per shop
+ */
+async function reconcileAllShops() {
+  const results = [];
+
+  for (const { shop } of getShops('active')) {
+    const session = getOfflineSession(shop);
+    if (!session) {
+      console.log(`No offline session for ${shop}, skipping webhook reconciliation`);
+      continue;
+    }
+
+    try {
+      results.push(await reconcileWebhookSubscriptions(session));
+    } catch (error) {
+      console.error(`Error reconciling webhooks for ${shop}:`, error.message);
+      results.push({ shop, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  getExpectedSubscriptions,
+  getWebhookSubscriptionStatus,
+  reconcileWebhookSubscriptions,
+  reconcileAllShops
+};
@@ -0,0 +1,111 @@
+/**
+ * Replays stored webhook events through the current processing logic
+ * Used after a LearnWorlds outage or a mapping fix, so failed or skipped deliveries
+ * don't have to wait for Shopify or the customer. Only order webhooks can be replayed;
+ * every replay is recorded against the original event in the inbox.
+ */
+const jobQueue = require('./jobQueue');
+const { isOrderSyncTopic, syncOrder } = require('./orderSync');
+const { getWebhookEvent, isWebhookProcessing, recordWebhookReplay } = require('../utils/webhookInbox');
+const { isShopInactive } = require('../utils/shopRegistry');
+
+const REPLAY_JOB = 'replay_webhook';
+
+/**
+ * Get the reason a stored event can't be replayed
+ * @param {Object} event - Stored webhook event
+ * @returns {string|null} Reason, or null if the event can be replayed
+ */
+function getReplaySkipReason(event) {
+  if (!isOrderSyncTopic(event.topic)) return `Topic ${event.topic} can't be replayed`;
+  if (isWebhookProcessing(event)) return 'Event is being processed';
+  if (!event.payload || event.payload.redacted) return 'Event payload was redacted';
+  if (isShopInactive(event.shop)) return 'Shop is inactive';
+  return null;
+}
+
+/**
+ * Run a stored webhook event through the order-sync pipeline again
+ * @param {string} webhookId - X-Shopify-Webhook-Id of the original delivery
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dryRun - Only report what the replay would do
+ * @returns {Promise<{replay: Object, report: Object}>} The recorded replay and its order-sync report
+ */
+async function replayWebhookEvent(webhookId, { dryRun = false } = {}) {
+  const event = getWebhookEvent(webhookId);
+  if (!event) {
+    throw new Error(`No webhook event ${webhookId}`);
+  }
+
+  const skipReason = getReplaySkipReason(event);
+  if (skipReason) {
+    throw new Error(skipReason);
+  }
+
+  console.log(`Replaying ${event.topic} webhook ${webhookId} for ${event.shop}${dryRun ? ' as a dry run' : ''}`);
+
+  let report;
+  try {
+    report = await syncOrder(event.topic, { shop: event.shop, payload: event.payload, webhookId }, { dryRun });
+  } catch (error) {
+    recordWebhookReplay(webhookId, { status: 'failed', error: error.message, dryRun });
+    throw error;
+  }
+
+  const replay = recordWebhookReplay(webhookId, {
+    status: report.status,
+    reportId: report.id || null,
+    error: report.error,
+    dryRun
+  });
+  return { replay, report };
+}
+
+/**
+ * Replay a queued webhook event
+ * @param {Object} payload - Job payload created by queueWebhookReplays
+ * @returns {Promise<Object>} Job result
+ */
+async function handleReplayJob({ webhookId, dryRun }) {
+  const event = getWebhookEvent(webhookId);
+  if (!event) {
+    return { replayed: false, reason: 'Event no longer exists' };
+  }
+
+  const { replay } = await replayWebhookEvent(webhookId, { dryRun });
+  return { replayed: true, replayId: replay.id, status: replay.status };
+}
+
+/**
+ * Queue a replay of every event in a batch that can be replayed
+ * @param {Object[]} events - Stored webhook events
+ * @param {Object} options - Optional settings
+ * @param {boolean} options.dryRun - Only report what the replays would do
+ * @returns {{queued: Object[], skipped: Object[]}} Queued jobs per event and the events skipped with their reason
+ */
+function queueWebhookReplays(events, { dryRun = false } = {}) {
+  const queued = [];
+  const skipped = [];
+
+  for (const event of events) {
+    const reason = getReplaySkipReason(event);
+    if (reason) {
+      skipped.push({ webhook_id: event.id, topic: event.topic, reason });
+      continue;
+    }
+
+    // A failed replay is recorded on the event and can be replayed again, so jobs don't retry
+    const job = jobQueue.enqueue(REPLAY_JOB, { shop: event.shop, webhookId: event.id, dryRun }, { maxAttempts: 1 });
+    queued.push({ webhook_id: event.id, topic: event.topic, job_id: job.id });
+  }
+
+  return { queued, skipped };
+}
+
+jobQueue.registerHandler(REPLAY_JOB, handleReplayJob);
+
+module.exports = {
+  getReplaySkipReason,
+  replayWebhookEvent,
+  queueWebhookReplays
+};
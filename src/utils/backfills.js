@@ -0,0 +1,171 @@
+/**
+ * Utility for storing historical order backfills
+ * Each backfill records the product or course it enrolls, how far it paged through the shop's
+ * orders, so it can resume, and the outcome for every matching order
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+
+const BACKFILLS_FILE_PATH = getDataFilePath('backfills.json');
+
+// Statuses after which a backfill doesn't run again unless resumed
+const FINISHED_STATUSES = ['completed', 'cancelled', 'failed'];
+
+// Initialize the backfills, keyed by backfill ID
+let backfills = loadJsonFile(BACKFILLS_FILE_PATH, {}, 'backfills');
+
+function saveBackfills() {
+  saveJsonFile(BACKFILLS_FILE_PATH, backfills, 'backfills');
+}
+
+/**
+ * Create a backfill in the queued state
+ * @param {Object} request - Backfill request
+ * @param {string} request.shop - Shop domain
+ * @param {string|null} request.productId - Product the backfill was requested for
+ * @param {string|null} request.courseId - Course the backfill was requested for
+ * @param {string} request.createdAtMin - Earliest order creation date, ISO 8601
+ * @param {string} request.createdAtMax - Latest order creation date, ISO 8601
+ * @param {boolean} request.dryRun - Only preview the enrollments
+ * @returns {Object} The stored backfill
+ */
+function createBackfill({ shop, productId, courseId, createdAtMin, createdAtMax, dryRun }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  backfills[id] = {
+    id,
+    shop,
+    product_id: productId || null,
+    course_id: courseId || null,
+    created_at_min: createdAtMin,
+    created_at_max: createdAtMax,
+    dry_run: Boolean(dryRun),
+    status: 'queued',
+    job_id: null,
+    cursor: null,
+    progress: {
+      pages: 0,
+      orders_scanned: 0,
+      orders_matched: 0,
+      line_items_queued: 0,
+      line_items_planned: 0,
+      line_items_skipped: 0,
+      errors: 0
+    },
+    orders: [],
+    error: null,
+    started_at: null,
+    completed_at: null,
+    created_at: now,
+    updated_at: now
+  };
+  saveBackfills();
+  return backfills[id];
+}
+
+/**
+ * Update fields of a backfill
+ * @param {string} backfillId - Backfill ID
+ * @param {Object} updates - Fields to store
+ * @returns {Object|null} Updated backfill or null if not found
+ */
+function updateBackfill(backfillId, updates) {
+  const backfill = backfills[backfillId];
+  if (!backfill) return null;
+
+  Object.assign(backfill, updates, { updated_at: new Date().toISOString() });
+  saveBackfills();
+  return backfill;
+}
+
+/**
+ * Get a stored backfill
+ * @param {string} backfillId - Backfill ID
+ * @returns {Object|null} Backfill or null if not found
+ */
+function getBackfill(backfillId) {
+  return backfills[backfillId] || null;
+}
+
+/**
+ * Get stored backfills, optionally filtered
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @param {string} filters.status - Backfill status: queued, running, completed, cancelled or failed
+ * @returns {Object[]} Matching backfills, newest first
+ */
+function getBackfills({ shop, status } = {}) {
+  return Object.values(backfills)
+    .filter(backfill => !shop || backfill.shop === shop)
+    .filter(backfill => !status || backfill.status === status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Check whether a backfill has stopped running
+ * @param {Object} backfill - Stored backfill
+ * @returns {boolean} True if the backfill completed, was cancelled or failed
+ */
+function isBackfillFinished(backfill) {
+  return FINISHED_STATUSES.includes(backfill.status);
+}
+
+/**
+ * Get the backfilled orders of a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup
+ * @param {string[]} customer.orderIds - Orders of the customer
+ * @returns {Object[]} Matching order outcomes with the ID of the backfill they are in
+ */
+function getBackfillOrdersForCustomer(shop, { orderIds = [] }) {
+  return getBackfills({ shop }).flatMap(backfill => backfill.orders
+    .filter(order => orderIds.includes(order.order_id))
+    .map(order => ({ backfill_id: backfill.id, ...order })));
+}
+
+/**
+ * Remove the customer details from a customer's backfilled orders
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup
+ * @param {string[]} customer.orderIds - Orders of the customer
+ * @returns {number} Number of order outcomes redacted
+ */
+function redactCustomerBackfillOrders(shop, { orderIds = [] }) {
+  let redacted = 0;
+
+  for (const backfill of getBackfills({ shop })) {
+    for (const order of backfill.orders.filter(item => orderIds.includes(item.order_id))) {
+      order.email = null;
+      order.customer_id = null;
+      order.redacted = true;
+      redacted++;
+    }
+  }
+
+  if (redacted) saveBackfills();
+  return redacted;
+}
+
+/**
+ * Delete every backfill of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of backfills deleted
+ */
+function purgeShopBackfills(shop) {
+  const ids = Object.keys(backfills).filter(id => backfills[id].shop === shop);
+  ids.forEach(id => delete backfills[id]);
+  if (ids.length) saveBackfills();
+  return ids.length;
+}
+
+module.exports = {
+  createBackfill,
+  updateBackfill,
+  getBackfill,
+  getBackfills,
+  isBackfillFinished,
+  getBackfillOrdersForCustomer,
+  redactCustomerBackfillOrders,
+  purgeShopBackfills
+};
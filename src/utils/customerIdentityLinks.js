@@ -0,0 +1,236 @@
+/**
+ * Utility for linking Shopify customers to LearnWorlds users
+ * The link survives email changes in Shopify, so a customer keeps a single LearnWorlds account.
+ * Profile changes that can't be applied safely are flagged as conflicts for review.
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+
+const LINKS_FILE_PATH = getDataFilePath('customer_identity_links.json');
+const CONFLICTS_FILE_PATH = getDataFilePath('identity_conflicts.json');
+
+// Initialize the links, keyed by shop and Shopify customer ID
+let identityLinks = loadJsonFile(LINKS_FILE_PATH, {}, 'customer identity links');
+
+// Initialize the conflicts, keyed by conflict ID
+let identityConflicts = loadJsonFile(CONFLICTS_FILE_PATH, {}, 'identity conflicts');
+
+function saveLinks() {
+  saveJsonFile(LINKS_FILE_PATH, identityLinks, 'customer identity links');
+}
+
+function saveConflicts() {
+  saveJsonFile(CONFLICTS_FILE_PATH, identityConflicts, 'identity conflicts');
+}
+
+function getLinkKey(shop, customerId) {
+  return `${shop}:${customerId}`;
+}
+
+/**
+ * Get the LearnWorlds user linked to a Shopify customer
+ * @param {string} shop - Shop domain
+ * @param {string|number} customerId - Shopify customer ID
+ * @returns {Object|null} Identity link or null if the customer isn't linked
+ */
+function getIdentityLink(shop, customerId) {
+  if (!customerId) return null;
+  return identityLinks[getLinkKey(shop, customerId)] || null;
+}
+
+/**
+ * Link a Shopify customer to a LearnWorlds user, or refresh the stored profile
+ * @param {Object} link - Link details
+ * @param {string} link.shop - Shop domain
+ * @param {string|number} link.customerId - Shopify customer ID
+ * @param {string} link.learnWorldsUserId - LearnWorlds user ID
+ * @param {string} link.email - Email the LearnWorlds user has
+ * @param {string} link.firstName - Customer first name
+ * @param {string} link.lastName - Customer last name
+ * @returns {Object} The stored link
+ */
+function setIdentityLink({ shop, customerId, learnWorldsUserId, email, firstName, lastName }) {
+  const key = getLinkKey(shop, customerId);
+  const now = new Date().toISOString();
+  const existing = identityLinks[key];
+
+  identityLinks[key] = {
+    shop,
+    customer_id: String(customerId),
+    learnworlds_user_id: String(learnWorldsUserId),
+    email,
+    first_name: firstName || '',
+    last_name: lastName || '',
+    linked_at: existing && existing.learnworlds_user_id === String(learnWorldsUserId) ? existing.linked_at : now,
+    updated_at: now
+  };
+  saveLinks();
+  return identityLinks[key];
+}
+
+/**
+ * Remove the link for a Shopify customer
+ * @param {string} shop - Shop domain
+ * @param {string|number} customerId - Shopify customer ID
+ */
+function removeIdentityLink(shop, customerId) {
+  delete identityLinks[getLinkKey(shop, customerId)];
+  saveLinks();
+}
+
+/**
+ * Get all identity links, optionally for a single shop
+ * @param {string} shop - Optional shop domain
+ * @returns {Object[]} Identity links
+ */
+function getIdentityLinks(shop) {
+  return Object.values(identityLinks).filter(link => !shop || link.shop === shop);
+}
+
+/**
+ * Flag a profile change that couldn't be applied, e.g. the new email already belongs to another LearnWorlds user
+ * An open conflict for the same customer and email is updated instead of duplicated
+ * @param {Object} conflict - Conflict details
+ * @param {string} conflict.shop - Shop domain
+ * @param {string|number} conflict.customerId - Shopify customer ID
+ * @param {string} conflict.learnWorldsUserId - LearnWorlds user linked to the customer
+ * @param {string} conflict.conflictingUserId - LearnWorlds user that already has the new email
+ * @param {string} conflict.previousEmail - Email stored on the link
+ * @param {string} conflict.newEmail - Email the customer changed to in Shopify
+ * @param {string} conflict.reason - Description of the conflict
+ * @returns {Object} The stored conflict
+ */
+function flagIdentityConflict({ shop, customerId, learnWorldsUserId, conflictingUserId, previousEmail, newEmail, reason }) {
+  const existing = Object.values(identityConflicts).find(conflict =>
+    conflict.status === 'open' &&
+    conflict.shop === shop &&
+    conflict.customer_id === String(customerId) &&
+    normalizeEmail(conflict.new_email) === normalizeEmail(newEmail)
+  );
+
+  const conflict = existing || {
+    id: crypto.randomUUID(),
+    shop,
+    customer_id: String(customerId),
+    status: 'open',
+    detected_at: new Date().toISOString()
+  };
+
+  Object.assign(conflict, {
+    learnworlds_user_id: learnWorldsUserId ? String(learnWorldsUserId) : null,
+    conflicting_user_id: conflictingUserId ? String(conflictingUserId) : null,
+    previous_email: previousEmail,
+    new_email: newEmail,
+    reason,
+    updated_at: new Date().toISOString()
+  });
+
+  identityConflicts[conflict.id] = conflict;
+  saveConflicts();
+  return conflict;
+}
+
+/**
+ * Get identity conflicts, optionally filtered by status
+ * @param {string} status - Optional status filter: open or resolved
+ * @returns {Object[]} Conflicts, newest first
+ */
+function getIdentityConflicts(status) {
+  return Object.values(identityConflicts)
+    .filter(conflict => !status || conflict.status === status)
+    .sort((a, b) => new Date(b.detected_at) - new Date(a.detected_at));
+}
+
+/**
+ * Get a single identity conflict
+ * @param {string} conflictId - Conflict ID
+ * @returns {Object|null} Conflict or null if not found
+ */
+function getIdentityConflict(conflictId) {
+  return identityConflicts[conflictId] || null;
+}
+
+/**
+ * Mark an identity conflict as resolved
+ * @param {string} conflictId - Conflict ID
+ * @param {string} resolution - How the conflict was resolved
+ * @param {string} note - Optional note from the operator
+ * @returns {Object|null} The resolved conflict or null if not found
+ */
+function resolveIdentityConflict(conflictId, resolution, note = '') {
+  const conflict = identityConflicts[conflictId];
+  if (!conflict) return null;
+
+  conflict.status = 'resolved';
+  conflict.resolution = resolution;
+  conflict.note = note;
+  conflict.resolved_at = new Date().toISOString();
+  saveConflicts();
+  return conflict;
+}
+
+// Check whether a link or conflict belongs to a customer
+function recordMatchesCustomer(record, { customerId, email }) {
+  const normalizedEmail = normalizeEmail(email);
+  return (customerId && record.customer_id === String(customerId)) ||
+    (normalizedEmail && [record.email, record.previous_email, record.new_email]
+      .some(value => normalizeEmail(value) === normalizedEmail));
+}
+
+/**
+ * Get the identity links and conflicts of a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer with customerId and email
+ * @returns {{links: Object[], conflicts: Object[]}} Matching records
+ */
+function getIdentityRecordsForCustomer(shop, customer) {
+  return {
+    links: Object.values(identityLinks).filter(link => link.shop === shop && recordMatchesCustomer(link, customer)),
+    conflicts: Object.values(identityConflicts).filter(conflict => conflict.shop === shop && recordMatchesCustomer(conflict, customer))
+  };
+}
+
+/**
+ * Delete the identity links and conflicts of a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer with customerId and email
+ * @returns {{links: number, conflicts: number}} Number of records deleted
+ */
+function deleteIdentityRecordsForCustomer(shop, customer) {
+  const { links, conflicts } = getIdentityRecordsForCustomer(shop, customer);
+  links.forEach(link => delete identityLinks[getLinkKey(link.shop, link.customer_id)]);
+  conflicts.forEach(conflict => delete identityConflicts[conflict.id]);
+  if (links.length) saveLinks();
+  if (conflicts.length) saveConflicts();
+  return { links: links.length, conflicts: conflicts.length };
+}
+
+/**
+ * Delete every identity link and conflict of a shop
+ * @param {string} shop - Shop domain
+ * @returns {{links: number, conflicts: number}} Number of records deleted
+ */
+function purgeShopIdentityRecords(shop) {
+  const linkKeys = Object.keys(identityLinks).filter(key => identityLinks[key].shop === shop);
+  const conflictIds = Object.keys(identityConflicts).filter(id => identityConflicts[id].shop === shop);
+  linkKeys.forEach(key => delete identityLinks[key]);
+  conflictIds.forEach(id => delete identityConflicts[id]);
+  if (linkKeys.length) saveLinks();
+  if (conflictIds.length) saveConflicts();
+  return { links: linkKeys.length, conflicts: conflictIds.length };
+}
+
+module.exports = {
+  getIdentityLink,
+  setIdentityLink,
+  removeIdentityLink,
+  getIdentityLinks,
+  flagIdentityConflict,
+  getIdentityConflicts,
+  getIdentityConflict,
+  resolveIdentityConflict,
+  getIdentityRecordsForCustomer,
+  deleteIdentityRecordsForCustomer,
+  purgeShopIdentityRecords
+};
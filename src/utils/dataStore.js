@@ -0,0 +1,71 @@
+/**
+ * Utility for persisting app state as JSON files
+ * Uses the same locations as the product-course mapping files
+ */
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Get the path of a data file
+ * DATA_DIR overrides the location, e.g. to keep test runs apart from real data
+ * @param {string} fileName - File name, e.g. webhook_inbox.json
+ * @returns {string} Absolute path to the data file
+ */
+function getDataFilePath(fileName) {
+  if (process.env.DATA_DIR) {
+    return path.join(process.env.DATA_DIR, fileName);
+  }
+
+  return process.env.NODE_ENV === 'production'
+    ? path.join('/tmp', fileName)  // Use /tmp in production (Vercel)
+    : path.join(__dirname, '../../data', fileName);
+}
+
+// Ensure the directory for a data file exists
+function ensureDirectoryExists(filePath) {
+  const dir = path.dirname(filePath);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
+  }
+}
+
+/**
+ * Load a JSON data file
+ * @param {string} filePath - Path returned by getDataFilePath
+ * @param {*} defaultValue - Value to return if the file doesn't exist or can't be read
+ * @param {string} label - Description used in error logs
+ * @returns {*} Parsed file contents or the default value
+ */
+function loadJsonFile(filePath, defaultValue, label) {
+  ensureDirectoryExists(filePath);
+  try {
+    if (fs.existsSync(filePath)) {
+      const data = fs.readFileSync(filePath, 'utf8');
+      return JSON.parse(data);
+    }
+  } catch (error) {
+    console.error(`Error loading ${label}:`, error);
+  }
+  return defaultValue;
+}
+
+/**
+ * Save a JSON data file
+ * @param {string} filePath - Path returned by getDataFilePath
+ * @param {*} data - Data to serialize
+ * @param {string} label - Description used in error logs
+ */
+function saveJsonFile(filePath, data, label) {
+  ensureDirectoryExists(filePath);
+  try {
+    fs.writeFileSync(filePath, JSON.stringify(data, null, 2), 'utf8');
+  } catch (error) {
+    console.error(`Error saving ${label}:`, error);
+  }
+}
+
+module.exports = {
+  getDataFilePath,
+  loadJsonFile,
+  saveJsonFile
+};
@@ -0,0 +1,150 @@
+/**
+ * Utility for tracking chargebacks and other payment disputes
+ * Records every status a dispute went through and what happened to course access
+ */
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+
+const DISPUTE_LOG_FILE_PATH = getDataFilePath('dispute_log.json');
+
+// Initialize the dispute log, keyed by shop and dispute ID
+let disputeLog = loadJsonFile(DISPUTE_LOG_FILE_PATH, {}, 'dispute log');
+
+function saveDisputeLog() {
+  saveJsonFile(DISPUTE_LOG_FILE_PATH, disputeLog, 'dispute log');
+}
+
+function getDisputeKey(shop, disputeId) {
+  return `${shop}:${disputeId}`;
+}
+
+/**
+ * Create or update a dispute from a disputes/* webhook
+ * @param {Object} update - Dispute details
+ * @param {string} update.shop - Shop domain
+ * @param {string|number} update.disputeId - Shopify dispute ID
+ * @param {string|number} update.orderId - Disputed order ID
+ * @param {string} update.type - chargeback or inquiry
+ * @param {string} update.reason - Reason given by the card network
+ * @param {string} update.status - Dispute status, e.g. needs_response, under_review, won or lost
+ * @returns {{dispute: Object, previousStatus: string|null}} Updated dispute and its previous status
+ */
+function updateDisputeStatus({ shop, disputeId, orderId, type, reason, status }) {
+  const key = getDisputeKey(shop, disputeId);
+  const now = new Date().toISOString();
+  const dispute = disputeLog[key] || {
+    shop,
+    dispute_id: String(disputeId),
+    order_id: null,
+    type: null,
+    reason: null,
+    status: null,
+    access: null,
+    transitions: [],
+    created_at: now
+  };
+  const previousStatus = dispute.status;
+
+  if (orderId) dispute.order_id = String(orderId);
+  if (type) dispute.type = type;
+  if (reason) dispute.reason = reason;
+  dispute.status = status;
+  dispute.updated_at = now;
+
+  disputeLog[key] = dispute;
+  saveDisputeLog();
+  return { dispute, previousStatus };
+}
+
+/**
+ * Record a status transition of a dispute and the access change it caused
+ * @param {string} shop - Shop domain
+ * @param {string|number} disputeId - Shopify dispute ID
+ * @param {Object} transition - Transition details
+ * @param {string|null} transition.from - Previous dispute status
+ * @param {string} transition.to - New dispute status
+ * @param {string|null} transition.access - suspended, restored or revoked, null if access didn't change
+ * @param {number} transition.jobsQueued - Number of enrollment jobs queued
+ * @param {string} transition.topic - Webhook topic that reported the status
+ * @returns {Object} Updated dispute
+ */
+function recordDisputeTransition(shop, disputeId, { from, to, access, jobsQueued, topic }) {
+  const dispute = disputeLog[getDisputeKey(shop, disputeId)];
+
+  if (access) dispute.access = access;
+  dispute.transitions.push({
+    from,
+    to,
+    access: access || null,
+    jobs_queued: jobsQueued,
+    topic,
+    at: new Date().toISOString()
+  });
+
+  saveDisputeLog();
+  return dispute;
+}
+
+/**
+ * Get recorded disputes, optionally filtered by shop, order and status
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @param {string|number} filters.orderId - Shopify order ID
+ * @param {string} filters.status - Dispute status
+ * @returns {Object[]} Matching dispute records, most recently updated first
+ */
+function getDisputes({ shop, orderId, status } = {}) {
+  return Object.values(disputeLog)
+    .filter(dispute => !shop || dispute.shop === shop)
+    .filter(dispute => !orderId || dispute.order_id === String(orderId))
+    .filter(dispute => !status || dispute.status === status)
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at));
+}
+
+/**
+ * Get the disputes of a customer's orders
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup
+ * @param {string[]} customer.orderIds - Orders of the customer
+ * @returns {Object[]} Matching dispute records
+ */
+function getDisputesForCustomer(shop, { orderIds = [] }) {
+  return Object.values(disputeLog)
+    .filter(dispute => dispute.shop === shop && orderIds.includes(dispute.order_id));
+}
+
+/**
+ * Delete the disputes of a customer's orders
+ * Disputes only hold order details, so nothing of them is kept once the orders are redacted
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup
+ * @param {string[]} customer.orderIds - Orders of the customer
+ * @returns {number} Number of disputes deleted
+ */
+function deleteCustomerDisputes(shop, { orderIds = [] }) {
+  const keys = Object.keys(disputeLog)
+    .filter(key => disputeLog[key].shop === shop && orderIds.includes(disputeLog[key].order_id));
+  keys.forEach(key => delete disputeLog[key]);
+  if (keys.length) saveDisputeLog();
+  return keys.length;
+}
+
+/**
+ * Delete every dispute of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of disputes deleted
+ */
+function purgeShopDisputes(shop) {
+  const keys = Object.keys(disputeLog).filter(key => disputeLog[key].shop === shop);
+  keys.forEach(key => delete disputeLog[key]);
+  if (keys.length) saveDisputeLog();
+  return keys.length;
+}
+
+module.exports = {
+  updateDisputeStatus,
+  recordDisputeTransition,
+  getDisputes,
+  getDisputesForCustomer,
+  deleteCustomerDisputes,
+  purgeShopDisputes
+};
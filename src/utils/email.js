@@ -0,0 +1,16 @@
+/**
+ * Utility for comparing customer email addresses
+ */
+
+/**
+ * Normalize an email for matching: surrounding whitespace is ignored and case doesn't matter
+ * @param {string} email - Email address
+ * @returns {string} Normalized email, empty if none was given
+ */
+function normalizeEmail(email) {
+  return (email || '').trim().toLowerCase();
+}
+
+module.exports = {
+  normalizeEmail
+};
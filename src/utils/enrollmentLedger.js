@@ -0,0 +1,239 @@
+/**
+ * Utility for tracking which order line items have been enrolled in LearnWorlds
+ * Lets order webhooks for different topics (orders/create, orders/paid) agree
+ * on whether an order has already been handled
+ */
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+
+const LEDGER_FILE_PATH = getDataFilePath('enrollment_ledger.json');
+
+// Initialize the ledger, keyed by shop, order ID and line item ID
+let ledger = loadJsonFile(LEDGER_FILE_PATH, {}, 'enrollment ledger');
+
+function saveLedger() {
+  saveJsonFile(LEDGER_FILE_PATH, ledger, 'enrollment ledger');
+}
+
+function getLedgerKey(shop, orderId, lineItemId) {
+  return `${shop}:${orderId}:${lineItemId}`;
+}
+
+/**
+ * Check whether a line item has already been enrolled or queued for enrollment
+ * A line item that was enrolled and later unenrolled still counts, so a late
+ * orders/paid delivery can't grant access to a cancelled order again.
+ * Line items whose enrollment failed permanently can be enrolled again.
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} lineItemId - Shopify line item ID
+ * @returns {boolean} True if the line item was enrolled before
+ */
+function isLineItemEnrolled(shop, orderId, lineItemId) {
+  const entry = ledger[getLedgerKey(shop, orderId, lineItemId)];
+  return Boolean(entry) && entry.status !== 'failed';
+}
+
+/**
+ * Get the ledger entry for a line item
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} lineItemId - Shopify line item ID
+ * @returns {Object|null} Ledger entry or null if not found
+ */
+function getEnrollment(shop, orderId, lineItemId) {
+  return ledger[getLedgerKey(shop, orderId, lineItemId)] || null;
+}
+
+/**
+ * Record that a line item has been queued for enrollment in LearnWorlds
+ * @param {Object} enrollment - Enrollment details
+ * @param {string} enrollment.shop - Shop domain
+ * @param {string|number} enrollment.orderId - Shopify order ID
+ * @param {string|number} enrollment.lineItemId - Shopify line item ID
+ * @param {string|number} enrollment.productId - Shopify product ID
+ * @param {string} enrollment.productTitle - Line item title, used for bundle mapping
+ * @param {boolean} enrollment.subscription - Whether the line item belongs to a subscription
+ * @param {string|number} enrollment.customerId - Shopify customer ID
+ * @param {string} enrollment.email - Customer email used for the enrollment
+ * @param {string} enrollment.topic - Webhook topic that triggered the enrollment
+ */
+function recordEnrollment({ shop, orderId, lineItemId, productId, productTitle, subscription, customerId, email, topic }) {
+  ledger[getLedgerKey(shop, orderId, lineItemId)] = {
+    shop,
+    order_id: String(orderId),
+    line_item_id: String(lineItemId),
+    product_id: String(productId),
+    product_title: productTitle || '',
+    subscription: Boolean(subscription),
+    customer_id: customerId ? String(customerId) : null,
+    email,
+    topic,
+    status: 'queued',
+    queued_at: new Date().toISOString()
+  };
+  saveLedger();
+}
+
+/**
+ * Update the status of a queued enrollment once its job has run
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} lineItemId - Shopify line item ID
+ * @param {string} status - New status: queued, enrolled, skipped, suspended, expiring, expired or failed
+ * @param {Object} details - Optional extra fields to store, e.g. course_ids
+ */
+function setEnrollmentStatus(shop, orderId, lineItemId, status, details = {}) {
+  const entry = ledger[getLedgerKey(shop, orderId, lineItemId)];
+  if (!entry) return;
+  Object.assign(entry, details);
+  entry.status = status;
+  entry[`${status}_at`] = new Date().toISOString();
+  saveLedger();
+}
+
+/**
+ * Store extra fields on a ledger entry without changing its status
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} lineItemId - Shopify line item ID
+ * @param {Object} details - Fields to store, e.g. reminder_sent_at
+ */
+function updateEnrollment(shop, orderId, lineItemId, details) {
+  const entry = ledger[getLedgerKey(shop, orderId, lineItemId)];
+  if (!entry) return;
+  Object.assign(entry, details);
+  saveLedger();
+}
+
+/**
+ * Record that a previously enrolled line item was unenrolled
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} lineItemId - Shopify line item ID
+ * @param {string} topic - Webhook topic that triggered the unenrollment
+ */
+function recordUnenrollment(shop, orderId, lineItemId, topic) {
+  const entry = ledger[getLedgerKey(shop, orderId, lineItemId)];
+  if (!entry) return;
+  entry.status = 'unenrolled';
+  entry.unenrolled_at = new Date().toISOString();
+  entry.unenrolled_by = topic;
+  saveLedger();
+}
+
+/**
+ * Get all ledger entries for an order
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @returns {Object[]} Ledger entries for the order's line items
+ */
+function getEnrollmentsForOrder(shop, orderId) {
+  return Object.values(ledger)
+    .filter(entry => entry.shop === shop && entry.order_id === String(orderId));
+}
+
+/**
+ * Get the active enrollments a customer holds across all of their orders
+ * Customers are matched by Shopify customer ID when known, otherwise by email
+ * @param {Object} customer - Customer to look up
+ * @param {string} customer.shop - Shop domain
+ * @param {string|number} customer.customerId - Shopify customer ID
+ * @param {string} customer.email - Customer email
+ * @returns {Object[]} Ledger entries that are queued or enrolled
+ */
+function getActiveEnrollmentsForCustomer({ shop, customerId, email }) {
+  const normalizedEmail = normalizeEmail(email);
+  // Without an ID or email the customer can't be told apart from redacted entries
+  if (!customerId && !normalizedEmail) return [];
+  
+  return Object.values(ledger).filter(entry => {
+    if (entry.shop !== shop) return false;
+    if (entry.status !== 'queued' && entry.status !== 'enrolled') return false;
+    if (customerId && entry.customer_id) return entry.customer_id === String(customerId);
+    return Boolean(normalizedEmail) && normalizeEmail(entry.email) === normalizedEmail;
+  });
+}
+
+/**
+ * Get the time-limited enrollments that expire before a given time
+ * Only enrolled and suspended entries are returned, since other statuses hold no access
+ * @param {Date} before - Latest expiry to include
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @returns {Object[]} Ledger entries, soonest expiry first
+ */
+function getExpiringEnrollments(before, { shop } = {}) {
+  return Object.values(ledger)
+    .filter(entry => entry.expires_at && new Date(entry.expires_at) <= before)
+    .filter(entry => entry.status === 'enrolled' || entry.status === 'suspended')
+    .filter(entry => !shop || entry.shop === shop)
+    .sort((a, b) => new Date(a.expires_at) - new Date(b.expires_at));
+}
+
+// Check whether a ledger entry belongs to a customer, by customer ID, email or order
+function entryMatchesCustomer(entry, { customerId, email, orderIds = [] }) {
+  const normalizedEmail = normalizeEmail(email);
+  return (customerId && entry.customer_id === String(customerId)) ||
+    (normalizedEmail && normalizeEmail(entry.email) === normalizedEmail) ||
+    orderIds.map(String).includes(entry.order_id);
+}
+
+/**
+ * Get the full enrollment history of a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer to look up
+ * @param {string|number} customer.customerId - Shopify customer ID
+ * @param {string} customer.email - Customer email
+ * @param {Array<string|number>} customer.orderIds - Optional order IDs that belong to the customer
+ * @returns {Object[]} Ledger entries
+ */
+function getEnrollmentsForCustomer(shop, customer) {
+  return Object.values(ledger)
+    .filter(entry => entry.shop === shop && entryMatchesCustomer(entry, customer));
+}
+
+/**
+ * Remove personal data from a customer's ledger entries
+ * The entries stay so enrollment statuses remain consistent
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer to redact, same shape as getEnrollmentsForCustomer
+ * @returns {number} Number of entries redacted
+ */
+function redactCustomerEnrollments(shop, customer) {
+  const entries = getEnrollmentsForCustomer(shop, customer);
+  for (const entry of entries) {
+    entry.email = null;
+    entry.customer_id = null;
+    entry.redacted_at = new Date().toISOString();
+  }
+  if (entries.length) saveLedger();
+  return entries.length;
+}
+
+/**
+ * Delete every ledger entry of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of entries deleted
+ */
+function purgeShopEnrollments(shop) {
+  const keys = Object.keys(ledger).filter(key => ledger[key].shop === shop);
+  keys.forEach(key => delete ledger[key]);
+  if (keys.length) saveLedger();
+  return keys.length;
+}
+
+module.exports = {
+  isLineItemEnrolled,
+  getEnrollment,
+  recordEnrollment,
+  setEnrollmentStatus,
+  updateEnrollment,
+  recordUnenrollment,
+  getEnrollmentsForOrder,
+  getActiveEnrollmentsForCustomer,
+  getExpiringEnrollments,
+  getEnrollmentsForCustomer,
+  redactCustomerEnrollments,
+  purgeShopEnrollments
+};
@@ -0,0 +1,234 @@
+/**
+ * Utility for the enrollment eligibility rules
+ * Rules decide per line item whether an order grants LearnWorlds access.
+ * They are evaluated in priority order (lowest first) and the first matching rule wins.
+ * A line item that matches no rule is not enrolled.
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+
+const RULES_FILE_PATH = getDataFilePath('enrollment_rules.json');
+
+const RULE_ACTIONS = ['enroll', 'skip'];
+
+// Condition name -> description of the value it expects
+const RULE_CONDITIONS = {
+  product_types: 'array of product types',
+  vendors: 'array of vendors',
+  tags: 'array of order or product tags',
+  selling_plan: 'boolean, true to match subscription line items only',
+  collections: 'array of collection IDs, handles or titles',
+  financial_statuses: 'array of order financial statuses',
+  sales_channels: 'array of order source names, e.g. web or pos',
+  triggers: 'array of mapping triggers, e.g. on_create'
+};
+
+// Conditions that need product details fetched from Shopify
+const PRODUCT_CONDITIONS = ['product_types', 'tags', 'collections'];
+
+// Used until rules are configured, matching the previous paid/authorized behaviour
+// Products mapped to enroll on_create are enrolled whatever the financial status, since that trigger
+// exists to grant access before payment. Stored rules need a triggers rule of their own for that
+const DEFAULT_RULES = [
+  {
+    id: 'default-on-create',
+    name: 'Enroll products that grant access on order creation',
+    priority: 900,
+    action: 'enroll',
+    enabled: true,
+    conditions: {
+      triggers: ['on_create']
+    }
+  },
+  {
+    id: 'default-paid',
+    name: 'Enroll paid or authorized orders',
+    priority: 1000,
+    action: 'enroll',
+    enabled: true,
+    conditions: {
+      financial_statuses: ['paid', 'authorized']
+    }
+  }
+];
+
+// Initialize the rules, falling back to the defaults if none are stored
+let rules = loadJsonFile(RULES_FILE_PATH, null, 'enrollment rules') || DEFAULT_RULES;
+
+function saveRules() {
+  saveJsonFile(RULES_FILE_PATH, rules, 'enrollment rules');
+}
+
+function normalize(value) {
+  return String(value).trim().toLowerCase();
+}
+
+// Check whether any of the candidate values is listed in a condition
+function matchesAny(conditionValues, candidates) {
+  const allowed = conditionValues.map(normalize);
+  return candidates.some(candidate => candidate !== undefined && candidate !== null && allowed.includes(normalize(candidate)));
+}
+
+/**
+ * Validate a rule before it is stored
+ * @param {Object} rule - Rule to validate
+ * @returns {string|null} Error message or null if the rule is valid
+ */
+function validateRule(rule) {
+  if (!rule || typeof rule !== 'object') return 'Rule must be an object';
+  if (!rule.name) return 'Rule name is required';
+  if (!RULE_ACTIONS.includes(rule.action)) return `Rule action must be one of: ${RULE_ACTIONS.join(', ')}`;
+  if (rule.priority !== undefined && !Number.isFinite(Number(rule.priority))) return 'Rule priority must be a number';
+
+  const conditions = rule.conditions || {};
+  for (const [name, value] of Object.entries(conditions)) {
+    if (!RULE_CONDITIONS[name]) return `Unknown rule condition: ${name}`;
+    if (name === 'selling_plan') {
+      if (typeof value !== 'boolean') return `Condition ${name} must be a ${RULE_CONDITIONS[name]}`;
+    } else if (!Array.isArray(value)) {
+      return `Condition ${name} must be an ${RULE_CONDITIONS[name]}`;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Check whether a line item satisfies every condition of a rule
+ * @param {Object} rule - Rule to check
+ * @param {Object} context - Facts about the line item, see evaluateLineItem
+ * @returns {boolean} True if the rule matches
+ */
+function ruleMatches(rule, context) {
+  const conditions = rule.conditions || {};
+  const product = context.product || {};
+
+  if (conditions.product_types && conditions.product_types.length &&
+      !matchesAny(conditions.product_types, [product.product_type])) return false;
+
+  if (conditions.vendors && conditions.vendors.length &&
+      !matchesAny(conditions.vendors, [context.vendor || product.vendor])) return false;
+
+  if (conditions.tags && conditions.tags.length &&
+      !matchesAny(conditions.tags, [...(context.order_tags || []), ...(product.tags || [])])) return false;
+
+  if (typeof conditions.selling_plan === 'boolean' && conditions.selling_plan !== Boolean(context.selling_plan)) return false;
+
+  if (conditions.collections && conditions.collections.length &&
+      !matchesAny(conditions.collections, (product.collections || []).flatMap(c => [c.id, c.handle, c.title]))) return false;
+
+  if (conditions.financial_statuses && conditions.financial_statuses.length &&
+      !matchesAny(conditions.financial_statuses, [context.financial_status])) return false;
+
+  if (conditions.sales_channels && conditions.sales_channels.length &&
+      !matchesAny(conditions.sales_channels, [context.sales_channel])) return false;
+
+  if (conditions.triggers && conditions.triggers.length &&
+      !matchesAny(conditions.triggers, [context.trigger])) return false;
+
+  return true;
+}
+
+/**
+ * Decide whether a line item should be enrolled
+ * @param {Object} context - Facts about the line item
+ * @param {string} context.financial_status - Order financial status
+ * @param {string} context.sales_channel - Order source name
+ * @param {string[]} context.order_tags - Order tags
+ * @param {string} context.vendor - Line item vendor
+ * @param {boolean} context.selling_plan - Whether the line item has a selling plan
+ * @param {string} context.trigger - Order event the line item's mapping enrolls on, e.g. on_paid
+ * @param {Object} context.product - Optional product details: product_type, vendor, tags, collections
+ * @returns {{enroll: boolean, rule: Object|null, reason: string}} The decision and the rule that produced it
+ */
+function evaluateLineItem(context) {
+  const activeRules = rules
+    .filter(rule => rule.enabled !== false)
+    .sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+
+  for (const rule of activeRules) {
+    if (ruleMatches(rule, context)) {
+      return {
+        enroll: rule.action === 'enroll',
+        rule: { id: rule.id, name: rule.name },
+        reason: `Matched rule "${rule.name}" (${rule.id})`
+      };
+    }
+  }
+
+  return { enroll: false, rule: null, reason: 'No matching rule' };
+}
+
+/**
+ * Check whether any enabled rule needs product details from Shopify
+ * @returns {boolean} True if product details should be fetched before evaluating
+ */
+function rulesRequireProductDetails() {
+  return rules
+    .filter(rule => rule.enabled !== false)
+    .some(rule => PRODUCT_CONDITIONS.some(name => {
+      const value = (rule.conditions || {})[name];
+      return Array.isArray(value) && value.length > 0;
+    }));
+}
+
+/**
+ * Get all rules in priority order
+ * @returns {Object[]} All rules
+ */
+function getAllRules() {
+  return [...rules].sort((a, b) => (a.priority ?? 0) - (b.priority ?? 0));
+}
+
+/**
+ * Get a single rule
+ * @param {string} ruleId - Rule ID
+ * @returns {Object|null} Rule or null if not found
+ */
+function getRule(ruleId) {
+  return rules.find(rule => rule.id === ruleId) || null;
+}
+
+/**
+ * Add or update a rule
+ * @param {Object} rule - Rule to store, a new ID is generated if it has none
+ * @returns {Object} The stored rule
+ */
+function setRule(rule) {
+  const stored = {
+    id: rule.id || crypto.randomUUID(),
+    name: rule.name,
+    priority: Number(rule.priority ?? 100),
+    action: rule.action,
+    enabled: rule.enabled !== false,
+    conditions: rule.conditions || {}
+  };
+
+  rules = rules.filter(existing => existing.id !== stored.id).concat(stored);
+  saveRules();
+  return stored;
+}
+
+/**
+ * Remove a rule
+ * @param {string} ruleId - Rule ID
+ * @returns {boolean} True if a rule was removed
+ */
+function removeRule(ruleId) {
+  const before = rules.length;
+  rules = rules.filter(rule => rule.id !== ruleId);
+  if (rules.length === before) return false;
+  saveRules();
+  return true;
+}
+
+module.exports = {
+  RULE_CONDITIONS,
+  validateRule,
+  evaluateLineItem,
+  rulesRequireProductDetails,
+  getAllRules,
+  getRule,
+  setRule,
+  removeRule
+};
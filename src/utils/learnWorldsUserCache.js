@@ -0,0 +1,89 @@
+/**
+ * Utility for caching which LearnWorlds user an email belongs to
+ * Saves a paginated user search for every enrollment of a returning customer.
+ * Entries expire after a TTL and are dropped as soon as they are known to be stale.
+ */
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+
+const CACHE_FILE_PATH = getDataFilePath('learnworlds_user_cache.json');
+
+// Initialize the cache, keyed by normalized email
+let userCache = loadJsonFile(CACHE_FILE_PATH, {}, 'LearnWorlds user cache');
+
+function saveCache() {
+  saveJsonFile(CACHE_FILE_PATH, userCache, 'LearnWorlds user cache');
+}
+
+/**
+ * Get the cached LearnWorlds user ID for an email
+ * @param {string} email - Email address
+ * @returns {string|null} User ID, or null if not cached or expired
+ */
+function getCachedUserId(email) {
+  const key = normalizeEmail(email);
+  const entry = userCache[key];
+  if (!entry) return null;
+
+  if (new Date(entry.expires_at) <= new Date()) {
+    delete userCache[key];
+    saveCache();
+    return null;
+  }
+
+  return entry.user_id;
+}
+
+/**
+ * Cache the LearnWorlds user ID an email belongs to
+ * @param {string} email - Email address
+ * @param {string|number} userId - LearnWorlds user ID
+ * @param {number} ttlMs - How long the entry stays valid
+ */
+function cacheUserId(email, userId, ttlMs) {
+  const key = normalizeEmail(email);
+  if (!key || !userId || ttlMs <= 0) return;
+
+  const now = new Date();
+  userCache[key] = {
+    user_id: String(userId),
+    cached_at: now.toISOString(),
+    expires_at: new Date(now.getTime() + ttlMs).toISOString()
+  };
+  saveCache();
+}
+
+/**
+ * Drop cached entries by email, LearnWorlds user ID, or both
+ * @param {Object} target - What to invalidate
+ * @param {string} target.email - Email address
+ * @param {string|number} target.userId - LearnWorlds user ID
+ * @returns {number} Number of entries removed
+ */
+function invalidateCachedUser({ email, userId } = {}) {
+  const key = normalizeEmail(email);
+  const keys = Object.keys(userCache).filter(cacheKey =>
+    (key && cacheKey === key) || (userId && userCache[cacheKey].user_id === String(userId)));
+
+  keys.forEach(cacheKey => delete userCache[cacheKey]);
+  if (keys.length) saveCache();
+  return keys.length;
+}
+
+/**
+ * Drop every cached entry
+ * @returns {number} Number of entries removed
+ */
+function clearUserCache() {
+  const count = Object.keys(userCache).length;
+  userCache = {};
+  if (count) saveCache();
+  return count;
+}
+
+module.exports = {
+  getCachedUserId,
+  cacheUserId,
+  invalidateCachedUser,
+  clearUserCache
+};
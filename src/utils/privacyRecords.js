@@ -0,0 +1,149 @@
+/**
+ * Utility for GDPR data exports and the redaction audit log
+ * Exports hold the customer data we gathered for a customers/data_request so the
+ * merchant can pass it on. The redaction log proves what was erased and when,
+ * without keeping the personal data itself.
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+
+const EXPORTS_FILE_PATH = getDataFilePath('data_exports.json');
+const REDACTION_LOG_FILE_PATH = getDataFilePath('redaction_log.json');
+
+// Initialize the exports, keyed by export ID
+let dataExports = loadJsonFile(EXPORTS_FILE_PATH, {}, 'data exports');
+
+// Initialize the redaction log, keyed by entry ID
+let redactionLog = loadJsonFile(REDACTION_LOG_FILE_PATH, {}, 'redaction log');
+
+function saveExports() {
+  saveJsonFile(EXPORTS_FILE_PATH, dataExports, 'data exports');
+}
+
+function saveRedactionLog() {
+  saveJsonFile(REDACTION_LOG_FILE_PATH, redactionLog, 'redaction log');
+}
+
+// Hash an email so redaction entries can be matched to a request without storing the address
+function hashEmail(email) {
+  if (!email) return null;
+  return crypto.createHash('sha256').update(normalizeEmail(email)).digest('hex');
+}
+
+/**
+ * Store a customer data export
+ * @param {Object} dataExport - Export details
+ * @param {string} dataExport.shop - Shop domain
+ * @param {string|number} dataExport.customerId - Shopify customer ID
+ * @param {string} dataExport.email - Customer email
+ * @param {string|number} dataExport.dataRequestId - Shopify data request ID
+ * @param {Array<string|number>} dataExport.ordersRequested - Order IDs Shopify asked about
+ * @param {Object} dataExport.data - Exported records, grouped by store
+ * @returns {Object} The stored export
+ */
+function saveDataExport({ shop, customerId, email, dataRequestId, ordersRequested, data }) {
+  const id = crypto.randomUUID();
+  dataExports[id] = {
+    id,
+    shop,
+    customer_id: customerId ? String(customerId) : null,
+    email: email || null,
+    data_request_id: dataRequestId ? String(dataRequestId) : null,
+    orders_requested: (ordersRequested || []).map(String),
+    data,
+    created_at: new Date().toISOString()
+  };
+  saveExports();
+  return dataExports[id];
+}
+
+/**
+ * Get a stored data export
+ * @param {string} exportId - Export ID
+ * @returns {Object|null} Export or null if not found
+ */
+function getDataExport(exportId) {
+  return dataExports[exportId] || null;
+}
+
+/**
+ * List stored data exports without their data, optionally for a single shop
+ * @param {string} shop - Optional shop domain
+ * @returns {Object[]} Export summaries, newest first
+ */
+function getDataExports(shop) {
+  return Object.values(dataExports)
+    .filter(dataExport => !shop || dataExport.shop === shop)
+    .map(({ data, ...summary }) => summary)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Delete the data exports of a customer, or of a whole shop when no customer is given
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Optional customer with customerId and email
+ * @returns {number} Number of exports deleted
+ */
+function deleteDataExports(shop, customer) {
+  const normalizedEmail = normalizeEmail(customer && customer.email);
+  const ids = Object.keys(dataExports).filter(id => {
+    const dataExport = dataExports[id];
+    if (dataExport.shop !== shop) return false;
+    if (!customer) return true;
+    return (customer.customerId && dataExport.customer_id === String(customer.customerId)) ||
+      (normalizedEmail && normalizeEmail(dataExport.email) === normalizedEmail);
+  });
+  ids.forEach(id => delete dataExports[id]);
+  if (ids.length) saveExports();
+  return ids.length;
+}
+
+/**
+ * Record a redaction in the audit log
+ * @param {Object} entry - Redaction details
+ * @param {string} entry.shop - Shop domain
+ * @param {string} entry.topic - Webhook topic that requested the redaction
+ * @param {string} entry.scope - customer or shop
+ * @param {string|number} entry.customerId - Shopify customer ID, for customer redactions
+ * @param {string} entry.email - Customer email, stored only as a hash
+ * @param {Array<string|number>} entry.orderIds - Orders Shopify asked us to redact
+ * @param {Object} entry.counts - Number of records affected per store
+ * @returns {Object} The stored log entry
+ */
+function recordRedaction({ shop, topic, scope, customerId, email, orderIds, counts }) {
+  const id = crypto.randomUUID();
+  redactionLog[id] = {
+    id,
+    shop,
+    topic,
+    scope,
+    customer_id: customerId ? String(customerId) : null,
+    email_sha256: hashEmail(email),
+    order_ids: (orderIds || []).map(String),
+    counts,
+    redacted_at: new Date().toISOString()
+  };
+  saveRedactionLog();
+  return redactionLog[id];
+}
+
+/**
+ * Get the redaction audit log, optionally for a single shop
+ * @param {string} shop - Optional shop domain
+ * @returns {Object[]} Log entries, newest first
+ */
+function getRedactions(shop) {
+  return Object.values(redactionLog)
+    .filter(entry => !shop || entry.shop === shop)
+    .sort((a, b) => new Date(b.redacted_at) - new Date(a.redacted_at));
+}
+
+module.exports = {
+  saveDataExport,
+  getDataExport,
+  getDataExports,
+  deleteDataExports,
+  recordRedaction,
+  getRedactions
+};
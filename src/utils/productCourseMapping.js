@@ -1,27 +1,29 @@
 /**
  * Utility for mapping Shopify products to LearnWorlds courses
  * Supports direct mapping of all product types including bundle products
+ * A mapping is either a course ID or { courseId, trigger, accessDays }, where the trigger
+ * says which order event grants access and accessDays how long the access lasts;
+ * plain course IDs use the default trigger and never expire.
  */
 const fs = require('fs');
 const path = require('path');
+const { getDataFilePath } = require('./dataStore');
+
+// Order events that can grant access to a mapped course
+const ENROLLMENT_TRIGGERS = ['on_create', 'on_paid', 'on_fulfilled'];
+const DEFAULT_ENROLLMENT_TRIGGER = 'on_paid';
 
 // Define the path to the mapping file
-const MAPPING_FILE_PATH = process.env.NODE_ENV === 'production'
-  ? '/tmp/product_course_mapping.json'  // Use /tmp in production (Vercel)
-  : path.join(__dirname, '../../data/product_course_mapping.json');
+const MAPPING_FILE_PATH = getDataFilePath('product_course_mapping.json');
 
 // Define the path to the bundle mapping file
-const BUNDLE_MAPPING_FILE_PATH = process.env.NODE_ENV === 'production'
-  ? '/tmp/bundle_product_mapping.json'  // Use /tmp in production (Vercel)
-  : path.join(__dirname, '../../data/bundle_product_mapping.json');
+const BUNDLE_MAPPING_FILE_PATH = getDataFilePath('bundle_product_mapping.json');
 
 // Ensure the directory exists
 function ensureDirectoryExists() {
-  if (process.env.NODE_ENV !== 'production') {
-    const dir = path.dirname(MAPPING_FILE_PATH);
-    if (!fs.existsSync(dir)) {
-      fs.mkdirSync(dir, { recursive: true });
-    }
+  const dir = path.dirname(MAPPING_FILE_PATH);
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true });
   }
 }
 
@@ -77,6 +79,22 @@ function saveBundleMapping(mapping) {
 let productToCourseMap = loadMapping();
 let bundleToComponentsMap = loadBundleMapping();
 
+// Course ID of a stored mapping, which is either a course ID or { courseId, trigger, accessDays }
+function getMappedCourseId(mapping) {
+  if (!mapping) return null;
+  return typeof mapping === 'object' ? mapping.courseId || null : mapping;
+}
+
+// Trigger of a stored mapping, or null if it uses the default
+function getMappedTrigger(mapping) {
+  return mapping && typeof mapping === 'object' ? mapping.trigger || null : null;
+}
+
+// Access duration of a stored mapping in days, or null if access doesn't expire
+function getMappedAccessDays(mapping) {
+  return mapping && typeof mapping === 'object' ? mapping.accessDays || null : null;
+}
+
 /**
  * Get the LearnWorlds course ID for a given Shopify product ID
  * Works for all product types including bundle products
@@ -86,7 +104,7 @@ let bundleToComponentsMap = loadBundleMapping();
  */
 function getCourseIdForProduct(productId, productName = '') {
   // First try direct mapping
-  const directCourseId = productToCourseMap[productId];
+  const directCourseId = getMappedCourseId(productToCourseMap[productId]);
   if (directCourseId) return directCourseId;
   
   // If product name is provided and contains 'bundle', try to find a matching LearnWorlds course
@@ -104,10 +122,96 @@ function getCourseIdForProduct(productId, productName = '') {
   return null;
 }
 
+/**
+ * Resolve every LearnWorlds course ID a product grants access to
+ * Bundle products are expanded recursively through their component product IDs.
+ * A bundle that also has its own direct mapping grants that course as well.
+ * @param {string} productId - Shopify product ID (can be a regular product or bundle product)
+ * @param {string} productName - Optional Shopify product name to help identify bundle products
+ * @param {Set<string>} ancestors - Bundle product IDs on the current path, used for cycle detection
+ * @returns {string[]} De-duplicated LearnWorlds course IDs, empty if nothing is mapped
+ */
+function resolveCourseIdsForProduct(productId, productName = '', ancestors = new Set()) {
+  const key = String(productId);
+  
+  if (ancestors.has(key)) {
+    console.warn(`Bundle cycle detected: ${[...ancestors, key].join(' -> ')}, skipping ${key}`);
+    return [];
+  }
+  
+  const components = bundleToComponentsMap[key] || [];
+  if (!components.length) {
+    const courseId = getCourseIdForProduct(key, productName);
+    return courseId ? [courseId] : [];
+  }
+  
+  const courseIds = new Set();
+  
+  const directCourseId = getMappedCourseId(productToCourseMap[key]);
+  if (directCourseId) courseIds.add(directCourseId);
+  
+  ancestors.add(key);
+  for (const componentId of components) {
+    for (const courseId of resolveCourseIdsForProduct(componentId, '', ancestors)) {
+      courseIds.add(courseId);
+    }
+  }
+  ancestors.delete(key);
+  
+  return [...courseIds];
+}
+
+/**
+ * Get the order event that grants access to a product's courses
+ * A bundle without a trigger of its own waits for the latest trigger of its components,
+ * so a kit with one course that needs fulfillment is enrolled once it ships.
+ * @param {string} productId - Shopify product ID (can be a regular product or bundle product)
+ * @param {Set<string>} ancestors - Bundle product IDs on the current path, used for cycle detection
+ * @returns {string} One of ENROLLMENT_TRIGGERS
+ */
+function getEnrollmentTriggerForProduct(productId, ancestors = new Set()) {
+  const key = String(productId);
+  const trigger = getMappedTrigger(productToCourseMap[key]);
+  if (trigger) return trigger;
+  
+  const components = bundleToComponentsMap[key] || [];
+  if (!components.length || ancestors.has(key)) return DEFAULT_ENROLLMENT_TRIGGER;
+  
+  ancestors.add(key);
+  const componentTriggers = components.map(componentId => getEnrollmentTriggerForProduct(componentId, ancestors));
+  ancestors.delete(key);
+  
+  // Start from the first component, so a bundle whose components all enroll on_create does too
+  return componentTriggers.reduce((latest, componentTrigger) =>
+    ENROLLMENT_TRIGGERS.indexOf(componentTrigger) > ENROLLMENT_TRIGGERS.indexOf(latest) ? componentTrigger : latest
+  );
+}
+
+/**
+ * Get how many days access granted through a product lasts
+ * A bundle without a duration of its own lasts as long as its longest-lasting component,
+ * and doesn't expire if any of its components doesn't.
+ * @param {string} productId - Shopify product ID (can be a regular product or bundle product)
+ * @param {Set<string>} ancestors - Bundle product IDs on the current path, used for cycle detection
+ * @returns {number|null} Access duration in days, null if access doesn't expire
+ */
+function getAccessDaysForProduct(productId, ancestors = new Set()) {
+  const key = String(productId);
+  const accessDays = getMappedAccessDays(productToCourseMap[key]);
+  if (accessDays) return accessDays;
+  
+  const components = bundleToComponentsMap[key] || [];
+  if (!components.length || ancestors.has(key)) return null;
+  
+  ancestors.add(key);
+  const componentDays = components.map(componentId => getAccessDaysForProduct(componentId, ancestors));
+  ancestors.delete(key);
+  
+  return componentDays.includes(null) ? null : Math.max(...componentDays);
+}
+
 // Define the path to the bundle name mapping file
-const BUNDLE_NAME_MAPPING_FILE_PATH = process.env.NODE_ENV === 'production'
-  ? '/tmp/bundle_name_mapping.json'  // Use /tmp in production (Vercel)
-  : path.join(__dirname, '../../data/bundle_name_mapping.json');
+const BUNDLE_NAME_MAPPING_FILE_PATH = getDataFilePath('bundle_name_mapping.json');
 
 // Load the bundle name mapping from file or initialize if it doesn't exist
 function loadBundleNameMapping() {
@@ -201,9 +305,16 @@ function getAllBundleNameMappings() {
  * Works for all product types including bundle products
  * @param {string} productId - Shopify product ID (can be a regular product or bundle product)
  * @param {string} courseId - LearnWorlds course ID
+ * @param {Object} options - Optional settings
+ * @param {string} options.trigger - Order event that grants access, one of ENROLLMENT_TRIGGERS
+ * @param {number} options.accessDays - Days the access lasts, unlimited if not set
  */
-function setProductCourseMapping(productId, courseId) {
-  productToCourseMap[productId] = courseId;
+function setProductCourseMapping(productId, courseId, { trigger = null, accessDays = null } = {}) {
+  const mapping = { courseId };
+  if (trigger) mapping.trigger = trigger;
+  if (accessDays) mapping.accessDays = accessDays;
+  
+  productToCourseMap[productId] = Object.keys(mapping).length > 1 ? mapping : courseId;
   saveMapping(productToCourseMap);
 }
 
@@ -226,6 +337,17 @@ function getAllMappings() {
   return { ...productToCourseMap };
 }
 
+/**
+ * Get every LearnWorlds course ID that some product or bundle name mapping grants
+ * @returns {Set<string>} Course IDs managed through the mappings
+ */
+function getMappedCourseIds() {
+  const courseIds = new Set();
+  Object.values(productToCourseMap).map(getMappedCourseId).filter(Boolean).forEach(courseId => courseIds.add(courseId));
+  Object.values(bundleNameToIdMap).forEach(courseId => courseIds.add(courseId));
+  return courseIds;
+}
+
 /**
  * Get the component product IDs for a bundle product
  * @param {string} bundleProductId - Shopify bundle product ID
@@ -265,10 +387,16 @@ function getAllBundleMappings() {
 }
 
 module.exports = {
+  ENROLLMENT_TRIGGERS,
+  DEFAULT_ENROLLMENT_TRIGGER,
   getCourseIdForProduct,
+  resolveCourseIdsForProduct,
+  getEnrollmentTriggerForProduct,
+  getAccessDaysForProduct,
   setProductCourseMapping,
   removeProductCourseMapping,
   getAllMappings,
+  getMappedCourseIds,
   getBundleComponents,
   setBundleComponents,
   removeBundleComponents,
@@ -0,0 +1,161 @@
+/**
+ * Utility for storing enrollment reconciliation reports
+ * Each report lists the drift found between Shopify orders and LearnWorlds enrollments
+ * for a shop and date range, and the fixes made when it ran in apply mode
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+
+const REPORTS_FILE_PATH = getDataFilePath('reconciliation_reports.json');
+
+// Drift and fix lists that hold one entry per customer
+const CUSTOMER_LISTS = ['missing_access', 'unexpected_access', 'applied', 'errors'];
+
+// Initialize the reports, keyed by report ID
+let reconciliationReports = loadJsonFile(REPORTS_FILE_PATH, {}, 'reconciliation reports');
+
+function saveReports() {
+  saveJsonFile(REPORTS_FILE_PATH, reconciliationReports, 'reconciliation reports');
+}
+
+/**
+ * Create a reconciliation report in the queued state
+ * @param {Object} request - Reconciliation request
+ * @param {string} request.shop - Shop domain
+ * @param {string} request.createdAtMin - Earliest order creation date, ISO 8601
+ * @param {string} request.createdAtMax - Latest order creation date, ISO 8601
+ * @param {boolean} request.apply - Whether the drift should be fixed
+ * @returns {Object} The stored report
+ */
+function createReconciliationReport({ shop, createdAtMin, createdAtMax, apply }) {
+  const id = crypto.randomUUID();
+  const now = new Date().toISOString();
+
+  reconciliationReports[id] = {
+    id,
+    shop,
+    created_at_min: createdAtMin,
+    created_at_max: createdAtMax,
+    apply: Boolean(apply),
+    status: 'queued',
+    job_id: null,
+    orders_scanned: 0,
+    customers_checked: 0,
+    missing_access: [],
+    unexpected_access: [],
+    unmapped_products: [],
+    applied: [],
+    errors: [],
+    error: null,
+    created_at: now,
+    updated_at: now
+  };
+  saveReports();
+  return reconciliationReports[id];
+}
+
+/**
+ * Update fields of a reconciliation report
+ * @param {string} reportId - Report ID
+ * @param {Object} updates - Fields to store
+ * @returns {Object|null} Updated report or null if not found
+ */
+function updateReconciliationReport(reportId, updates) {
+  const report = reconciliationReports[reportId];
+  if (!report) return null;
+
+  Object.assign(report, updates, { updated_at: new Date().toISOString() });
+  saveReports();
+  return report;
+}
+
+/**
+ * Get a stored reconciliation report
+ * @param {string} reportId - Report ID
+ * @returns {Object|null} Report or null if not found
+ */
+function getReconciliationReport(reportId) {
+  return reconciliationReports[reportId] || null;
+}
+
+/**
+ * Get stored reconciliation reports, optionally filtered
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @param {string} filters.status - Report status: queued, running, completed or failed
+ * @returns {Object[]} Matching reports, newest first
+ */
+function getReconciliationReports({ shop, status } = {}) {
+  return Object.values(reconciliationReports)
+    .filter(report => !shop || report.shop === shop)
+    .filter(report => !status || report.status === status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+// Check whether a per-customer report entry belongs to a customer
+function entryMatchesCustomer(entry, { customerId, email }) {
+  const normalizedEmail = normalizeEmail(email);
+  return (customerId && entry.customer_id === String(customerId)) ||
+    (normalizedEmail && normalizeEmail(entry.email) === normalizedEmail);
+}
+
+/**
+ * Get the report entries about a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup with customerId and email
+ * @returns {Object[]} Matching entries with the ID of the report they are in
+ */
+function getReconciliationEntriesForCustomer(shop, customer) {
+  return getReconciliationReports({ shop }).flatMap(report =>
+    CUSTOMER_LISTS.flatMap(list => report[list]
+      .filter(entry => entryMatchesCustomer(entry, customer))
+      .map(entry => ({ report_id: report.id, list, ...entry })))
+  );
+}
+
+/**
+ * Remove a customer's email and customer ID from every reconciliation report of a shop
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup with customerId and email
+ * @returns {number} Number of entries redacted
+ */
+function redactCustomerReconciliationEntries(shop, customer) {
+  let redacted = 0;
+
+  for (const report of getReconciliationReports({ shop })) {
+    for (const list of CUSTOMER_LISTS) {
+      for (const entry of report[list].filter(item => entryMatchesCustomer(item, customer))) {
+        entry.email = null;
+        entry.customer_id = null;
+        entry.redacted = true;
+        redacted++;
+      }
+    }
+  }
+
+  if (redacted) saveReports();
+  return redacted;
+}
+
+/**
+ * Delete every reconciliation report of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of reports deleted
+ */
+function purgeShopReconciliationReports(shop) {
+  const ids = Object.keys(reconciliationReports).filter(id => reconciliationReports[id].shop === shop);
+  ids.forEach(id => delete reconciliationReports[id]);
+  if (ids.length) saveReports();
+  return ids.length;
+}
+
+module.exports = {
+  createReconciliationReport,
+  updateReconciliationReport,
+  getReconciliationReport,
+  getReconciliationReports,
+  getReconciliationEntriesForCustomer,
+  redactCustomerReconciliationEntries,
+  purgeShopReconciliationReports
+};
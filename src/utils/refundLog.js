@@ -0,0 +1,139 @@
+/**
+ * Utility for recording which courses were removed because of a refund
+ * Gives support a trail of why a customer lost access
+ */
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+
+const REFUND_LOG_FILE_PATH = getDataFilePath('refund_log.json');
+
+// Initialize the refund log, keyed by shop and refund ID
+let refundLog = loadJsonFile(REFUND_LOG_FILE_PATH, {}, 'refund log');
+
+function saveRefundLog() {
+  saveJsonFile(REFUND_LOG_FILE_PATH, refundLog, 'refund log');
+}
+
+function getRefundKey(shop, refundId) {
+  return `${shop}:${refundId}`;
+}
+
+/**
+ * Get a recorded refund
+ * @param {string} shop - Shop domain
+ * @param {string|number} refundId - Shopify refund ID
+ * @returns {Object|null} Refund record or null if not found
+ */
+function getRefund(shop, refundId) {
+  return refundLog[getRefundKey(shop, refundId)] || null;
+}
+
+/**
+ * Get the total quantity of a line item refunded by earlier refunds
+ * @param {string} shop - Shop domain
+ * @param {string|number} orderId - Shopify order ID
+ * @param {string|number} lineItemId - Shopify line item ID
+ * @returns {number} Quantity refunded so far
+ */
+function getRefundedQuantity(shop, orderId, lineItemId) {
+  return Object.values(refundLog)
+    .filter(refund => refund.shop === shop && refund.order_id === String(orderId))
+    .flatMap(refund => refund.line_items)
+    .filter(item => item.line_item_id === String(lineItemId))
+    .reduce((total, item) => total + item.refunded_quantity, 0);
+}
+
+/**
+ * Record a refund and the course changes it caused
+ * @param {Object} refund - Refund details
+ * @param {string} refund.shop - Shop domain
+ * @param {string|number} refund.refundId - Shopify refund ID
+ * @param {string|number} refund.orderId - Shopify order ID
+ * @param {string|number} refund.customerId - Shopify customer ID
+ * @param {string} refund.email - Customer email
+ * @param {Object[]} refund.lineItems - Refunded line items with the action taken for each
+ */
+function recordRefund({ shop, refundId, orderId, customerId, email, lineItems }) {
+  refundLog[getRefundKey(shop, refundId)] = {
+    shop,
+    refund_id: String(refundId),
+    order_id: String(orderId),
+    customer_id: customerId ? String(customerId) : null,
+    email,
+    line_items: lineItems,
+    recorded_at: new Date().toISOString()
+  };
+  saveRefundLog();
+}
+
+/**
+ * Get recorded refunds, optionally filtered by shop and order
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @param {string|number} filters.orderId - Shopify order ID
+ * @returns {Object[]} Matching refund records, newest first
+ */
+function getRefunds({ shop, orderId } = {}) {
+  return Object.values(refundLog)
+    .filter(refund => !shop || refund.shop === shop)
+    .filter(refund => !orderId || refund.order_id === String(orderId))
+    .sort((a, b) => new Date(b.recorded_at) - new Date(a.recorded_at));
+}
+
+// Check whether a refund belongs to a customer
+function refundMatchesCustomer(refund, { customerId, email, orderIds = [] }) {
+  const normalizedEmail = normalizeEmail(email);
+  return (customerId && refund.customer_id === String(customerId)) ||
+    (normalizedEmail && normalizeEmail(refund.email) === normalizedEmail) ||
+    orderIds.map(String).includes(refund.order_id);
+}
+
+/**
+ * Get recorded refunds of a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer with customerId, email and optional orderIds
+ * @returns {Object[]} Matching refund records
+ */
+function getRefundsForCustomer(shop, customer) {
+  return Object.values(refundLog)
+    .filter(refund => refund.shop === shop && refundMatchesCustomer(refund, customer));
+}
+
+/**
+ * Remove personal data from a customer's refund records
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer with customerId, email and optional orderIds
+ * @returns {number} Number of records redacted
+ */
+function redactCustomerRefunds(shop, customer) {
+  const refunds = getRefundsForCustomer(shop, customer);
+  for (const refund of refunds) {
+    refund.email = null;
+    refund.customer_id = null;
+    refund.redacted_at = new Date().toISOString();
+  }
+  if (refunds.length) saveRefundLog();
+  return refunds.length;
+}
+
+/**
+ * Delete every refund record of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of records deleted
+ */
+function purgeShopRefunds(shop) {
+  const keys = Object.keys(refundLog).filter(key => refundLog[key].shop === shop);
+  keys.forEach(key => delete refundLog[key]);
+  if (keys.length) saveRefundLog();
+  return keys.length;
+}
+
+module.exports = {
+  getRefund,
+  getRefundedQuantity,
+  recordRefund,
+  getRefunds,
+  getRefundsForCustomer,
+  redactCustomerRefunds,
+  purgeShopRefunds
+};
@@ -0,0 +1,77 @@
+/**
+ * Utility for storing Shopify sessions in a local JSON file
+ * Mirrors the storeSession/loadSession/deleteSession interface of Shopify's session storage adapters
+ */
+const { Session } = require('@shopify/shopify-api');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+
+const SESSIONS_FILE_PATH = getDataFilePath('shopify_sessions.json');
+
+// Initialize the sessions, keyed by session ID
+let sessions = loadJsonFile(SESSIONS_FILE_PATH, {}, 'Shopify sessions');
+
+function saveSessions() {
+  saveJsonFile(SESSIONS_FILE_PATH, sessions, 'Shopify sessions');
+}
+
+/**
+ * Store or replace a session
+ * @param {Session} session - Shopify session
+ * @returns {boolean} True once the session is stored
+ */
+function storeSession(session) {
+  sessions[session.id] = session.toObject();
+  saveSessions();
+  return true;
+}
+
+/**
+ * Load a session by ID
+ * @param {string} id - Session ID
+ * @returns {Session|undefined} The session or undefined if not found
+ */
+function loadSession(id) {
+  return sessions[id] ? new Session(sessions[id]) : undefined;
+}
+
+/**
+ * Delete a session by ID
+ * @param {string} id - Session ID
+ * @returns {boolean} True once the session is gone
+ */
+function deleteSession(id) {
+  delete sessions[id];
+  saveSessions();
+  return true;
+}
+
+/**
+ * Find every stored session of a shop
+ * @param {string} shop - Shop domain
+ * @returns {Session[]} Sessions of the shop
+ */
+function findSessionsByShop(shop) {
+  return Object.values(sessions)
+    .filter(session => session.shop === shop)
+    .map(session => new Session(session));
+}
+
+/**
+ * Delete every stored session of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of sessions deleted
+ */
+function deleteSessionsForShop(shop) {
+  const ids = Object.keys(sessions).filter(id => sessions[id].shop === shop);
+  ids.forEach(id => delete sessions[id]);
+  if (ids.length) saveSessions();
+  return ids.length;
+}
+
+module.exports = {
+  storeSession,
+  loadSession,
+  deleteSession,
+  findSessionsByShop,
+  deleteSessionsForShop
+};
@@ -0,0 +1,107 @@
+/**
+ * Utility for tracking which shops have the app installed
+ * Uninstalled shops are kept as inactive until their data is deleted
+ */
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+
+const SHOPS_FILE_PATH = getDataFilePath('shops.json');
+
+// Initialize the registry, keyed by shop domain
+let shops = loadJsonFile(SHOPS_FILE_PATH, {}, 'shop registry');
+
+function saveShops() {
+  saveJsonFile(SHOPS_FILE_PATH, shops, 'shop registry');
+}
+
+/**
+ * Get a shop's registry record
+ * @param {string} shop - Shop domain
+ * @returns {Object|null} Shop record or null if the shop is unknown
+ */
+function getShop(shop) {
+  return shops[shop] || null;
+}
+
+/**
+ * Check whether a shop has uninstalled the app
+ * Shops we have no record of are treated as active
+ * @param {string} shop - Shop domain
+ * @returns {boolean} True if the shop is inactive
+ */
+function isShopInactive(shop) {
+  return Boolean(shops[shop] && shops[shop].status === 'inactive');
+}
+
+/**
+ * Mark a shop as active, e.g. after it (re)installs the app
+ * @param {string} shop - Shop domain
+ * @returns {Object} Updated shop record
+ */
+function markShopActive(shop) {
+  const now = new Date().toISOString();
+  const record = shops[shop] || { shop, installed_at: now };
+
+  if (record.uninstalled_at) record.reinstalled_at = now;
+  record.status = 'active';
+  record.uninstalled_at = null;
+  record.data_deletion_at = null;
+  record.updated_at = now;
+
+  shops[shop] = record;
+  saveShops();
+  return record;
+}
+
+/**
+ * Mark a shop as inactive after it uninstalled the app
+ * @param {string} shop - Shop domain
+ * @param {Date} dataDeletionAt - When the shop's data is scheduled for deletion
+ * @returns {Object} Updated shop record
+ */
+function markShopInactive(shop, dataDeletionAt) {
+  const now = new Date().toISOString();
+  const record = shops[shop] || { shop, installed_at: null };
+
+  record.status = 'inactive';
+  record.uninstalled_at = now;
+  record.data_deletion_at = dataDeletionAt.toISOString();
+  record.data_deleted_at = null;
+  record.updated_at = now;
+
+  shops[shop] = record;
+  saveShops();
+  return record;
+}
+
+/**
+ * Record that an inactive shop's data has been deleted
+ * @param {string} shop - Shop domain
+ * @returns {Object|null} Updated shop record or null if the shop is unknown
+ */
+function markShopDataDeleted(shop) {
+  const record = shops[shop];
+  if (!record) return null;
+
+  record.data_deleted_at = new Date().toISOString();
+  record.updated_at = record.data_deleted_at;
+  saveShops();
+  return record;
+}
+
+/**
+ * Get shops, optionally filtered by status
+ * @param {string} status - Optional status filter: active or inactive
+ * @returns {Object[]} Shop records
+ */
+function getShops(status) {
+  return Object.values(shops).filter(record => !status || record.status === status);
+}
+
+module.exports = {
+  getShop,
+  isShopInactive,
+  markShopActive,
+  markShopInactive,
+  markShopDataDeleted,
+  getShops
+};
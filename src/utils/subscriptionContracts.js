@@ -0,0 +1,159 @@
+/**
+ * Utility for tracking Shopify subscription contracts
+ * Remembers which orders belong to each contract so access can follow the contract status
+ */
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+
+const CONTRACTS_FILE_PATH = getDataFilePath('subscription_contracts.json');
+
+// Initialize the contracts, keyed by shop and contract ID
+let contracts = loadJsonFile(CONTRACTS_FILE_PATH, {}, 'subscription contracts');
+
+function saveContracts() {
+  saveJsonFile(CONTRACTS_FILE_PATH, contracts, 'subscription contracts');
+}
+
+function getContractKey(shop, contractId) {
+  return `${shop}:${contractId}`;
+}
+
+// Create an empty contract record
+function createContract(shop, contractId) {
+  return {
+    shop,
+    contract_id: String(contractId),
+    customer_id: null,
+    origin_order_id: null,
+    order_ids: [],
+    status: null,
+    billing_failures: 0,
+    last_billing_error: null,
+    history: []
+  };
+}
+
+/**
+ * Get a stored subscription contract
+ * @param {string} shop - Shop domain
+ * @param {string|number} contractId - Shopify subscription contract ID
+ * @returns {Object|null} Contract record or null if not found
+ */
+function getContract(shop, contractId) {
+  return contracts[getContractKey(shop, contractId)] || null;
+}
+
+/**
+ * Create or update a contract from a subscription_contracts/* webhook
+ * @param {Object} update - Contract details
+ * @param {string} update.shop - Shop domain
+ * @param {string|number} update.contractId - Shopify subscription contract ID
+ * @param {string|number} update.customerId - Shopify customer ID
+ * @param {string|number} update.originOrderId - ID of the order that created the contract
+ * @param {string} update.status - Contract status: active, paused, cancelled, expired or failed
+ * @param {string} update.topic - Webhook topic that reported the status
+ * @returns {{contract: Object, previousStatus: string|null}} Updated contract and its previous status
+ */
+function updateContractStatus({ shop, contractId, customerId, originOrderId, status, topic }) {
+  const key = getContractKey(shop, contractId);
+  const contract = contracts[key] || createContract(shop, contractId);
+  const previousStatus = contract.status;
+
+  if (customerId) contract.customer_id = String(customerId);
+  if (originOrderId) {
+    contract.origin_order_id = String(originOrderId);
+    if (!contract.order_ids.includes(contract.origin_order_id)) {
+      contract.order_ids.push(contract.origin_order_id);
+    }
+  }
+
+  contract.status = status;
+  contract.updated_at = new Date().toISOString();
+  contract.history.push({ status, topic, at: contract.updated_at });
+
+  contracts[key] = contract;
+  saveContracts();
+  return { contract, previousStatus };
+}
+
+/**
+ * Record the outcome of a subscription billing attempt
+ * @param {Object} attempt - Billing attempt details
+ * @param {string} attempt.shop - Shop domain
+ * @param {string|number} attempt.contractId - Shopify subscription contract ID
+ * @param {string|number} attempt.orderId - Renewal order ID, present on success
+ * @param {boolean} attempt.success - Whether the billing attempt succeeded
+ * @param {string} attempt.errorMessage - Error reported for a failed attempt
+ * @param {string} attempt.topic - Webhook topic that reported the attempt
+ * @returns {Object} Updated contract
+ */
+function recordBillingAttempt({ shop, contractId, orderId, success, errorMessage, topic }) {
+  const key = getContractKey(shop, contractId);
+  const contract = contracts[key] || createContract(shop, contractId);
+
+  if (success) {
+    contract.billing_failures = 0;
+    contract.last_billing_error = null;
+    if (orderId && !contract.order_ids.includes(String(orderId))) {
+      contract.order_ids.push(String(orderId));
+    }
+  } else {
+    contract.billing_failures += 1;
+    contract.last_billing_error = errorMessage || 'Unknown billing error';
+  }
+
+  contract.updated_at = new Date().toISOString();
+  contract.history.push({ billing: success ? 'success' : 'failure', topic, at: contract.updated_at });
+
+  contracts[key] = contract;
+  saveContracts();
+  return contract;
+}
+
+/**
+ * Get the subscription contracts of a customer
+ * @param {string} shop - Shop domain
+ * @param {string|number} customerId - Shopify customer ID
+ * @returns {Object[]} Matching contracts
+ */
+function getContractsForCustomer(shop, customerId) {
+  if (!customerId) return [];
+  return Object.values(contracts)
+    .filter(contract => contract.shop === shop && contract.customer_id === String(customerId));
+}
+
+/**
+ * Remove the customer ID from a customer's subscription contracts
+ * @param {string} shop - Shop domain
+ * @param {string|number} customerId - Shopify customer ID
+ * @returns {number} Number of contracts redacted
+ */
+function redactCustomerContracts(shop, customerId) {
+  const customerContracts = getContractsForCustomer(shop, customerId);
+  for (const contract of customerContracts) {
+    contract.customer_id = null;
+    contract.redacted_at = new Date().toISOString();
+  }
+  if (customerContracts.length) saveContracts();
+  return customerContracts.length;
+}
+
+/**
+ * Delete every subscription contract of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of contracts deleted
+ */
+function purgeShopContracts(shop) {
+  const keys = Object.keys(contracts).filter(key => contracts[key].shop === shop);
+  keys.forEach(key => delete contracts[key]);
+  if (keys.length) saveContracts();
+  return keys.length;
+}
+
+module.exports = {
+  getContract,
+  updateContractStatus,
+  recordBillingAttempt,
+  getContractsForCustomer,
+  redactCustomerContracts,
+  purgeShopContracts
+};
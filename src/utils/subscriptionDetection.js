@@ -0,0 +1,72 @@
+/**
+ * Utility for deciding whether an order or line item is part of a subscription
+ * A line item's selling plan allocation is the primary signal. Order tags are
+ * only used as a fallback for subscription apps that don't use selling plans.
+ */
+
+// Tags written by common subscription apps, compared case-insensitively as whole tags
+const DEFAULT_SUBSCRIPTION_TAGS = [
+  'subscription',
+  'subscription first order',
+  'subscription recurring order'
+];
+
+function getSubscriptionTags() {
+  const configured = process.env.SUBSCRIPTION_ORDER_TAGS;
+  if (!configured) return DEFAULT_SUBSCRIPTION_TAGS;
+  return configured.split(',').map(tag => tag.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Check whether a line item was bought through a selling plan
+ * @param {Object} item - Shopify line item
+ * @returns {boolean} True if the line item has a selling plan
+ */
+function isSubscriptionLineItem(item) {
+  return Boolean(item && (item.selling_plan_allocation || item.selling_plan_id));
+}
+
+/**
+ * Check whether an order's tags mark it as a subscription order
+ * @param {string|string[]} tags - Comma separated tag string or array of tags
+ * @returns {boolean} True if one of the tags is a subscription tag
+ */
+function hasSubscriptionTag(tags) {
+  if (!tags) return false;
+  const tagList = Array.isArray(tags) ? tags : tags.split(',');
+  const subscriptionTags = getSubscriptionTags();
+  return tagList.some(tag => subscriptionTags.includes(String(tag).trim().toLowerCase()));
+}
+
+/**
+ * Get the line items of an order that belong to a subscription
+ * If no line item has a selling plan but the order carries a subscription tag,
+ * every line item is treated as a subscription item
+ * @param {Object} order - Shopify order with line_items and tags
+ * @returns {Object[]} Subscription line items, empty if the order isn't a subscription
+ */
+function getSubscriptionLineItems(order) {
+  const lineItems = (order && order.line_items) || [];
+
+  const sellingPlanItems = lineItems.filter(isSubscriptionLineItem);
+  if (sellingPlanItems.length) return sellingPlanItems;
+
+  return hasSubscriptionTag(order && order.tags) ? lineItems : [];
+}
+
+/**
+ * Check whether an order contains a subscription
+ * @param {Object} order - Shopify order with line_items and tags
+ * @returns {boolean} True if the order is a subscription order
+ */
+function isSubscriptionOrder(order) {
+  const lineItems = (order && order.line_items) || [];
+  return lineItems.some(isSubscriptionLineItem) || hasSubscriptionTag(order && order.tags);
+}
+
+module.exports = {
+  isSubscriptionLineItem,
+  hasSubscriptionTag,
+  getSubscriptionLineItems,
+  isSubscriptionOrder
+};
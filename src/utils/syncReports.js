@@ -0,0 +1,124 @@
+/**
+ * Utility for storing order-sync outcome reports
+ * Each report records what happened to every line item of an order webhook.
+ * Reports are kept for a retention period and up to a maximum count.
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { getSyncReportsConfig } = require('../config/syncReports');
+
+const REPORTS_FILE_PATH = getDataFilePath('order_sync_reports.json');
+
+// Initialize the reports, keyed by report ID
+let syncReports = loadJsonFile(REPORTS_FILE_PATH, {}, 'order sync reports');
+
+function saveReports() {
+  saveJsonFile(REPORTS_FILE_PATH, syncReports, 'order sync reports');
+}
+
+// Drop reports older than the retention period, then the oldest ones beyond the maximum count
+function pruneSyncReports() {
+  const { retentionMs, maxReports } = getSyncReportsConfig();
+  const cutoff = Date.now() - retentionMs;
+
+  for (const report of Object.values(syncReports)) {
+    if (new Date(report.created_at).getTime() < cutoff) {
+      delete syncReports[report.id];
+    }
+  }
+
+  const reports = Object.values(syncReports);
+  if (reports.length > maxReports) {
+    reports
+      .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+      .slice(0, reports.length - maxReports)
+      .forEach(report => delete syncReports[report.id]);
+  }
+}
+
+/**
+ * Store an order-sync report, pruning old reports in the same write
+ * @param {Object} report - Report built by the order-sync pipeline, without an ID
+ * @returns {Object} The stored report
+ */
+function saveSyncReport(report) {
+  const id = crypto.randomUUID();
+  syncReports[id] = { id, ...report, created_at: new Date().toISOString() };
+  pruneSyncReports();
+  saveReports();
+  return syncReports[id];
+}
+
+/**
+ * Get a stored order-sync report
+ * @param {string} reportId - Report ID
+ * @returns {Object|null} Report or null if not found
+ */
+function getSyncReport(reportId) {
+  return syncReports[reportId] || null;
+}
+
+/**
+ * Get stored order-sync reports, optionally filtered
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @param {string|number} filters.orderId - Shopify order ID
+ * @param {string} filters.topic - Webhook topic
+ * @param {string} filters.status - Report status: completed, partial, skipped or failed
+ * @returns {Object[]} Matching reports, newest first
+ */
+function getSyncReports({ shop, orderId, topic, status } = {}) {
+  return Object.values(syncReports)
+    .filter(report => !shop || report.shop === shop)
+    .filter(report => !orderId || report.order_id === String(orderId))
+    .filter(report => !topic || report.topic === topic)
+    .filter(report => !status || report.status === status)
+    .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+}
+
+/**
+ * Get the order-sync reports of a customer's orders
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup
+ * @param {string[]} customer.orderIds - Orders of the customer
+ * @returns {Object[]} Matching reports, newest first
+ */
+function getSyncReportsForCustomer(shop, { orderIds = [] }) {
+  return getSyncReports({ shop }).filter(report => orderIds.includes(report.order_id));
+}
+
+/**
+ * Delete the order-sync reports of a customer's orders
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer lookup
+ * @param {string[]} customer.orderIds - Orders of the customer
+ * @returns {number} Number of reports deleted
+ */
+function deleteCustomerSyncReports(shop, { orderIds = [] }) {
+  const ids = Object.keys(syncReports)
+    .filter(id => syncReports[id].shop === shop && orderIds.includes(syncReports[id].order_id));
+  ids.forEach(id => delete syncReports[id]);
+  if (ids.length) saveReports();
+  return ids.length;
+}
+
+/**
+ * Delete every order-sync report of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of reports deleted
+ */
+function purgeShopSyncReports(shop) {
+  const ids = Object.keys(syncReports).filter(id => syncReports[id].shop === shop);
+  ids.forEach(id => delete syncReports[id]);
+  if (ids.length) saveReports();
+  return ids.length;
+}
+
+module.exports = {
+  saveSyncReport,
+  getSyncReport,
+  getSyncReports,
+  getSyncReportsForCustomer,
+  deleteCustomerSyncReports,
+  purgeShopSyncReports
+};
@@ -0,0 +1,314 @@
+/**
+ * Utility for the durable webhook inbox
+ * Every verified webhook is stored here before it is processed so that
+ * Shopify retries can be recognised by their X-Shopify-Webhook-Id
+ */
+const crypto = require('crypto');
+const { getDataFilePath, loadJsonFile, saveJsonFile } = require('./dataStore');
+const { normalizeEmail } = require('./email');
+const { getWebhookInboxConfig } = require('../config/webhookInbox');
+
+const INBOX_FILE_PATH = getDataFilePath('webhook_inbox.json');
+
+// Old events are pruned at most this often, when a new event is stored
+const PRUNE_INTERVAL_MS = 60 * 60 * 1000;
+let lastPrunedAt = 0;
+
+// Initialize the inbox, keyed by webhook ID
+let inbox = loadJsonFile(INBOX_FILE_PATH, {}, 'webhook inbox');
+
+function saveInbox() {
+  saveJsonFile(INBOX_FILE_PATH, inbox, 'webhook inbox');
+}
+
+/**
+ * Get a stored webhook event
+ * @param {string} webhookId - X-Shopify-Webhook-Id of the delivery
+ * @returns {Object|null} Stored event or null if not found
+ */
+function getWebhookEvent(webhookId) {
+  return inbox[webhookId] || null;
+}
+
+/**
+ * Check whether a stored event is being processed
+ * An event left processing for longer than the lease was abandoned, e.g. by a crash or timeout
+ * @param {Object} event - Stored webhook event
+ * @returns {boolean} True if the event is processing and its lease hasn't expired
+ */
+function isWebhookProcessing(event) {
+  if (event.status !== 'processing') return false;
+
+  const startedAt = new Date(event.processing_started_at || event.received_at).getTime();
+  return Date.now() - startedAt < getWebhookInboxConfig().processingLeaseMs;
+}
+
+// Drop events received before the retention period, unless they are being processed
+function pruneWebhookEvents() {
+  const cutoff = Date.now() - getWebhookInboxConfig().retentionMs;
+  lastPrunedAt = Date.now();
+
+  for (const event of Object.values(inbox)) {
+    if (new Date(event.received_at).getTime() < cutoff && !isWebhookProcessing(event)) {
+      delete inbox[event.id];
+    }
+  }
+}
+
+// Prune old events when a new event is stored, at most once per interval
+function pruneWebhookEventsIfDue() {
+  if (Date.now() - lastPrunedAt >= PRUNE_INTERVAL_MS) {
+    pruneWebhookEvents();
+  }
+}
+
+/**
+ * Persist an incoming webhook and mark it as being processed, counting the attempt
+ * Events that were already received are reported as duplicates, unless their previous
+ * attempt failed or was abandoned, or the delivery was only skipped or dry-run before,
+ * in which case they are handed out again for processing
+ * @param {Object} event - Event details
+ * @param {string} event.id - X-Shopify-Webhook-Id of the delivery
+ * @param {string} event.topic - Webhook topic, e.g. orders/create
+ * @param {string} event.shop - Shop domain the webhook came from
+ * @param {Object} event.payload - Parsed webhook body
+ * @returns {{event: Object, duplicate: boolean}} Stored event and whether it was already handled
+ */
+function recordWebhookEvent({ id, topic, shop, payload }) {
+  const existing = inbox[id];
+  if (existing && (existing.status === 'processed' || isWebhookProcessing(existing))) {
+    return { event: existing, duplicate: true };
+  }
+
+  if (existing && existing.status === 'processing') {
+    console.log(`Webhook ${id} (${existing.topic}) was abandoned while processing, processing it again`);
+  }
+
+  const now = new Date().toISOString();
+  const event = existing || {
+    id,
+    topic,
+    shop,
+    payload,
+    received_at: now,
+    attempts: 0,
+    last_error: null
+  };
+  event.status = 'processing';
+  event.skip_reason = null;
+  event.processing_started_at = now;
+  event.attempts += 1;
+
+  // Pruned in the same write, so storing an event still saves the inbox once
+  if (!existing) {
+    pruneWebhookEventsIfDue();
+  }
+
+  inbox[id] = event;
+  saveInbox();
+  return { event, duplicate: false };
+}
+
+/**
+ * Persist a webhook that was acknowledged without being processed, so it can be searched and replayed
+ * An event that was already received keeps its status, and a later delivery with the same ID
+ * is still processed
+ * @param {Object} event - Event details
+ * @param {string} event.id - X-Shopify-Webhook-Id of the delivery
+ * @param {string} event.topic - Webhook topic, e.g. orders/create
+ * @param {string} event.shop - Shop domain the webhook came from
+ * @param {Object} event.payload - Parsed webhook body
+ * @param {string} event.status - skipped, e.g. for an inactive shop, or dry_run
+ * @param {string} event.reason - Why the delivery wasn't processed
+ * @returns {Object} The stored event
+ */
+function recordUnprocessedWebhookEvent({ id, topic, shop, payload, status, reason }) {
+  if (inbox[id]) return inbox[id];
+
+  pruneWebhookEventsIfDue();
+  inbox[id] = {
+    id,
+    topic,
+    shop,
+    payload,
+    received_at: new Date().toISOString(),
+    attempts: 0,
+    last_error: null,
+    status,
+    skip_reason: reason
+  };
+  saveInbox();
+  return inbox[id];
+}
+
+/**
+ * Mark a webhook event as successfully processed
+ * @param {string} webhookId - X-Shopify-Webhook-Id of the delivery
+ */
+function markWebhookProcessed(webhookId) {
+  const event = inbox[webhookId];
+  if (!event) return;
+  event.status = 'processed';
+  event.last_error = null;
+  event.processed_at = new Date().toISOString();
+  saveInbox();
+}
+
+/**
+ * Mark a webhook event as failed
+ * @param {string} webhookId - X-Shopify-Webhook-Id of the delivery
+ * @param {string} errorMessage - Reason the processing failed
+ */
+function markWebhookFailed(webhookId, errorMessage) {
+  const event = inbox[webhookId];
+  if (!event) return;
+  event.status = 'failed';
+  event.last_error = errorMessage || 'Unknown error';
+  saveInbox();
+}
+
+/**
+ * Record a replay of a stored webhook event
+ * A replay that went through updates the event's status; dry runs are only recorded
+ * @param {string} webhookId - X-Shopify-Webhook-Id of the original delivery
+ * @param {Object} replay - Replay outcome
+ * @param {string} replay.status - Report status: completed, partial, skipped or failed
+ * @param {string|null} replay.reportId - ID of the order-sync report of the replay
+ * @param {string|null} replay.error - Reason the replay failed
+ * @param {boolean} replay.dryRun - Whether the replay was a dry run
+ * @returns {Object|null} The recorded replay, or null if the event doesn't exist
+ */
+function recordWebhookReplay(webhookId, { status, reportId = null, error = null, dryRun = false }) {
+  const event = inbox[webhookId];
+  if (!event) return null;
+
+  const replay = {
+    id: crypto.randomUUID(),
+    status,
+    report_id: reportId,
+    error,
+    dry_run: dryRun,
+    replayed_at: new Date().toISOString()
+  };
+  event.replays = [...(event.replays || []), replay];
+
+  if (!dryRun) {
+    const failed = status === 'failed' || status === 'partial';
+    event.status = failed ? 'failed' : 'processed';
+    event.last_error = failed ? error || 'Unknown error' : null;
+    if (!failed) event.processed_at = replay.replayed_at;
+  }
+
+  saveInbox();
+  return replay;
+}
+
+// Get the order a stored webhook payload is about, if any
+function getEventOrderId({ topic = '', payload = {} }) {
+  const orderId = payload.order_id ||
+    (payload.order_edit && payload.order_edit.order_id) ||
+    payload.origin_order_id ||
+    (topic.startsWith('orders/') ? payload.id : null);
+  return orderId ? String(orderId) : null;
+}
+
+/**
+ * Search stored webhook events
+ * @param {Object} filters - Optional filters
+ * @param {string} filters.shop - Shop domain
+ * @param {string} filters.topic - Webhook topic
+ * @param {string|number} filters.orderId - Order the event is about
+ * @param {string} filters.email - Customer email in the payload
+ * @param {string} filters.status - Event status: processing, processed, failed, skipped or dry_run
+ * @param {string} filters.from - Only events received at or after this time, ISO 8601
+ * @param {string} filters.to - Only events received at or before this time, ISO 8601
+ * @returns {Object[]} Matching events, most recently received first
+ */
+function getWebhookEvents({ shop, topic, orderId, email, status, from, to } = {}) {
+  return Object.values(inbox)
+    .filter(event => !shop || event.shop === shop)
+    .filter(event => !topic || event.topic === topic)
+    .filter(event => !orderId || getEventOrderId(event) === String(orderId))
+    .filter(event => !email || eventMatchesCustomer(event, { email }))
+    .filter(event => !status || event.status === status)
+    .filter(event => !from || new Date(event.received_at) >= new Date(from))
+    .filter(event => !to || new Date(event.received_at) <= new Date(to))
+    .sort((a, b) => new Date(b.received_at) - new Date(a.received_at));
+}
+
+// Check whether a stored webhook payload refers to a customer
+function eventMatchesCustomer(event, { customerId, email, orderIds = [] }) {
+  const payload = event.payload || {};
+  const normalizedEmail = normalizeEmail(email);
+  const payloadCustomer = payload.customer || {};
+  const isCustomerTopic = (event.topic || '').startsWith('customers/');
+
+  return (customerId && (
+    String(payloadCustomer.id) === String(customerId) ||
+    String(payload.customer_id) === String(customerId) ||
+    (isCustomerTopic && String(payload.id) === String(customerId))
+  )) ||
+    (normalizedEmail && (
+      normalizeEmail(payload.email) === normalizedEmail ||
+      normalizeEmail(payloadCustomer.email) === normalizedEmail
+    )) ||
+    orderIds.map(String).some(orderId =>
+      (!isCustomerTopic && String(payload.id) === orderId) || String(payload.order_id) === orderId
+    );
+}
+
+/**
+ * Get stored webhook events that refer to a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer to look up
+ * @param {string|number} customer.customerId - Shopify customer ID
+ * @param {string} customer.email - Customer email
+ * @param {Array<string|number>} customer.orderIds - Optional order IDs that belong to the customer
+ * @returns {Object[]} Matching events
+ */
+function getWebhookEventsForCustomer(shop, customer) {
+  return Object.values(inbox)
+    .filter(event => event.shop === shop && eventMatchesCustomer(event, customer));
+}
+
+/**
+ * Replace the payload of every stored event that refers to a customer
+ * @param {string} shop - Shop domain
+ * @param {Object} customer - Customer to redact, same shape as getWebhookEventsForCustomer
+ * @returns {number} Number of events redacted
+ */
+function redactCustomerWebhookEvents(shop, customer) {
+  const events = getWebhookEventsForCustomer(shop, customer);
+  for (const event of events) {
+    event.payload = { redacted: true };
+    event.redacted_at = new Date().toISOString();
+  }
+  if (events.length) saveInbox();
+  return events.length;
+}
+
+/**
+ * Delete every stored event of a shop
+ * @param {string} shop - Shop domain
+ * @returns {number} Number of events deleted
+ */
+function purgeShopWebhookEvents(shop) {
+  const ids = Object.keys(inbox).filter(id => inbox[id].shop === shop);
+  ids.forEach(id => delete inbox[id]);
+  if (ids.length) saveInbox();
+  return ids.length;
+}
+
+module.exports = {
+  getWebhookEvent,
+  isWebhookProcessing,
+  recordWebhookEvent,
+  recordUnprocessedWebhookEvent,
+  markWebhookProcessed,
+  markWebhookFailed,
+  recordWebhookReplay,
+  getWebhookEvents,
+  getWebhookEventsForCustomer,
+  redactCustomerWebhookEvents,
+  purgeShopWebhookEvents
+};
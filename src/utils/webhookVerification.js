@@ -0,0 +1,64 @@
+/**
+ * Utility for verifying incoming Shopify webhook requests
+ */
+const crypto = require('crypto');
+
+// Shopify shop domains always take the form {shop}.myshopify.com
+const SHOP_DOMAIN_PATTERN = /^[a-z0-9][a-z0-9-]*\.myshopify\.com$/i;
+
+/**
+ * Compute the base64 HMAC-SHA256 digest Shopify uses to sign webhook bodies
+ * @param {Buffer|string} rawBody - The exact bytes of the request body
+ * @param {string} secret - The app's API secret key
+ * @returns {string} Base64 encoded digest
+ */
+function computeWebhookHmac(rawBody, secret) {
+  return crypto
+    .createHmac('sha256', secret)
+    .update(rawBody)
+    .digest('base64');
+}
+
+/**
+ * Check a webhook body against the X-Shopify-Hmac-Sha256 header using a timing-safe comparison
+ * @param {Buffer|string} rawBody - The exact bytes of the request body
+ * @param {string} hmacHeader - Value of the X-Shopify-Hmac-Sha256 header
+ * @param {string} secret - The app's API secret key
+ * @returns {boolean} True if the signature matches
+ */
+function isValidWebhookHmac(rawBody, hmacHeader, secret) {
+  if (!rawBody || !hmacHeader || !secret) return false;
+
+  const expected = Buffer.from(computeWebhookHmac(rawBody, secret), 'utf8');
+  const received = Buffer.from(hmacHeader, 'utf8');
+
+  // timingSafeEqual throws on length mismatch, so check that first
+  if (expected.length !== received.length) return false;
+
+  return crypto.timingSafeEqual(expected, received);
+}
+
+/**
+ * Check that a value looks like a Shopify shop domain
+ * @param {string} shop - Shop domain, e.g. example.myshopify.com
+ * @returns {boolean} True if the domain is valid
+ */
+function isValidShopDomain(shop) {
+  return typeof shop === 'string' && SHOP_DOMAIN_PATTERN.test(shop);
+}
+
+/**
+ * Derive the webhook topic a route handles from its path
+ * @param {string} routePath - Path relative to the webhooks router, e.g. /orders/create
+ * @returns {string} Topic name, e.g. orders/create
+ */
+function getTopicFromPath(routePath) {
+  return (routePath || '').replace(/^\/+|\/+$/g, '');
+}
+
+module.exports = {
+  computeWebhookHmac,
+  isValidWebhookHmac,
+  isValidShopDomain,
+  getTopicFromPath
+};
@@ -0,0 +1,60 @@
+require('./helpers/env');
+const { describe, it, mock } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JOB_MAX_ATTEMPTS = '1';
+
+const jobQueue = require('../src/services/jobQueue');
+const learnWorldsService = require('../src/services/learnWorldsService');
+const { runExpirationCheck } = require('../src/services/accessExpiration');
+const { recordEnrollment, setEnrollmentStatus, getEnrollment } = require('../src/utils/enrollmentLedger');
+
+const SHOP = 'learnworlds-test.myshopify.com';
+
+// Record a grant whose access ran out an hour ago
+function expiredGrant(orderId) {
+  recordEnrollment({
+    shop: SHOP,
+    orderId,
+    lineItemId: 1,
+    productId: 8001,
+    productTitle: 'Course',
+    subscription: false,
+    customerId: null,
+    email: `student-${orderId}@example.com`,
+    topic: 'orders/paid'
+  });
+  setEnrollmentStatus(SHOP, orderId, 1, 'enrolled', {
+    course_ids: ['course-intro'],
+    expires_at: new Date(Date.now() - 60 * 60 * 1000).toISOString()
+  });
+}
+
+describe('runExpirationCheck', () => {
+  it('marks access expired once its unenrollment succeeded', async () => {
+    mock.method(learnWorldsService, 'unenrollUserFromCourses', async () => ({}));
+    expiredGrant(6101);
+
+    assert.strictEqual(runExpirationCheck().expired, 1);
+    assert.strictEqual(getEnrollment(SHOP, 6101, 1).status, 'expiring');
+
+    await jobQueue.processDueJobs();
+    assert.strictEqual(getEnrollment(SHOP, 6101, 1).status, 'expired');
+    mock.restoreAll();
+  });
+
+  it('checks access again when its unenrollment failed for good', async () => {
+    mock.method(learnWorldsService, 'unenrollUserFromCourses', async () => {
+      throw new Error('LearnWorlds unavailable');
+    });
+    expiredGrant(6102);
+
+    runExpirationCheck();
+    await jobQueue.processDueJobs();
+    assert.strictEqual(getEnrollment(SHOP, 6102, 1).status, 'enrolled');
+
+    assert.strictEqual(runExpirationCheck().expired, 1);
+    assert.strictEqual(getEnrollment(SHOP, 6102, 1).status, 'expiring');
+    mock.restoreAll();
+  });
+});
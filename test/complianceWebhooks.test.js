@@ -0,0 +1,80 @@
+require('./helpers/env');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert');
+const { signDelivery, startWebhookServer } = require('./helpers/webhooks');
+const { getDataExports, getRedactions } = require('../src/utils/privacyRecords');
+const { getWebhookEvent } = require('../src/utils/webhookInbox');
+const { isShopInactive } = require('../src/utils/shopRegistry');
+
+const SHOP = 'learnworlds-test.myshopify.com';
+const customer = { id: 7001, email: 'student@example.com' };
+
+describe('compliance webhooks', () => {
+  let server;
+
+  before(async () => {
+    server = await startWebhookServer();
+  });
+
+  after(() => server.close());
+
+  describe('with DRY_RUN=true', () => {
+    before(() => {
+      process.env.DRY_RUN = 'true';
+    });
+
+    after(() => {
+      delete process.env.DRY_RUN;
+    });
+
+    it('still processes customers/redact', async () => {
+      const response = await server.post('/customers/redact', signDelivery('customers/redact', {
+        shop_domain: SHOP,
+        customer,
+        orders_to_redact: [5001]
+      }));
+
+      assert.strictEqual(response.status, 200);
+      assert.ok(response.body.redactionId);
+      assert.strictEqual(response.body.dryRun, undefined);
+      assert.strictEqual(getRedactions(SHOP).length, 1);
+    });
+
+    it('still processes app/uninstalled', async () => {
+      const shop = 'uninstalled-test.myshopify.com';
+      const response = await server.post('/app/uninstalled', signDelivery('app/uninstalled', { domain: shop }, { shop }));
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(isShopInactive(shop), true);
+    });
+
+    it('stores later deliveries from the uninstalled shop as skipped', async () => {
+      const shop = 'uninstalled-test.myshopify.com';
+      const delivery = signDelivery('customers/update', { id: 7002, email: 'other@example.com' }, { shop });
+      const response = await server.post('/customers/update', delivery);
+
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.message, 'Shop is inactive');
+      const event = getWebhookEvent(delivery.headers['X-Shopify-Webhook-Id']);
+      assert.strictEqual(event.status, 'skipped');
+      assert.strictEqual(event.skip_reason, 'Shop is inactive');
+    });
+  });
+
+  it('acknowledges a delivery sent with X-Dry-Run: true without processing it', async () => {
+    const delivery = signDelivery('customers/data_request', {
+      shop_domain: SHOP,
+      customer,
+      orders_requested: [5001],
+      data_request: { id: 9901 }
+    });
+    const response = await server.post('/customers/data_request', {
+      ...delivery,
+      headers: { ...delivery.headers, 'X-Dry-Run': 'true' }
+    });
+
+    assert.strictEqual(response.status, 200);
+    assert.strictEqual(response.body.dryRun, true);
+    assert.strictEqual(getDataExports(SHOP).length, 0);
+  });
+});
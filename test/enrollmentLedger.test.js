@@ -0,0 +1,43 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  recordEnrollment,
+  getActiveEnrollmentsForCustomer,
+  getEnrollmentsForCustomer,
+  redactCustomerEnrollments
+} = require('../src/utils/enrollmentLedger');
+
+const SHOP = 'learnworlds-test.myshopify.com';
+
+function enroll(orderId, email, customerId = null) {
+  recordEnrollment({
+    shop: SHOP,
+    orderId,
+    lineItemId: 1,
+    productId: 8001,
+    productTitle: 'Course',
+    subscription: false,
+    customerId,
+    email,
+    topic: 'orders/paid'
+  });
+}
+
+describe('enrollment ledger', () => {
+  it('matches customer emails whatever their case or surrounding whitespace', () => {
+    enroll(6001, 'Student@Example.com');
+
+    const active = getActiveEnrollmentsForCustomer({ shop: SHOP, email: ' student@example.COM ' });
+    assert.deepStrictEqual(active.map(entry => entry.order_id), ['6001']);
+    assert.strictEqual(getEnrollmentsForCustomer(SHOP, { email: 'STUDENT@example.com' }).length, 1);
+  });
+
+  it('finds no active enrollments for a customer without an ID or email', () => {
+    enroll(6002, 'redacted@example.com');
+    redactCustomerEnrollments(SHOP, { email: 'redacted@example.com' });
+
+    assert.deepStrictEqual(getActiveEnrollmentsForCustomer({ shop: SHOP }), []);
+    assert.deepStrictEqual(getActiveEnrollmentsForCustomer({ shop: SHOP, customerId: null, email: '' }), []);
+  });
+});
@@ -0,0 +1,97 @@
+require('./helpers/env');
+const { describe, it, afterEach } = require('node:test');
+const assert = require('node:assert');
+const {
+  validateRule,
+  evaluateLineItem,
+  rulesRequireProductDetails,
+  getAllRules,
+  setRule,
+  removeRule
+} = require('../src/utils/enrollmentRules');
+
+const webOrder = { financial_status: 'paid', sales_channel: 'web', order_tags: [], selling_plan: false };
+
+describe('enrollment rules', () => {
+  afterEach(() => {
+    getAllRules()
+      .filter(rule => !rule.id.startsWith('default-'))
+      .forEach(rule => removeRule(rule.id));
+  });
+
+  it('enrolls paid and authorized orders by default', () => {
+    assert.strictEqual(evaluateLineItem(webOrder).enroll, true);
+    assert.strictEqual(evaluateLineItem({ ...webOrder, financial_status: 'AUTHORIZED' }).enroll, true);
+
+    const decision = evaluateLineItem({ ...webOrder, financial_status: 'pending' });
+    assert.strictEqual(decision.enroll, false);
+    assert.strictEqual(decision.rule, null);
+    assert.strictEqual(decision.reason, 'No matching rule');
+  });
+
+  it('enrolls products mapped to enroll on order creation whatever the financial status', () => {
+    const decision = evaluateLineItem({ ...webOrder, financial_status: 'pending', trigger: 'on_create' });
+    assert.strictEqual(decision.enroll, true);
+    assert.strictEqual(decision.rule.id, 'default-on-create');
+
+    assert.strictEqual(evaluateLineItem({ ...webOrder, financial_status: 'pending', trigger: 'on_paid' }).enroll, false);
+  });
+
+  it('lets the rule with the lowest priority win', () => {
+    setRule({ id: 'skip-pos', name: 'Skip point of sale', priority: 10, action: 'skip', conditions: { sales_channels: ['pos'] } });
+
+    const decision = evaluateLineItem({ ...webOrder, sales_channel: 'pos' });
+    assert.strictEqual(decision.enroll, false);
+    assert.deepStrictEqual(decision.rule, { id: 'skip-pos', name: 'Skip point of sale' });
+    assert.strictEqual(evaluateLineItem(webOrder).rule.id, 'default-paid');
+  });
+
+  it('ignores disabled rules', () => {
+    setRule({ id: 'skip-all', name: 'Skip everything', priority: 1, action: 'skip', enabled: false });
+
+    assert.strictEqual(evaluateLineItem(webOrder).enroll, true);
+  });
+
+  it('matches subscription line items with the selling_plan condition', () => {
+    setRule({ id: 'skip-subscriptions', name: 'Skip subscriptions', priority: 10, action: 'skip', conditions: { selling_plan: true } });
+
+    assert.strictEqual(evaluateLineItem({ ...webOrder, selling_plan: true }).rule.id, 'skip-subscriptions');
+    assert.strictEqual(evaluateLineItem(webOrder).rule.id, 'default-paid');
+  });
+
+  it('matches tags on the order or the product', () => {
+    setRule({ id: 'enroll-courses', name: 'Enroll course products', priority: 10, action: 'enroll', conditions: { tags: ['Course'] } });
+
+    const pending = { ...webOrder, financial_status: 'pending' };
+    assert.strictEqual(evaluateLineItem({ ...pending, order_tags: ['course'] }).enroll, true);
+    assert.strictEqual(evaluateLineItem({ ...pending, product: { tags: ['course'] } }).enroll, true);
+    assert.strictEqual(evaluateLineItem({ ...pending, product: { tags: ['ebook'] } }).enroll, false);
+  });
+
+  it('only needs product details for product conditions', () => {
+    assert.strictEqual(rulesRequireProductDetails(), false);
+
+    setRule({ id: 'by-type', name: 'Courses only', priority: 10, action: 'enroll', enabled: false, conditions: { product_types: ['Course'] } });
+    assert.strictEqual(rulesRequireProductDetails(), false);
+
+    setRule({ id: 'by-type', name: 'Courses only', priority: 10, action: 'enroll', conditions: { product_types: ['Course'] } });
+    assert.strictEqual(rulesRequireProductDetails(), true);
+  });
+
+  it('validates rules before they are stored', () => {
+    assert.strictEqual(validateRule({ name: 'Valid', action: 'enroll', conditions: { vendors: ['Acme'] } }), null);
+    assert.strictEqual(validateRule(null), 'Rule must be an object');
+    assert.strictEqual(validateRule({ action: 'enroll' }), 'Rule name is required');
+    assert.strictEqual(validateRule({ name: 'Bad action', action: 'grant' }), 'Rule action must be one of: enroll, skip');
+    assert.strictEqual(validateRule({ name: 'Bad priority', action: 'skip', priority: 'high' }), 'Rule priority must be a number');
+    assert.strictEqual(validateRule({ name: 'Bad condition', action: 'skip', conditions: { colour: ['red'] } }), 'Unknown rule condition: colour');
+    assert.strictEqual(
+      validateRule({ name: 'Bad value', action: 'skip', conditions: { selling_plan: 'yes' } }),
+      'Condition selling_plan must be a boolean, true to match subscription line items only'
+    );
+    assert.strictEqual(
+      validateRule({ name: 'Bad value', action: 'skip', conditions: { vendors: 'Acme' } }),
+      'Condition vendors must be an array of vendors'
+    );
+  });
+});
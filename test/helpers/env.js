@@ -0,0 +1,28 @@
+/**
+ * Test environment: data files are written to a fresh temporary directory and webhooks are
+ * verified with the test secret. Require this before anything from src/, since the stores
+ * load their files when they are first required.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// The signatures in test/fixtures/webhooks were recorded with this secret
+const TEST_WEBHOOK_SECRET = 'test-webhook-secret';
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhook-app-test-'));
+
+process.env.NODE_ENV = 'test';
+process.env.DATA_DIR = dataDir;
+process.env.SHOPIFY_API_KEY = 'test-api-key';
+process.env.SHOPIFY_API_SECRET = TEST_WEBHOOK_SECRET;
+process.env.HOST = 'https://webhook-app.example.com';
+
+process.on('exit', () => {
+  fs.rmSync(dataDir, { recursive: true, force: true });
+});
+
+module.exports = {
+  TEST_WEBHOOK_SECRET,
+  dataDir
+};
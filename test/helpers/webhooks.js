@@ -0,0 +1,93 @@
+/**
+ * Recorded webhook deliveries and a server that receives them like src/index.js does
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const express = require('express');
+const bodyParser = require('body-parser');
+const { computeWebhookHmac } = require('../../src/utils/webhookVerification');
+const { TEST_WEBHOOK_SECRET } = require('./env');
+
+const FIXTURES_DIR = path.join(__dirname, '../fixtures/webhooks');
+
+/**
+ * Load a recorded delivery: the exact body bytes Shopify signed and the headers it sent
+ * @param {string} name - Fixture name, e.g. orders-paid
+ * @returns {{rawBody: Buffer, headers: Object}} Recorded delivery
+ */
+function loadDelivery(name) {
+  return {
+    rawBody: fs.readFileSync(path.join(FIXTURES_DIR, `${name}.json`)),
+    headers: JSON.parse(fs.readFileSync(path.join(FIXTURES_DIR, `${name}.headers.json`), 'utf8'))
+  };
+}
+
+/**
+ * Build a delivery signed with the test secret, for topics without a recorded fixture
+ * @param {string} topic - Webhook topic, e.g. customers/redact
+ * @param {Object} body - Webhook body
+ * @param {Object} options - Optional settings
+ * @param {string} options.webhookId - X-Shopify-Webhook-Id, a random one by default
+ * @param {string} options.shop - Shop domain
+ * @returns {{rawBody: Buffer, headers: Object}} Signed delivery
+ */
+function signDelivery(topic, body, { webhookId = crypto.randomUUID(), shop = 'learnworlds-test.myshopify.com' } = {}) {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  return {
+    rawBody,
+    headers: {
+      'X-Shopify-Topic': topic,
+      'X-Shopify-Shop-Domain': shop,
+      'X-Shopify-Webhook-Id': webhookId,
+      'X-Shopify-Hmac-Sha256': computeWebhookHmac(rawBody, TEST_WEBHOOK_SECRET)
+    }
+  };
+}
+
+/**
+ * Start a server with the webhook routes and the same body parsing as src/index.js
+ * @returns {Promise<{post: Function, close: Function}>} Helpers to send deliveries and stop the server
+ */
+function startWebhookServer() {
+  const app = express();
+  app.use(bodyParser.json({
+    verify: (req, res, buf) => {
+      if (req.originalUrl.startsWith('/api/webhooks/')) {
+        req.rawBody = buf;
+      }
+    }
+  }));
+  app.use('/api/webhooks', require('../../src/api/webhooks/routes'));
+
+  return new Promise(resolve => {
+    const server = app.listen(0, '127.0.0.1', () => {
+      const baseUrl = `http://127.0.0.1:${server.address().port}/api/webhooks`;
+
+      // Send a delivery to a webhook route, e.g. /orders/paid
+      const post = async (routePath, { rawBody, headers }) => {
+        const response = await fetch(`${baseUrl}${routePath}`, {
+          method: 'POST',
+          body: rawBody,
+          headers: { 'Content-Type': 'application/json', ...headers }
+        });
+        const text = await response.text();
+        let body = text;
+        try {
+          body = JSON.parse(text);
+        } catch (error) {
+          // Rejected deliveries are answered with plain text
+        }
+        return { status: response.status, body };
+      };
+
+      resolve({ post, close: () => new Promise(done => server.close(done)) });
+    });
+  });
+}
+
+module.exports = {
+  loadDelivery,
+  signDelivery,
+  startWebhookServer
+};
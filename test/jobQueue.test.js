@@ -0,0 +1,123 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.JOB_MAX_ATTEMPTS = '3';
+process.env.JOB_BACKOFF_BASE_MS = '1000';
+process.env.JOB_BACKOFF_MAX_MS = '3000';
+
+const jobQueue = require('../src/services/jobQueue');
+
+// Make a pending job due now instead of waiting out its backoff
+function makeDue(job) {
+  job.next_run_at = new Date().toISOString();
+}
+
+describe('job queue', () => {
+  it('runs due jobs with their handler and stores the result', async () => {
+    jobQueue.registerHandler('echo', async payload => ({ echoed: payload.value }));
+    const job = jobQueue.enqueue('echo', { value: 42 });
+
+    await jobQueue.processDueJobs();
+
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(job.attempts, 1);
+    assert.deepStrictEqual(job.result, { echoed: 42 });
+  });
+
+  it('leaves jobs scheduled for later alone', async () => {
+    let calls = 0;
+    jobQueue.registerHandler('later', async () => { calls += 1; });
+    const job = jobQueue.enqueue('later', {}, { runAt: new Date(Date.now() + 60 * 1000) });
+
+    await jobQueue.processDueJobs();
+
+    assert.strictEqual(calls, 0);
+    assert.strictEqual(job.status, 'pending');
+  });
+
+  it('retries failed jobs with exponential backoff, then dead-letters them', async () => {
+    jobQueue.registerHandler('flaky', async () => {
+      throw new Error('LearnWorlds unavailable');
+    });
+    const job = jobQueue.enqueue('flaky', {});
+
+    const before = Date.now();
+    await jobQueue.processDueJobs();
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.last_error, 'LearnWorlds unavailable');
+    const delay = new Date(job.next_run_at).getTime() - before;
+    assert.ok(delay >= 1000 && delay < 2000, `expected a delay of about 1000ms, got ${delay}ms`);
+
+    makeDue(job);
+    await jobQueue.processDueJobs();
+    assert.strictEqual(job.status, 'pending');
+    assert.strictEqual(job.attempts, 2);
+
+    makeDue(job);
+    await jobQueue.processDueJobs();
+    assert.strictEqual(job.status, 'dead');
+    assert.strictEqual(job.attempts, 3);
+    assert.ok(job.dead_at);
+  });
+
+  it('doubles the backoff per attempt up to the configured maximum', () => {
+    assert.deepStrictEqual([1, 2, 3, 4].map(attempts => jobQueue.getBackoffDelay(attempts)), [1000, 2000, 3000, 3000]);
+  });
+
+  it('retries and discards only dead jobs', async () => {
+    let fail = true;
+    jobQueue.registerHandler('recovering', async () => {
+      if (fail) throw new Error('Still failing');
+      return 'done';
+    });
+    const job = jobQueue.enqueue('recovering', {}, { maxAttempts: 1 });
+
+    assert.strictEqual(jobQueue.retryJob(job.id), null);
+    await jobQueue.processDueJobs();
+    assert.strictEqual(job.status, 'dead');
+
+    fail = false;
+    assert.strictEqual(jobQueue.retryJob(job.id), job);
+    assert.strictEqual(job.attempts, 0);
+    await jobQueue.processDueJobs();
+    assert.strictEqual(job.status, 'completed');
+    assert.strictEqual(jobQueue.discardJob(job.id), false);
+  });
+
+  it('dead-letters jobs without a registered handler', async () => {
+    const job = jobQueue.enqueue('unknown', {}, { maxAttempts: 1 });
+
+    await jobQueue.processDueJobs();
+
+    assert.strictEqual(job.status, 'dead');
+    assert.strictEqual(job.last_error, 'No handler registered for job type unknown');
+    assert.strictEqual(jobQueue.discardJob(job.id), true);
+    assert.strictEqual(jobQueue.getJob(job.id), null);
+  });
+
+  it('skips jobs paused or removed while earlier jobs of the batch run', async () => {
+    const ran = [];
+    jobQueue.registerHandler('batch', async payload => {
+      ran.push(payload.name);
+      if (payload.name === 'first') {
+        jobQueue.pauseJobs(job => job.payload.name === 'second');
+        jobQueue.removeJobs(job => job.payload.name === 'third');
+      }
+    });
+    const now = Date.now();
+    jobQueue.enqueue('batch', { name: 'first' }, { runAt: new Date(now - 3000) });
+    const second = jobQueue.enqueue('batch', { name: 'second' }, { runAt: new Date(now - 2000) });
+    jobQueue.enqueue('batch', { name: 'third' }, { runAt: new Date(now - 1000) });
+
+    await jobQueue.processDueJobs();
+
+    assert.deepStrictEqual(ran, ['first']);
+    assert.strictEqual(second.status, 'paused');
+    assert.strictEqual(second.attempts, 0);
+
+    assert.strictEqual(jobQueue.resumeJobs(job => job.id === second.id), 1);
+    await jobQueue.processDueJobs();
+    assert.deepStrictEqual(ran, ['first', 'second']);
+  });
+});
@@ -0,0 +1,33 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { redactCustomerData } = require('../src/services/privacyService');
+const { updateDisputeStatus, getDisputes } = require('../src/utils/disputeLog');
+const { saveSyncReport, getSyncReports } = require('../src/utils/syncReports');
+
+const SHOP = 'learnworlds-test.myshopify.com';
+
+function syncReport(orderId) {
+  return saveSyncReport({ shop: SHOP, topic: 'orders/paid', order_id: orderId, status: 'completed', lines: [] });
+}
+
+describe('redactCustomerData', () => {
+  it('deletes the disputes and order-sync reports of the redacted orders', () => {
+    updateDisputeStatus({ shop: SHOP, disputeId: 9101, orderId: 5101, type: 'chargeback', status: 'needs_response' });
+    updateDisputeStatus({ shop: SHOP, disputeId: 9102, orderId: 5102, type: 'chargeback', status: 'needs_response' });
+    syncReport('5101');
+    syncReport('5102');
+
+    const redaction = redactCustomerData(SHOP, {
+      customerId: 7101,
+      email: 'student@example.com',
+      orderIds: [5101],
+      topic: 'customers/redact'
+    });
+
+    assert.strictEqual(redaction.counts.disputes, 1);
+    assert.strictEqual(redaction.counts.sync_reports, 1);
+    assert.deepStrictEqual(getDisputes({ shop: SHOP }).map(dispute => dispute.order_id), ['5102']);
+    assert.deepStrictEqual(getSyncReports({ shop: SHOP }).map(report => report.order_id), ['5102']);
+  });
+});
@@ -0,0 +1,40 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const {
+  DEFAULT_ENROLLMENT_TRIGGER,
+  getEnrollmentTriggerForProduct,
+  setProductCourseMapping,
+  setBundleComponents
+} = require('../src/utils/productCourseMapping');
+
+describe('getEnrollmentTriggerForProduct', () => {
+  it('uses the trigger of the mapping', () => {
+    setProductCourseMapping('8101', 'course-a', { trigger: 'on_create' });
+    setProductCourseMapping('8102', 'course-b');
+
+    assert.strictEqual(getEnrollmentTriggerForProduct('8101'), 'on_create');
+    assert.strictEqual(getEnrollmentTriggerForProduct('8102'), DEFAULT_ENROLLMENT_TRIGGER);
+  });
+
+  it('enrolls a bundle whose components all enroll on_create on order creation', () => {
+    setProductCourseMapping('8111', 'course-c', { trigger: 'on_create' });
+    setBundleComponents('8110', ['8101', '8111']);
+
+    assert.strictEqual(getEnrollmentTriggerForProduct('8110'), 'on_create');
+  });
+
+  it('makes a bundle wait for the latest trigger of its components', () => {
+    setProductCourseMapping('8121', 'course-d', { trigger: 'on_fulfilled' });
+    setBundleComponents('8120', ['8101', '8102', '8121']);
+
+    assert.strictEqual(getEnrollmentTriggerForProduct('8120'), 'on_fulfilled');
+  });
+
+  it('lets a bundle mapping with its own trigger override its components', () => {
+    setProductCourseMapping('8130', 'course-bundle', { trigger: 'on_paid' });
+    setBundleComponents('8130', ['8101', '8111']);
+
+    assert.strictEqual(getEnrollmentTriggerForProduct('8130'), 'on_paid');
+  });
+});
@@ -0,0 +1,97 @@
+require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+
+process.env.WEBHOOK_PROCESSING_LEASE_MS = '60000';
+
+const {
+  getWebhookEvent,
+  isWebhookProcessing,
+  recordWebhookEvent,
+  recordUnprocessedWebhookEvent,
+  markWebhookProcessed,
+  markWebhookFailed
+} = require('../src/utils/webhookInbox');
+
+const SHOP = 'learnworlds-test.myshopify.com';
+
+function receive(id) {
+  return recordWebhookEvent({ id, topic: 'orders/paid', shop: SHOP, payload: { id: 5001 } });
+}
+
+describe('webhook inbox', () => {
+  it('stores a new delivery as processing', () => {
+    const { event, duplicate } = receive('inbox-new');
+
+    assert.strictEqual(duplicate, false);
+    assert.strictEqual(event.status, 'processing');
+    assert.strictEqual(event.attempts, 1);
+    assert.strictEqual(isWebhookProcessing(event), true);
+  });
+
+  it('reports deliveries that are processing or processed as duplicates', () => {
+    receive('inbox-dedupe');
+    assert.strictEqual(receive('inbox-dedupe').duplicate, true);
+
+    markWebhookProcessed('inbox-dedupe');
+    const { event, duplicate } = receive('inbox-dedupe');
+    assert.strictEqual(duplicate, true);
+    assert.strictEqual(event.status, 'processed');
+    assert.strictEqual(event.attempts, 1);
+  });
+
+  it('hands out failed deliveries again when Shopify retries them', () => {
+    receive('inbox-failed');
+    markWebhookFailed('inbox-failed', 'LearnWorlds unavailable');
+
+    const { event, duplicate } = receive('inbox-failed');
+    assert.strictEqual(duplicate, false);
+    assert.strictEqual(event.status, 'processing');
+    assert.strictEqual(event.attempts, 2);
+  });
+
+  it('hands out deliveries again once their processing lease has expired', () => {
+    const { event } = receive('inbox-abandoned');
+    event.processing_started_at = new Date(Date.now() - 61 * 1000).toISOString();
+    assert.strictEqual(isWebhookProcessing(event), false);
+
+    const retry = receive('inbox-abandoned');
+    assert.strictEqual(retry.duplicate, false);
+    assert.strictEqual(retry.event.attempts, 2);
+    assert.strictEqual(isWebhookProcessing(getWebhookEvent('inbox-abandoned')), true);
+  });
+
+  it('stores skipped deliveries and still hands them out when they are delivered for real', () => {
+    const skipped = recordUnprocessedWebhookEvent({
+      id: 'inbox-skipped',
+      topic: 'orders/paid',
+      shop: SHOP,
+      payload: { id: 5001 },
+      status: 'skipped',
+      reason: 'Shop is inactive'
+    });
+    assert.strictEqual(skipped.status, 'skipped');
+    assert.strictEqual(skipped.skip_reason, 'Shop is inactive');
+
+    const { event, duplicate } = receive('inbox-skipped');
+    assert.strictEqual(duplicate, false);
+    assert.strictEqual(event.status, 'processing');
+    assert.strictEqual(event.skip_reason, null);
+    assert.strictEqual(event.attempts, 1);
+  });
+
+  it('keeps the status of a received delivery when it is later dry-run', () => {
+    receive('inbox-dry-run');
+    markWebhookProcessed('inbox-dry-run');
+
+    const event = recordUnprocessedWebhookEvent({
+      id: 'inbox-dry-run',
+      topic: 'orders/paid',
+      shop: SHOP,
+      payload: { id: 5001 },
+      status: 'dry_run',
+      reason: 'Delivered as a dry run'
+    });
+    assert.strictEqual(event.status, 'processed');
+  });
+});
@@ -0,0 +1,190 @@
+require('./helpers/env');
+const { describe, it, before, after, mock } = require('node:test');
+const assert = require('node:assert');
+const { Session } = require('@shopify/shopify-api');
+const { computeWebhookHmac } = require('../src/utils/webhookVerification');
+const { loadDelivery, startWebhookServer } = require('./helpers/webhooks');
+const shopify = require('../src/services/shopify');
+const jobQueue = require('../src/services/jobQueue');
+const { storeSession } = require('../src/utils/sessionStorage');
+const { setProductCourseMapping } = require('../src/utils/productCourseMapping');
+const { getWebhookEvent } = require('../src/utils/webhookInbox');
+const { getEnrollment } = require('../src/utils/enrollmentLedger');
+const { getRefund } = require('../src/utils/refundLog');
+const { getSyncReport } = require('../src/utils/syncReports');
+
+const SHOP = 'learnworlds-test.myshopify.com';
+
+const paidDelivery = loadDelivery('orders-paid');
+const recordedOrder = JSON.parse(paidDelivery.rawBody.toString('utf8'));
+
+// Refund payloads don't carry the order, so it would be fetched from Shopify
+// Mocked before the routes are required, since they keep their own reference to loadOrder
+const shopifyOrders = require('../src/services/shopifyOrders');
+mock.method(shopifyOrders, 'loadOrder', async (shop, orderId, payload) => payload || recordedOrder);
+
+// Send a recorded delivery under a new webhook ID, as Shopify does for a separate event
+function redeliver(delivery, webhookId) {
+  return { ...delivery, headers: { ...delivery.headers, 'X-Shopify-Webhook-Id': webhookId } };
+}
+
+function getQueuedJobs(type) {
+  return jobQueue.getJobs('pending').filter(job => job.type === type);
+}
+
+describe('order webhooks', () => {
+  let server;
+
+  before(async () => {
+    // The offline session the app would have stored when the shop installed it
+    storeSession(new Session({
+      id: shopify.session.getOfflineId(SHOP),
+      shop: SHOP,
+      state: 'installed',
+      isOnline: false,
+      accessToken: 'test-access-token',
+      scope: shopify.config.scopes.toString()
+    }));
+    setProductCourseMapping('8001', 'course-intro');
+    setProductCourseMapping('8002', 'course-advanced');
+    server = await startWebhookServer();
+  });
+
+  after(() => server.close());
+
+  describe('verification', () => {
+    it('rejects a tampered body', async () => {
+      const rawBody = Buffer.from(paidDelivery.rawBody.toString('utf8').replace('"quantity":2', '"quantity":20'));
+      const response = await server.post('/orders/paid', { ...paidDelivery, rawBody });
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects a signature made with another secret', async () => {
+      const headers = {
+        ...paidDelivery.headers,
+        'X-Shopify-Hmac-Sha256': computeWebhookHmac(paidDelivery.rawBody, 'another-secret')
+      };
+      const response = await server.post('/orders/paid', { ...paidDelivery, headers });
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects a delivery without a signature', async () => {
+      const { 'X-Shopify-Hmac-Sha256': hmac, ...headers } = paidDelivery.headers;
+      const response = await server.post('/orders/paid', { ...paidDelivery, headers });
+      assert.strictEqual(response.status, 401);
+    });
+
+    it('rejects a validly signed delivery sent to another topic\'s route', async () => {
+      const response = await server.post('/orders/cancelled', paidDelivery);
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.body, 'Topic mismatch');
+    });
+
+    it('rejects a delivery from an invalid shop domain', async () => {
+      const headers = { ...paidDelivery.headers, 'X-Shopify-Shop-Domain': 'learnworlds-test.example.com' };
+      const response = await server.post('/orders/paid', { ...paidDelivery, headers });
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.body, 'Invalid shop domain');
+    });
+
+    it('rejects a delivery without a webhook ID', async () => {
+      const { 'X-Shopify-Webhook-Id': webhookId, ...headers } = paidDelivery.headers;
+      const response = await server.post('/orders/paid', { ...paidDelivery, headers });
+      assert.strictEqual(response.status, 400);
+      assert.strictEqual(response.body, 'Missing webhook ID');
+    });
+
+    it('queued nothing for rejected deliveries', () => {
+      assert.strictEqual(jobQueue.getJobs().length, 0);
+      assert.strictEqual(getWebhookEvent(paidDelivery.headers['X-Shopify-Webhook-Id']), null);
+    });
+  });
+
+  describe('orders/paid', () => {
+    it('stores a dry-run delivery in the inbox without queuing anything', async () => {
+      const response = await server.post('/orders/paid', {
+        ...paidDelivery,
+        headers: { ...paidDelivery.headers, 'X-Dry-Run': 'true' }
+      });
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.dryRun, true);
+
+      const event = getWebhookEvent(paidDelivery.headers['X-Shopify-Webhook-Id']);
+      assert.strictEqual(event.status, 'dry_run');
+      assert.strictEqual(event.attempts, 0);
+      assert.strictEqual(getQueuedJobs('enroll').length, 0);
+    });
+
+    it('queues an enrollment job per mapped line item of a signed delivery', async () => {
+      const response = await server.post('/orders/paid', paidDelivery);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.status, 'completed');
+
+      const jobs = getQueuedJobs('enroll');
+      assert.deepStrictEqual(jobs.map(job => job.payload.productId).sort(), [8001, 8002]);
+      assert.strictEqual(getEnrollment(SHOP, 5001, 9001).status, 'queued');
+    });
+
+    it('records the delivery in the inbox as processed', () => {
+      const event = getWebhookEvent(paidDelivery.headers['X-Shopify-Webhook-Id']);
+      assert.strictEqual(event.status, 'processed');
+      assert.strictEqual(event.attempts, 1);
+    });
+
+    it('acknowledges a duplicate delivery without processing it again', async () => {
+      const response = await server.post('/orders/paid', paidDelivery);
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.message, 'Duplicate webhook');
+      assert.strictEqual(getWebhookEvent(paidDelivery.headers['X-Shopify-Webhook-Id']).attempts, 1);
+      assert.strictEqual(getQueuedJobs('enroll').length, 2);
+    });
+
+    it('skips line items already enrolled by an earlier event for the order', async () => {
+      const response = await server.post('/orders/paid', redeliver(paidDelivery, 'b1f2a3c4-0004-4d5e-8f90-a1b2c3d4e5f6'));
+      assert.strictEqual(response.status, 200);
+
+      const report = getSyncReport(response.body.reportId);
+      assert.deepStrictEqual(report.lines.map(line => line.reason), ['Line item already enrolled', 'Line item already enrolled']);
+      assert.strictEqual(getQueuedJobs('enroll').length, 2);
+    });
+  });
+
+  describe('refunds/create', () => {
+    const refundDelivery = loadDelivery('refunds-create');
+
+    it('unenrolls a fully refunded line item', async () => {
+      const response = await server.post('/refunds/create', refundDelivery);
+      assert.strictEqual(response.status, 200);
+
+      const jobs = getQueuedJobs('unenroll');
+      assert.strictEqual(jobs.length, 1);
+      assert.strictEqual(jobs[0].payload.lineItemId, 9001);
+      assert.strictEqual(getRefund(SHOP, 6001).line_items[0].action, 'unenrolled');
+      assert.strictEqual(getEnrollment(SHOP, 5001, 9001).status, 'unenrolled');
+    });
+
+    it('skips a refund that was already processed', async () => {
+      const response = await server.post('/refunds/create', redeliver(refundDelivery, 'b1f2a3c4-0005-4d5e-8f90-a1b2c3d4e5f6'));
+      assert.strictEqual(response.status, 200);
+      assert.strictEqual(response.body.status, 'skipped');
+      assert.strictEqual(response.body.message, 'Refund already processed');
+      assert.strictEqual(getQueuedJobs('unenroll').length, 1);
+    });
+
+    it('keeps access when only part of a line item is refunded', async () => {
+      const response = await server.post('/refunds/create', loadDelivery('refunds-create-partial'));
+      assert.strictEqual(response.status, 200);
+
+      const report = getSyncReport(response.body.reportId);
+      assert.strictEqual(report.lines.length, 1);
+      assert.strictEqual(report.lines[0].reason, 'Refunded 1 of 2, keeping access');
+
+      const [line] = getRefund(SHOP, 6002).line_items;
+      assert.strictEqual(line.action, 'kept_partial_refund');
+      assert.strictEqual(line.total_refunded_quantity, 1);
+      assert.strictEqual(line.line_item_quantity, 2);
+      assert.strictEqual(getQueuedJobs('unenroll').length, 1);
+      assert.strictEqual(getEnrollment(SHOP, 5001, 9002).status, 'queued');
+    });
+  });
+});
@@ -0,0 +1,67 @@
+const { TEST_WEBHOOK_SECRET } = require('./helpers/env');
+const { describe, it } = require('node:test');
+const assert = require('node:assert');
+const { loadDelivery } = require('./helpers/webhooks');
+const {
+  computeWebhookHmac,
+  isValidWebhookHmac,
+  isValidShopDomain,
+  getTopicFromPath
+} = require('../src/utils/webhookVerification');
+
+describe('webhook signature verification', () => {
+  const { rawBody, headers } = loadDelivery('orders-paid');
+  const hmac = headers['X-Shopify-Hmac-Sha256'];
+
+  it('computes the signature Shopify recorded for the delivery', () => {
+    assert.strictEqual(computeWebhookHmac(rawBody, TEST_WEBHOOK_SECRET), hmac);
+  });
+
+  it('accepts the recorded body and signature', () => {
+    assert.strictEqual(isValidWebhookHmac(rawBody, hmac, TEST_WEBHOOK_SECRET), true);
+  });
+
+  it('rejects a tampered body', () => {
+    const tampered = Buffer.from(rawBody.toString('utf8').replace('"paid"', '"refunded"'));
+    assert.notDeepStrictEqual(tampered, rawBody);
+    assert.strictEqual(isValidWebhookHmac(tampered, hmac, TEST_WEBHOOK_SECRET), false);
+  });
+
+  it('rejects a body that was parsed and serialized again', () => {
+    // The recorded body escapes characters JSON.stringify doesn't, so only the raw bytes verify
+    const reserialized = JSON.stringify(JSON.parse(rawBody.toString('utf8')));
+    assert.strictEqual(isValidWebhookHmac(reserialized, hmac, TEST_WEBHOOK_SECRET), false);
+  });
+
+  it('rejects a signature made with another secret', () => {
+    const otherHmac = computeWebhookHmac(rawBody, 'another-secret');
+    assert.strictEqual(isValidWebhookHmac(rawBody, otherHmac, TEST_WEBHOOK_SECRET), false);
+  });
+
+  it('rejects missing or malformed signatures without throwing', () => {
+    assert.strictEqual(isValidWebhookHmac(rawBody, undefined, TEST_WEBHOOK_SECRET), false);
+    assert.strictEqual(isValidWebhookHmac(rawBody, hmac, undefined), false);
+    assert.strictEqual(isValidWebhookHmac(undefined, hmac, TEST_WEBHOOK_SECRET), false);
+    assert.strictEqual(isValidWebhookHmac(rawBody, hmac.slice(0, -4), TEST_WEBHOOK_SECRET), false);
+  });
+});
+
+describe('isValidShopDomain', () => {
+  it('accepts myshopify.com domains', () => {
+    assert.strictEqual(isValidShopDomain('learnworlds-test.myshopify.com'), true);
+  });
+
+  it('rejects other domains and values', () => {
+    assert.strictEqual(isValidShopDomain('learnworlds-test.example.com'), false);
+    assert.strictEqual(isValidShopDomain('evil.com/.myshopify.com'), false);
+    assert.strictEqual(isValidShopDomain(undefined), false);
+  });
+});
+
+describe('getTopicFromPath', () => {
+  it('strips the slashes around a route path', () => {
+    assert.strictEqual(getTopicFromPath('/refunds/create'), 'refunds/create');
+    assert.strictEqual(getTopicFromPath('/orders/paid/'), 'orders/paid');
+    assert.strictEqual(getTopicFromPath(undefined), '');
+  });
+});